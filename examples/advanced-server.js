@@ -88,27 +88,14 @@ wafMiddleware.on('error', (error) => {
   console.error('❌ WAF Error:', error.message);
 });
 
-// API Management Routes
-const apiRoutes = wafMiddleware.getAPIRoutes();
+// Override stats endpoint to use WAF's built-in stats
+// Registered before the admin router so these handlers answer first, with the same authentication
 const apiMiddleware = wafMiddleware.getAPIMiddleware();
+app.get('/waf/stats', apiMiddleware, wafMiddleware.stats());
+app.get('/waf/metrics', apiMiddleware, wafMiddleware.metrics());
 
-// Apply API middleware to all API routes
-app.use('/waf', apiMiddleware);
-
-// Register API routes manually
-app.get('/waf/config', apiRoutes['GET /waf/config']);
-app.put('/waf/config', apiRoutes['PUT /waf/config']);
-app.get('/waf/rules', apiRoutes['GET /waf/rules']);
-app.post('/waf/rules', apiRoutes['POST /waf/rules']);
-app.get('/waf/stats', apiRoutes['GET /waf/stats']);
-app.get('/waf/logs', apiRoutes['GET /waf/logs']);
-app.get('/waf/learning', apiRoutes['GET /waf/learning']);
-app.get('/waf/health', apiRoutes['GET /waf/health']);
-app.get('/waf/metrics', apiRoutes['GET /waf/metrics']);
-
-// Override stats endpoint to use WAF's built-in stats
-app.get('/waf/stats', wafMiddleware.stats());
-app.get('/waf/metrics', wafMiddleware.metrics());
+// API Management Routes (authenticated with the X-API-Key header)
+app.use(wafMiddleware.adminRouter());
 
 // Basic routes
 app.get('/', (req, res) => {
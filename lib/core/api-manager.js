@@ -4,6 +4,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const net = require('net');
 
 class APIManager {
   constructor(config, ruleManager, statsCollector, adaptiveLearning) {
@@ -37,6 +38,12 @@ class APIManager {
       'POST /waf/rules/import': this.importRules.bind(this),
       'GET /waf/rules/export': this.exportRules.bind(this),
       
+      // Rule exclusion endpoints
+      'GET /waf/exclusions': this.getExclusions.bind(this),
+      'POST /waf/exclusions': this.addExclusion.bind(this),
+      'PUT /waf/exclusions/:id': this.updateExclusion.bind(this),
+      'DELETE /waf/exclusions/:id': this.deleteExclusion.bind(this),
+      
       // Statistics endpoints
       'GET /waf/stats': this.getStats.bind(this),
       'GET /waf/stats/reset': this.resetStats.bind(this),
@@ -67,6 +74,43 @@ class APIManager {
     };
   }
 
+  /**
+   * Create an Express router with every API route registered
+   * Static paths are registered before parameterized ones so that
+   * e.g. /waf/logs/export is not captured by /waf/logs/:id
+   */
+  createRouter(options = {}) {
+    const express = require('express');
+    const { prefix = '', auth } = options;
+    const router = express.Router();
+    // Authenticate before anything reads the path parameters or the body
+    const routeMiddleware = auth ? [this.apiMiddleware(), auth] : [this.apiMiddleware()];
+    
+    // Reject malformed IP addresses before they reach the handlers
+    routeMiddleware.push((req, res, next) => {
+      if (req.params.ip !== undefined && !net.isIP(req.params.ip)) {
+        return res.status(400).json({ error: `Invalid IP address: ${req.params.ip}` });
+      }
+      next();
+    });
+    
+    // Rule sets such as the CRS can be posted inline to /waf/rules/import
+    routeMiddleware.push(express.json({ limit: '5mb' }));
+    
+    const routes = Object.entries(this.createRoutes())
+      .map(([route, handler]) => {
+        const [method, routePath] = route.split(' ');
+        return { method: method.toLowerCase(), path: prefix + routePath, handler };
+      })
+      .sort((a, b) => a.path.includes(':') - b.path.includes(':'));
+    
+    routes.forEach(route => {
+      router[route.method](route.path, ...routeMiddleware, route.handler);
+    });
+    
+    return router;
+  }
+
   /**
    * Middleware for API authentication and rate limiting
    */
@@ -127,6 +171,7 @@ class APIManager {
         adaptiveLearning: this.config.adaptiveLearning,
         learningPeriod: this.config.learningPeriod,
         skipPaths: this.config.skipPaths,
+        allowedDomains: this.config.allowedDomains,
         rateLimit: this.config.rateLimit,
         ipBlocking: this.config.ipBlocking,
         stats: this.config.stats
@@ -150,7 +195,7 @@ class APIManager {
       const updates = req.body;
       const allowedFields = [
         'enabled', 'dryRun', 'threshold', 'modules', 'adaptiveLearning',
-        'learningPeriod', 'skipPaths', 'rateLimit', 'ipBlocking', 'stats'
+        'learningPeriod', 'skipPaths', 'allowedDomains', 'rateLimit', 'ipBlocking', 'stats'
       ];
       
       // Validate updates
@@ -253,6 +298,7 @@ class APIManager {
         success: true,
         message: 'Rule added successfully',
         rule: addedRule,
+        warnings: addedRule.redosWarnings || [],
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -275,6 +321,7 @@ class APIManager {
         success: true,
         message: 'Rule updated successfully',
         rule: updatedRule,
+        warnings: updatedRule.redosWarnings || [],
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -344,19 +391,30 @@ class APIManager {
   }
 
   /**
-   * Import rules from file
+   * Import rules from a JSON or ModSecurity file, or from inline rules text
    */
   importRules(req, res) {
     try {
-      const { filePath, source = 'imported' } = req.body;
-      const count = this.ruleManager.importRules(filePath, source);
+      const { filePath, rules, format, source = 'imported' } = req.body;
+      if (!filePath && rules === undefined) {
+        return res.status(400).json({ error: 'filePath or rules is required' });
+      }
       
-      this.log('info', `Rules imported: ${count} rules from ${filePath}`, { count, filePath });
+      const report = this.ruleManager.importRules(filePath, source, { content: rules, format });
+      const origin = filePath || 'request body';
+      
+      this.log('info', `Rules imported: ${report.count} rules from ${origin}`, {
+        count: report.count,
+        skipped: report.skipped.length,
+        filePath
+      });
       
       res.json({
         success: true,
-        message: `${count} rules imported successfully`,
-        count: count,
+        message: `${report.count} rules imported successfully`,
+        count: report.count,
+        skipped: report.skipped,
+        warnings: report.warnings,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -384,6 +442,85 @@ class APIManager {
     }
   }
 
+  /**
+   * Get rule exclusions
+   */
+  getExclusions(req, res) {
+    try {
+      const exclusions = this.ruleManager.getExclusions();
+      
+      res.json({
+        success: true,
+        exclusions: exclusions,
+        total: exclusions.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Add rule exclusion
+   */
+  addExclusion(req, res) {
+    try {
+      const exclusion = this.ruleManager.addExclusion(req.body);
+      
+      this.log('info', `Exclusion added: ${exclusion.id}`, { exclusionId: exclusion.id });
+      
+      res.status(201).json({
+        success: true,
+        message: 'Exclusion added successfully',
+        exclusion: exclusion,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Update rule exclusion
+   */
+  updateExclusion(req, res) {
+    try {
+      const { id } = req.params;
+      const exclusion = this.ruleManager.updateExclusion(id, req.body);
+      
+      this.log('info', `Exclusion updated: ${id}`, { exclusionId: id, updates: req.body });
+      
+      res.json({
+        success: true,
+        message: 'Exclusion updated successfully',
+        exclusion: exclusion,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.message === 'Exclusion not found' ? 404 : 400).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Delete rule exclusion
+   */
+  deleteExclusion(req, res) {
+    try {
+      const { id } = req.params;
+      this.ruleManager.deleteExclusion(id);
+      
+      this.log('info', `Exclusion deleted: ${id}`, { exclusionId: id });
+      
+      res.json({
+        success: true,
+        message: 'Exclusion deleted successfully',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  }
+
   /**
    * Get statistics
    */
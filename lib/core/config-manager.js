@@ -40,6 +40,9 @@ class ConfigManager {
       // Paths to skip
       skipPaths: ['/health', '/metrics', '/favicon.ico'],
       
+      // Our own domains, allowed as redirect targets
+      allowedDomains: [],
+      
       // Logging
       logLevel: 'info',
       logFile: null,
@@ -61,6 +64,23 @@ class ConfigManager {
       // Custom rules
       rules: [],
       
+      // Rules removed from some targets on some routes
+      ruleExclusions: [],
+      
+      // ReDoS protection for rule patterns
+      redos: {
+        mode: 'reject', // 'reject', 'warn' or 'off'
+        maxInputLength: 8192, // characters each rule pattern is tested against
+        ruleTimeBudget: 50, // ms per rule test against one target
+        maxSlowEvaluations: 3, // requests over budget before a rule is disabled
+        autoDisable: false // disable rules that keep exceeding the budget
+      },
+      
+      // Decoding applied to request values before matching
+      normalization: {
+        maxPasses: 5 // nested URL / HTML entity decoding passes
+      },
+      
       // Stats
       stats: {
         enabled: true,
@@ -197,6 +217,11 @@ class ConfigManager {
       errors.push('Modules must be an array');
     }
     
+    // Validate rule exclusions
+    if (config.ruleExclusions !== undefined && !Array.isArray(config.ruleExclusions)) {
+      errors.push('Rule exclusions must be an array');
+    }
+    
     // Validate learning period
     if (config.adaptiveLearning && (typeof config.learningPeriod !== 'number' || config.learningPeriod <= 0)) {
       errors.push('Learning period must be a positive number');
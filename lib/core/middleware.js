@@ -1,5 +1,5 @@
 /**
- * WAF Middleware - Main Express middleware implementation
+ * WAF Middleware - Express, Koa, Fastify and plain node:http integrations
  */
 
 const EventEmitter = require('events');
@@ -7,6 +7,16 @@ const AnomalyScorer = require('./anomaly-scorer');
 const AdaptiveLearning = require('./adaptive-learning');
 const PrometheusMetrics = require('./prometheus-metrics');
 const APIManager = require('./api-manager');
+const XMLExtractor = require('./xml-extractor');
+const Transformer = require('./transformer');
+const TargetExtractor = require('./target-extractor');
+
+// Events and stats entries for requests a decision stops
+const STOPPED = {
+  block: { event: 'request-blocked', stat: 'blocked' },
+  redirect: { event: 'request-redirected', stat: 'redirected' },
+  challenge: { event: 'request-challenged', stat: 'challenged' }
+};
 
 class WAFMiddleware extends EventEmitter {
   constructor(config, ruleEngine, statsCollector, ruleManager) {
@@ -21,10 +31,20 @@ class WAFMiddleware extends EventEmitter {
     this.adaptiveLearning = new AdaptiveLearning(config, this.anomalyScorer);
     this.prometheusMetrics = new PrometheusMetrics(config);
     this.apiManager = new APIManager(config, ruleManager, statsCollector, this.adaptiveLearning);
+    this.xmlExtractor = new XMLExtractor(config);
+    this.transformer = new Transformer(config);
+    this.targetExtractor = new TargetExtractor(config);
     
     // Connect rule manager to rule engine
     this.ruleEngine.setRuleManager(ruleManager);
     
+    // Rules over the ReDoS time budget are reported as events and in the admin API logs
+    this.ruleEngine.on('rule-slow', data => this.emit('rule-slow', data));
+    this.ruleEngine.on('rule-disabled', data => {
+      this.apiManager.log('warn', `Rule disabled: ${data.rule}`, data);
+      this.emit('rule-disabled', data);
+    });
+    
     this.isLearningMode = config.adaptiveLearning && this.adaptiveLearning.isLearning;
   }
 
@@ -39,79 +59,383 @@ class WAFMiddleware extends EventEmitter {
           return next();
         }
 
-        // Analyze request
+        // Analyze request and make decision
         const analysis = this.analyzeRequest(req);
+        const decision = this.processAnalysis(req, analysis);
         
-        // Update stats
-        this.statsCollector.recordRequest(req, analysis);
-
-        // Check if in learning mode
-        if (this.isLearningMode) {
-          this.handleLearningMode(req, analysis);
-          return next();
+        // Tags set by rule actions, for downstream handlers
+        req.wafTags = decision.tags;
+        
+        if (decision.action !== 'allow') {
+          this.handleBlock(req, res, decision);
+          return;
         }
 
-        // Apply rules and make decision
-        const decision = this.ruleEngine.evaluate(analysis);
-        
-        if (decision.action === 'block') {
-          if (this.config.dryRun) {
-            // In dry run mode, log but don't block
-            this.statsCollector.recordThreat(req, analysis, 'dry-run');
-            this.emit('threat-detected', {
-              type: 'dry-run',
-              request: req,
-              analysis
-            });
-            return next();
-          } else {
-            this.handleBlock(req, res, decision);
+        // Request is safe, continue
+        next();
+
+      } catch (error) {
+        this.emit('error', error);
+        // In case of error, allow request to continue
+        next();
+      }
+    };
+  }
+
+  /**
+   * Koa middleware function
+   */
+  koa() {
+    return async (ctx, next) => {
+      try {
+        if (!this.shouldSkipPath(ctx.path)) {
+          const analysis = this.analyzeKoaRequest(ctx);
+          const decision = this.processAnalysis(ctx.request, analysis);
+          ctx.state.wafTags = decision.tags;
+          
+          if (decision.action !== 'allow') {
+            this.handleKoaBlock(ctx, decision);
             return;
           }
         }
+      } catch (error) {
+        this.emit('error', error);
+        // In case of error, allow request to continue
+      }
+
+      await next();
+    };
+  }
+
+  /**
+   * Fastify plugin function
+   * Headers, query and path are inspected in onRequest, parsed bodies in preHandler
+   */
+  fastify() {
+    const plugin = (fastify, options, done) => {
+      if (!fastify.hasDecorator('waf')) {
+        fastify.decorate('waf', this);
+      }
+
+      fastify.addHook('onRequest', (request, reply, next) => {
+        try {
+          if (!this.shouldSkipPath(request.url.split('?')[0])) {
+            const analysis = this.analyzeFastifyRequest(request);
+            request.wafAnalysis = analysis;
+            request.wafDecision = null;
+
+            if (!this.isLearningMode) {
+              const evaluated = this.ruleEngine.evaluate(analysis);
+              request.wafDecision = evaluated;
+
+              // Reject early when headers alone stop the request; in dry run the body is still inspected
+              if (evaluated.action !== 'allow' && !this.config.dryRun) {
+                request.wafAnalysis = null;
+                const decision = this.processAnalysis(request, analysis, evaluated);
+                request.wafTags = decision.tags;
+                this.handleFastifyBlock(request, reply, decision);
+                return;
+              }
+            }
+          }
+        } catch (error) {
+          this.emit('error', error);
+        }
 
-        // Request is safe, continue
         next();
+      });
+
+      fastify.addHook('preHandler', (request, reply, next) => {
+        try {
+          const analysis = request.wafAnalysis;
+
+          if (analysis) {
+            request.wafAnalysis = null;
+
+            // Without a body the analysis is unchanged, so the onRequest decision stands
+            let evaluated = request.wafDecision;
+            request.wafDecision = null;
+            if (request.body !== undefined && request.body !== null) {
+              this.analyzeBody(analysis, request.body);
+              evaluated = null;
+            }
+
+            const decision = this.processAnalysis(request, analysis, evaluated);
+            request.wafTags = decision.tags;
+
+            if (decision.action !== 'allow') {
+              this.handleFastifyBlock(request, reply, decision);
+              return;
+            }
+          }
+        } catch (error) {
+          this.emit('error', error);
+        }
+
+        next();
+      });
+
+      if (options.adminRoutes) {
+        fastify.register(this.fastifyAdminRoutes(), { prefix: options.adminPrefix });
+      }
+
+      done();
+    };
+
+    // Same as fastify-plugin: hooks apply to the parent scope
+    plugin[Symbol.for('skip-override')] = true;
+    return plugin;
+  }
+
+  /**
+   * Fastify plugin registering the admin API routes
+   */
+  fastifyAdminRoutes() {
+    return (fastify, options, done) => {
+      const routes = this.apiManager.createRoutes();
+      const apiMiddleware = this.apiManager.apiMiddleware();
+
+      Object.entries(routes).forEach(([route, handler]) => {
+        const [method, url] = route.split(' ');
 
+        fastify.route({
+          method,
+          url,
+          handler: (request, reply) => {
+            const res = this.createFastifyResponse(reply);
+            apiMiddleware(request, res, () => handler(request, res));
+          }
+        });
+      });
+
+      done();
+    };
+  }
+
+  /**
+   * Framework-neutral request inspection
+   * Accepts { method, url, headers, rawHeaders, body, remoteAddress } and returns the decision
+   */
+  inspect(request) {
+    const { path, query } = this.parseURL(request.url);
+    const headers = this.normalizeHeaders(request.headers);
+    const context = {
+      ip: request.remoteAddress || 'unknown',
+      method: (request.method || 'GET').toUpperCase(),
+      url: request.url,
+      headers
+    };
+
+    if (this.shouldSkipPath(path)) {
+      return this.createAllowDecision(null, 'Path skipped');
+    }
+
+    const analysis = this.buildAnalysis({
+      ip: context.ip,
+      userAgent: headers['user-agent'] || '',
+      method: context.method,
+      url: request.url,
+      path,
+      query,
+      body: request.body,
+      headers,
+      rawHeaders: request.rawHeaders || this.toRawHeaders(request.headers),
+      cookies: this.parseCookies(headers.cookie)
+    });
+
+    const decision = this.processAnalysis(context, analysis);
+
+    if (decision.action !== 'allow') {
+      this.recordBlock(context, decision);
+    }
+
+    return decision;
+  }
+
+  /**
+   * Wrap a plain node:http request handler
+   * Bodies are only inspected when an earlier layer has set req.body
+   */
+  httpHandler(handler) {
+    return (req, res) => {
+      try {
+        const decision = this.inspect({
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          rawHeaders: req.rawHeaders,
+          body: req.body,
+          remoteAddress: req.socket ? req.socket.remoteAddress : undefined
+        });
+
+        req.wafTags = decision.tags;
+
+        if (decision.action !== 'allow') {
+          const { status, headers, body } = this.createResponse(decision);
+          res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+          res.end(JSON.stringify(body));
+          return;
+        }
       } catch (error) {
         this.emit('error', error);
         // In case of error, allow request to continue
-        next();
       }
+
+      return handler(req, res);
     };
   }
 
   /**
-   * Analyze incoming request for threats
+   * Record an analyzed request and decide whether it must be blocked, redirected or challenged
+   * In learning and dry run mode the returned action is always 'allow'
+   * A decision the rule engine already made for this analysis can be passed to skip evaluation
+   */
+  processAnalysis(req, analysis, evaluated = null) {
+    // Update stats
+    this.statsCollector.recordRequest(req, analysis);
+
+    // Check if in learning mode
+    if (this.isLearningMode) {
+      this.handleLearningMode(req, analysis);
+      return this.createAllowDecision(analysis, 'Learning mode');
+    }
+
+    // Apply rules and make decision
+    const decision = evaluated || this.ruleEngine.evaluate(analysis);
+    
+    // Log-only rules are reported without affecting the decision
+    const loggedRules = decision.matchedRules.filter(rule => rule.action && rule.action.type === 'log');
+    if (loggedRules.length > 0) {
+      this.statsCollector.recordThreat(req, analysis, 'logged');
+      this.emit('threat-detected', {
+        type: 'log',
+        request: req,
+        analysis,
+        rules: loggedRules.map(rule => rule.id)
+      });
+    }
+    
+    if (decision.action !== 'allow' && this.config.dryRun) {
+      // In dry run mode, log but don't block
+      this.statsCollector.recordThreat(req, analysis, 'dry-run');
+      this.emit('threat-detected', {
+        type: 'dry-run',
+        request: req,
+        analysis
+      });
+      decision.dryRunAction = decision.action;
+      decision.action = 'allow';
+      decision.dryRun = true;
+    }
+
+    return decision;
+  }
+
+  /**
+   * Create a decision for requests that are never evaluated
+   */
+  createAllowDecision(analysis, reason) {
+    return {
+      action: 'allow',
+      score: analysis ? analysis.score : 0,
+      reason,
+      requestId: this.ruleEngine.generateRequestId(),
+      analysis,
+      matchedRules: [],
+      exclusions: [],
+      tags: []
+    };
+  }
+
+  /**
+   * Analyze incoming Express request for threats
    */
   analyzeRequest(req) {
-    const analysis = {
-      timestamp: new Date(),
+    return this.buildAnalysis({
       ip: this.getClientIP(req),
       userAgent: req.get('User-Agent') || '',
       method: req.method,
+      url: req.originalUrl,
       path: req.path,
       query: req.query,
       body: req.body,
       headers: req.headers,
+      rawHeaders: req.rawHeaders,
       cookies: req.cookies || {},
+      files: req.files || (req.file ? [req.file] : [])
+    });
+  }
+
+  /**
+   * Analyze incoming Koa request for threats
+   */
+  analyzeKoaRequest(ctx) {
+    return this.buildAnalysis({
+      ip: ctx.request.ip || 'unknown',
+      userAgent: ctx.get('User-Agent') || '',
+      method: ctx.method,
+      url: ctx.originalUrl,
+      path: ctx.path,
+      query: ctx.query,
+      body: ctx.request.body,
+      headers: ctx.headers,
+      rawHeaders: ctx.req.rawHeaders,
+      cookies: this.parseCookies(ctx.get('Cookie')),
+      files: ctx.request.files || []
+    });
+  }
+
+  /**
+   * Analyze incoming Fastify request for threats
+   * The body is not parsed yet and is added later by analyzeBody
+   */
+  analyzeFastifyRequest(request) {
+    return this.buildAnalysis({
+      ip: request.ip || 'unknown',
+      userAgent: request.headers['user-agent'] || '',
+      method: request.method,
+      url: request.raw.url,
+      path: request.url.split('?')[0],
+      query: request.query,
+      body: undefined,
+      headers: request.headers,
+      rawHeaders: request.raw.rawHeaders,
+      cookies: this.parseCookies(request.headers.cookie)
+    });
+  }
+
+  /**
+   * Build analysis object and run enabled modules against it
+   */
+  buildAnalysis(request) {
+    const analysis = {
+      timestamp: new Date(),
+      ip: request.ip,
+      userAgent: request.userAgent,
+      method: request.method,
+      url: request.url || request.path,
+      path: request.path,
+      query: request.query,
+      body: request.body,
+      headers: request.headers,
+      // Header names and values as received, including duplicates
+      rawHeaders: request.rawHeaders || [],
+      cookies: request.cookies,
+      files: request.files || [],
+      // Decoded XML text nodes for content modules
+      xmlTexts: this.xmlExtractor.extract(request.body, request.headers),
+      // Decoded and normalized values, computed once and shared by modules and rules
+      normalizer: this.transformer.forRequest(),
       score: 0,
       threats: [],
       modules: []
     };
 
+    // Typed targets (ARGS:name, REQUEST_HEADERS:name, ...) extracted once for modules and rules
+    analysis.targets = this.targetExtractor.extract(analysis);
+
     // Run enabled modules
-    this.config.modules.forEach(moduleName => {
-      const module = this.ruleEngine.getModule(moduleName);
-      if (module) {
-        const moduleResult = module.analyze(analysis);
-        if (moduleResult) {
-          analysis.score += moduleResult.score;
-          analysis.threats.push(...moduleResult.threats);
-          analysis.modules.push(moduleName);
-        }
-      }
-    });
+    this.runModules(analysis, analysis);
 
     // Calculate anomaly score
     const anomalyResult = this.anomalyScorer.calculateScore(analysis);
@@ -129,6 +453,48 @@ class WAFMiddleware extends EventEmitter {
     return analysis;
   }
 
+  /**
+   * Add a parsed request body to an existing analysis
+   * Only the body is inspected so earlier findings are not counted twice
+   */
+  analyzeBody(analysis, body) {
+    analysis.body = body;
+    analysis.xmlTexts = this.xmlExtractor.extract(body, analysis.headers);
+
+    const bodyTargets = this.targetExtractor.extractBody(analysis);
+    analysis.targets = [...this.targetExtractor.extractRequest(analysis), ...bodyTargets];
+
+    const bodyTarget = {
+      ...analysis,
+      path: '',
+      query: {},
+      headers: {},
+      cookies: {},
+      targets: bodyTargets
+    };
+
+    this.runModules(analysis, bodyTarget, module => module.inspectsContent !== false);
+  }
+
+  /**
+   * Run enabled modules against a target and merge results into the analysis
+   */
+  runModules(analysis, target, filter = () => true) {
+    this.config.modules.forEach(moduleName => {
+      const module = this.ruleEngine.getModule(moduleName);
+      if (module && filter(module)) {
+        const moduleResult = module.analyze(target);
+        if (moduleResult) {
+          analysis.score += moduleResult.score;
+          analysis.threats.push(...moduleResult.threats);
+          if (!analysis.modules.includes(moduleName)) {
+            analysis.modules.push(moduleName);
+          }
+        }
+      }
+    });
+  }
+
   /**
    * Handle learning mode - log but don't block
    */
@@ -154,22 +520,112 @@ class WAFMiddleware extends EventEmitter {
   }
 
   /**
-   * Handle blocked request
+   * Handle blocked, redirected or challenged request
    */
   handleBlock(req, res, decision) {
-    this.statsCollector.recordThreat(req, decision.analysis, 'blocked');
+    this.recordBlock(req, decision);
+
+    // Send block response
+    const { status, headers, body } = this.createResponse(decision);
+    res.status(status).set(headers).json(body);
+  }
+
+  /**
+   * Handle blocked, redirected or challenged Koa request
+   */
+  handleKoaBlock(ctx, decision) {
+    this.recordBlock(ctx.request, decision);
+
+    const { status, headers, body } = this.createResponse(decision);
+    ctx.set(headers);
+    ctx.status = status;
+    ctx.body = body;
+  }
+
+  /**
+   * Handle blocked, redirected or challenged Fastify request
+   */
+  handleFastifyBlock(request, reply, decision) {
+    this.recordBlock(request, decision);
+
+    const { status, headers, body } = this.createResponse(decision);
+    reply.code(status).headers(headers).send(body);
+  }
+
+  /**
+   * Wrap a Fastify reply with the Express response methods used by the API handlers
+   */
+  createFastifyResponse(reply) {
+    return {
+      status(code) {
+        reply.code(code);
+        return this;
+      },
+      set(name, value) {
+        reply.header(name, value);
+        return this;
+      },
+      json(body) {
+        reply.send(body);
+        return this;
+      },
+      send(body) {
+        reply.send(body);
+        return this;
+      }
+    };
+  }
+
+  /**
+   * Record stats, metrics and events for a blocked, redirected or challenged request
+   */
+  recordBlock(req, decision) {
+    const stopped = STOPPED[decision.action] || STOPPED.block;
+    this.statsCollector.recordThreat(req, decision.analysis, stopped.stat);
     
     // Record metrics
     this.prometheusMetrics.recordBlock(decision.reason, decision.analysis.modules.join(','));
-    this.prometheusMetrics.recordThreat('blocked', 'high', decision.analysis.score, decision.analysis.modules.join(','));
+    this.prometheusMetrics.recordThreat(stopped.stat, 'high', decision.analysis.score, decision.analysis.modules.join(','));
     
-    this.emit('request-blocked', {
+    this.emit(stopped.event, {
       request: req,
       decision
     });
+  }
 
-    // Send block response
-    res.status(403).json({
+  /**
+   * Create the status, headers and body sent for a decision that stops the request
+   */
+  createResponse(decision) {
+    if (decision.action === 'redirect') {
+      return {
+        status: decision.status,
+        headers: { Location: decision.redirectUrl },
+        body: { message: 'Redirected by WAF', location: decision.redirectUrl, requestId: decision.requestId }
+      };
+    }
+
+    if (decision.action === 'challenge') {
+      return {
+        status: decision.status,
+        headers: {},
+        body: {
+          error: 'Challenge required by WAF',
+          reason: decision.reason,
+          requestId: decision.requestId,
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+
+    return { status: decision.status || 403, headers: {}, body: this.createBlockResponse(decision) };
+  }
+
+  /**
+   * Create block response payload
+   */
+  createBlockResponse(decision) {
+    return {
       error: 'Request blocked by WAF',
       reason: decision.reason,
       requestId: decision.requestId,
@@ -177,7 +633,7 @@ class WAFMiddleware extends EventEmitter {
       anomalyScore: decision.analysis.anomalyScore,
       threats: decision.analysis.threats.map(t => t.description),
       timestamp: new Date().toISOString()
-    });
+    };
   }
 
   /**
@@ -214,6 +670,83 @@ class WAFMiddleware extends EventEmitter {
            'unknown';
   }
 
+  /**
+   * Split a request URL into path and query parameters
+   * The path is kept as received: "//host/..." is not read as a host and dot segments are not
+   * resolved, so skipPaths and modules see what the application will route
+   * Repeated parameters are collected into arrays, as Express does
+   */
+  parseURL(url) {
+    const target = url || '/';
+    const index = target.indexOf('?');
+    // No prototype, so a parameter named __proto__ is kept like any other
+    const query = Object.create(null);
+
+    new URLSearchParams(index < 0 ? '' : target.substring(index + 1)).forEach((value, key) => {
+      if (Object.prototype.hasOwnProperty.call(query, key)) {
+        query[key] = [].concat(query[key], value);
+      } else {
+        query[key] = value;
+      }
+    });
+
+    return { path: index < 0 ? target : target.substring(0, index), query };
+  }
+
+  /**
+   * Lowercase header names and join multi-value headers
+   */
+  normalizeHeaders(headers = {}) {
+    const normalized = Object.create(null);
+
+    Object.entries(headers).forEach(([name, value]) => {
+      normalized[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : value;
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Flatten a header map into the [name, value, ...] list node:http exposes as rawHeaders
+   */
+  toRawHeaders(headers = {}) {
+    const rawHeaders = [];
+
+    Object.entries(headers).forEach(([name, value]) => {
+      (Array.isArray(value) ? value : [value]).forEach(entry => {
+        rawHeaders.push(name, String(entry));
+      });
+    });
+
+    return rawHeaders;
+  }
+
+  /**
+   * Parse a Cookie header into a name/value map
+   * The map has no prototype so a __proto__ cookie is kept (and inspected) as a plain entry
+   */
+  parseCookies(header) {
+    const cookies = Object.create(null);
+    if (!header) return cookies;
+
+    header.split(';').forEach(pair => {
+      const index = pair.indexOf('=');
+      if (index < 0) return;
+
+      const name = pair.substring(0, index).trim();
+      const value = pair.substring(index + 1).trim();
+      if (!name) return;
+
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[name] = value;
+      }
+    });
+
+    return cookies;
+  }
+
   /**
    * Stats endpoint middleware
    */
@@ -249,6 +782,14 @@ class WAFMiddleware extends EventEmitter {
     return this.apiManager.createRoutes();
   }
 
+  /**
+   * Get Express router serving every API route
+   * Options: prefix prepended to the /waf paths, auth middleware run before handlers
+   */
+  adminRouter(options = {}) {
+    return this.apiManager.createRouter(options);
+  }
+
   /**
    * Get API middleware
    */
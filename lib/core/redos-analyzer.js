@@ -0,0 +1,171 @@
+/**
+ * ReDoS Analyzer - Static detection of catastrophic backtracking in rule patterns
+ */
+
+// Broad atoms and the leading characters of other branches they overlap with
+const OVERLAPS = {
+  '.': /^(?!\\n)/,
+  '\\w': /^([A-Za-z0-9_]|\\w|\\d)/,
+  '\\d': /^([0-9]|\\d)/,
+  '\\s': /^([ \t]|\\s|\\t)/,
+  '\\S': /^(?!\\s|[ \t])/
+};
+
+class ReDoSAnalyzer {
+  /**
+   * Analyze a pattern (RegExp or source string)
+   * Returns { safe, issues } where each issue has type, severity, description and fragment
+   */
+  analyze(pattern) {
+    const source = pattern instanceof RegExp ? pattern.source : String(pattern);
+    const issues = [];
+    const root = this.createGroup(0);
+    const stack = [root];
+    let index = 0;
+
+    while (index < source.length) {
+      const current = stack[stack.length - 1];
+      const char = source[index];
+
+      if (char === '(') {
+        const group = this.createGroup(index);
+        index += this.groupPrefixLength(source, index);
+        stack.push(group);
+        continue;
+      }
+
+      if (char === ')' && stack.length > 1) {
+        const group = stack.pop();
+        const parent = stack[stack.length - 1];
+        group.branches.push(source.substring(group.branchStart, index));
+        const quantifier = this.readQuantifier(source, index + 1);
+        const fragment = source.substring(group.start, index + 1 + quantifier.length);
+
+        if (quantifier.unbounded && group.hasUnbounded) {
+          issues.push(this.createIssue('nested-quantifier', 'exponential',
+            'Quantified group contains an unbounded quantifier', fragment));
+        } else if (quantifier.unbounded && this.hasOverlappingBranches(group.branches)) {
+          issues.push(this.createIssue('overlapping-alternation', 'exponential',
+            'Quantified alternation has overlapping branches', fragment));
+        }
+
+        parent.hasUnbounded = parent.hasUnbounded || group.hasUnbounded || quantifier.unbounded;
+        this.trackAtom(parent, quantifier.unbounded ? { atom: fragment, text: fragment } : null, issues);
+        index += 1 + quantifier.length;
+        continue;
+      }
+
+      if (char === '|') {
+        current.branches.push(source.substring(current.branchStart, index));
+        current.branchStart = index + 1;
+        current.lastUnbounded = null;
+        index++;
+        continue;
+      }
+
+      const atomLength = this.atomLength(source, index);
+      const atom = source.substring(index, index + atomLength);
+      const quantifier = this.readQuantifier(source, index + atomLength);
+
+      if (quantifier.unbounded) {
+        current.hasUnbounded = true;
+      }
+      this.trackAtom(current, quantifier.unbounded ?
+        { atom, text: source.substring(index, index + atomLength + quantifier.length) } : null, issues);
+      index += atomLength + quantifier.length;
+    }
+
+    return { safe: issues.length === 0, issues };
+  }
+
+  /**
+   * Create group state while scanning
+   */
+  createGroup(start) {
+    return { start, branchStart: start + 1, branches: [], hasUnbounded: false, lastUnbounded: null };
+  }
+
+  /**
+   * Flag adjacent unbounded atoms that can match the same text, e.g. \d+\d+ or .*.*
+   */
+  trackAtom(group, unbounded, issues) {
+    const previous = group.lastUnbounded;
+    if (unbounded && previous &&
+        (unbounded.atom === previous.atom || unbounded.atom === '.' || previous.atom === '.')) {
+      issues.push(this.createIssue('adjacent-quantifiers', 'polynomial',
+        'Adjacent unbounded quantifiers match the same characters',
+        `${previous.text}${unbounded.text}`));
+    }
+    group.lastUnbounded = unbounded;
+  }
+
+  /**
+   * Check whether alternation branches can match the same input
+   */
+  hasOverlappingBranches(branches) {
+    if (branches.length < 2) return false;
+
+    return branches.some((branch, i) => branches.some((other, j) => {
+      if (i === j) return false;
+      if (branch === other) return true;
+      if (branch === '' || other === '') return true;
+      if (other.startsWith(branch)) return true;
+      return OVERLAPS[branch] !== undefined && OVERLAPS[branch].test(other);
+    }));
+  }
+
+  /**
+   * Length of the group opener, e.g. ( or (?: or (?<name>
+   */
+  groupPrefixLength(source, index) {
+    const match = source.substring(index).match(/^\((\?(<[A-Za-z_$][\w$]*>|<[=!]|[:=!]))?/);
+    return match[0].length;
+  }
+
+  /**
+   * Length of the atom starting at index: escape, character class or single character
+   */
+  atomLength(source, index) {
+    if (source[index] === '\\') {
+      const unicode = source.substring(index).match(/^\\(u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[pP]\{[^}]+\}|c[A-Za-z])/);
+      return unicode ? unicode[0].length : 2;
+    }
+
+    if (source[index] === '[') {
+      let end = index + 1;
+      if (source[end] === '^') end++;
+      if (source[end] === ']') end++;
+      while (end < source.length && source[end] !== ']') {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      return end - index + 1;
+    }
+
+    return 1;
+  }
+
+  /**
+   * Read a quantifier at index and report whether it is unbounded
+   * Bounded repeats above 100 are treated as unbounded
+   */
+  readQuantifier(source, index) {
+    const match = source.substring(index).match(/^([*+?]|\{(\d+)(,(\d*))?\})\??/);
+    if (!match) {
+      return { length: 0, unbounded: false };
+    }
+
+    const unbounded = match[1] === '*' || match[1] === '+' ||
+      (match[3] !== undefined && (match[4] === '' || Number(match[4]) > 100));
+
+    return { length: match[0].length, unbounded };
+  }
+
+  /**
+   * Create an issue entry
+   */
+  createIssue(type, severity, description, fragment) {
+    return { type, severity, description, fragment };
+  }
+}
+
+module.exports = ReDoSAnalyzer;
@@ -0,0 +1,137 @@
+/**
+ * Rule Actions - What a matched rule does besides adding its score
+ *
+ * An action is a type name or { type, ...options }:
+ * deny { status }, redirect { url, status }, challenge { status }, tag { tags }, log and allow
+ */
+
+const isStatus = (status, min, max) => Number.isInteger(status) && status >= min && status <= max;
+
+// Action types with their option check (returns an error or null) and defaults
+const ACTIONS = {
+  deny: {
+    validate: action => (action.status === undefined || isStatus(action.status, 400, 599) ?
+      null : 'status must be an HTTP error status (400-599)'),
+    defaults: { status: 403 }
+  },
+  redirect: {
+    validate: (action) => {
+      if (typeof action.url !== 'string' || action.url === '') return 'url is required';
+      return action.status === undefined || [301, 302, 303, 307, 308].includes(action.status) ?
+        null : 'status must be 301, 302, 303, 307 or 308';
+    },
+    defaults: { status: 302 }
+  },
+  challenge: {
+    validate: action => (action.status === undefined || isStatus(action.status, 400, 499) ?
+      null : 'status must be an HTTP client error status (400-499)'),
+    defaults: { status: 429 }
+  },
+  tag: {
+    validate: (action) => {
+      const tags = [].concat(action.tags);
+      return tags.length > 0 && tags.every(tag => typeof tag === 'string' && tag !== '') ?
+        null : 'tags must list at least one tag';
+    },
+    defaults: {}
+  },
+  log: {
+    validate: () => null,
+    defaults: {}
+  },
+  allow: {
+    validate: () => null,
+    defaults: {}
+  }
+};
+
+// Disruptive actions in the order they win; a score over the threshold blocks right after deny
+const PRIORITY = ['allow', 'deny', 'threshold', 'redirect', 'challenge'];
+
+class RuleActions {
+  /**
+   * Validate a rule action, returning a list of errors (empty when valid)
+   */
+  validate(action, path = 'action') {
+    const options = typeof action === 'string' ? { type: action } : action;
+
+    if (!options || typeof options !== 'object' || Array.isArray(options) || typeof options.type !== 'string') {
+      return [`${path}: must be an action name or an object with a type`];
+    }
+    if (!Object.prototype.hasOwnProperty.call(ACTIONS, options.type)) {
+      return [`${path}.type: unknown action "${options.type}" (expected one of ${Object.keys(ACTIONS).join(', ')})`];
+    }
+
+    const error = ACTIONS[options.type].validate(options);
+    return error ? [`${path}: ${error}`] : [];
+  }
+
+  /**
+   * Turn a validated action into { type, ...options } with defaults filled in
+   */
+  normalize(action) {
+    const options = typeof action === 'string' ? { type: action } : action;
+    const normalized = { ...ACTIONS[options.type].defaults, ...options };
+
+    if (normalized.type === 'tag') {
+      normalized.tags = [].concat(normalized.tags);
+    }
+    return normalized;
+  }
+
+  /**
+   * Whether a matched rule with this action adds its score
+   * Log-only and allow rules are reported without scoring
+   */
+  scores(action) {
+    return !action || (action.type !== 'log' && action.type !== 'allow');
+  }
+
+  /**
+   * Apply the actions of matched rules to a decision in priority order
+   * Sets action, reason and status (plus redirectUrl for redirects), and collects tags
+   */
+  resolve(decision, threshold) {
+    const find = type => decision.matchedRules.find(rule => rule.action && rule.action.type === type);
+    const winner = PRIORITY.map(type => {
+      if (type === 'threshold') return decision.score >= threshold ? { type } : null;
+      const rule = find(type);
+      return rule ? { type, rule } : null;
+    }).find(Boolean);
+
+    decision.tags = [...new Set(decision.matchedRules
+      .filter(rule => rule.action && rule.action.type === 'tag')
+      .reduce((tags, rule) => tags.concat(rule.action.tags), []))];
+
+    if (!winner) return decision;
+
+    const { type, rule } = winner;
+    if (type === 'threshold') {
+      decision.action = 'block';
+      decision.status = 403;
+      decision.reason = `Threat score ${decision.score} exceeds threshold ${threshold}`;
+    } else if (type === 'allow') {
+      decision.action = 'allow';
+      decision.reason = `Allowed by rule ${rule.id}`;
+    } else if (type === 'deny') {
+      decision.action = 'block';
+      decision.status = rule.action.status;
+      decision.reason = `Denied by rule ${rule.id}`;
+    } else if (type === 'redirect') {
+      decision.action = 'redirect';
+      decision.status = rule.action.status;
+      decision.redirectUrl = rule.action.url;
+      decision.reason = `Redirected by rule ${rule.id}`;
+    } else {
+      decision.action = 'challenge';
+      decision.status = rule.action.status;
+      decision.reason = `Challenge required by rule ${rule.id}`;
+    }
+
+    return decision;
+  }
+}
+
+RuleActions.ACTIONS = Object.keys(ACTIONS);
+
+module.exports = RuleActions;
@@ -0,0 +1,409 @@
+/**
+ * Rule Conditions - Declarative rule conditions with targets, operators, negation and all/any groups
+ *
+ * A condition is a group, { all: [...] } or { any: [...] }, or a leaf
+ * { targets, operator, value, transforms }; both accept negate: true
+ *
+ * Chain links can reference earlier matches with %{TX.1} / %{TX.name} (regex captures),
+ * %{MATCHED_VAR} and %{MATCHED_VAR_NAME} in their values and targets
+ */
+
+const net = require('net');
+const Transformer = require('./transformer');
+const TargetExtractor = require('./target-extractor');
+
+const COMPARISONS = {
+  eq: (actual, expected) => actual === expected,
+  gt: (actual, expected) => actual > expected,
+  ge: (actual, expected) => actual >= expected,
+  lt: (actual, expected) => actual < expected,
+  le: (actual, expected) => actual <= expected
+};
+
+/**
+ * Parse an IPv4 or IPv6 address into { version, value } with a BigInt value
+ * IPv4-mapped IPv6 addresses such as ::ffff:10.0.0.1 are treated as IPv4
+ */
+function parseIP(address) {
+  const text = String(address).trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+  if (net.isIPv4(text)) {
+    return { version: 4, value: text.split('.').reduce((value, octet) => (value << 8n) + BigInt(octet), 0n) };
+  }
+  if (!net.isIPv6(text)) return null;
+
+  // Expand "::" and an embedded IPv4 tail into eight 16-bit groups
+  let groups = text.replace(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/, (tail, a, b, c, d) =>
+    `${((+a << 8) + +b).toString(16)}:${((+c << 8) + +d).toString(16)}`).split('::');
+  const head = groups[0] ? groups[0].split(':') : [];
+  const rest = groups.length > 1 && groups[1] ? groups[1].split(':') : [];
+  groups = [...head, ...Array(8 - head.length - rest.length).fill('0'), ...rest];
+
+  return { version: 6, value: groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n) };
+}
+
+/**
+ * Parse "10.0.0.0/8", "2001:db8::/32" or a single address into a range
+ */
+function parseCIDR(entry) {
+  const [address, prefix] = String(entry).trim().split('/');
+  const ip = parseIP(address);
+  if (!ip) return null;
+
+  const bits = ip.version === 4 ? 32 : 128;
+  const length = prefix === undefined ? bits : Number(prefix);
+  if (!Number.isInteger(length) || length < 0 || length > bits) return null;
+
+  const mask = ((1n << BigInt(length)) - 1n) << BigInt(bits - length);
+  return { version: ip.version, mask, network: ip.value & mask };
+}
+
+/**
+ * Split list values given as "a b c" or "a,b" strings into arrays
+ */
+function toList(value, separator) {
+  return (Array.isArray(value) ? value : String(value).split(separator))
+    .map(entry => String(entry).trim())
+    .filter(Boolean);
+}
+
+const isNumber = value => typeof value === 'number' && !isNaN(value);
+
+const MACRO = /%\{([^}]*)\}/g;
+const MACRO_NAME = /^(?:TX\.\w+|MATCHED_VAR|MATCHED_VAR_NAME)$/i;
+
+/**
+ * Apply a replacer to the macros in a string or in each string of an array
+ */
+function substitute(value, replacer) {
+  if (typeof value === 'string') return value.replace(MACRO, replacer);
+  return Array.isArray(value) ? value.map(entry => substitute(entry, replacer)) : value;
+}
+
+/**
+ * List the macros used in a leaf's value and targets
+ */
+function findMacros(leaf) {
+  const macros = [];
+  substitute([].concat(leaf.value, leaf.targets), macro => macros.push(macro));
+  return macros;
+}
+
+const numeric = comparison => ({
+  validate: value => (isNumber(value) ? null : 'value must be a number'),
+  compile: value => value,
+  test: (value, text) => text.trim() !== '' && !isNaN(Number(text)) && COMPARISONS[comparison](Number(text), value)
+});
+
+// Operators with their value check (returns an error or null), compile and per-value test
+const OPERATORS = {
+  rx: {
+    validate: (value, leaf) => {
+      if (value instanceof RegExp) return null;
+      if (typeof value !== 'string') return 'value must be a regex string';
+      try {
+        new RegExp(value, leaf.flags !== undefined ? leaf.flags : 'gi');
+        return null;
+      } catch (error) {
+        return `invalid regex: ${error.message}`;
+      }
+    },
+    compile: (value, leaf) => (value instanceof RegExp ? value : new RegExp(value, leaf.flags !== undefined ? leaf.flags : 'gi')),
+    test: (pattern, text) => {
+      // Reset regex lastIndex for global patterns
+      pattern.lastIndex = 0;
+      return pattern.exec(text);
+    }
+  },
+  equals: {
+    validate: value => (typeof value === 'string' || isNumber(value) ? null : 'value must be a string or number'),
+    compile: value => String(value),
+    test: (value, text) => text === value
+  },
+  contains: {
+    validate: value => (typeof value === 'string' && value !== '' ? null : 'value must be a non-empty string'),
+    compile: value => value,
+    test: (value, text) => text.includes(value)
+  },
+  pm: {
+    validate: value => (toList(value, /\s+/).length > 0 ? null : 'value must list at least one phrase'),
+    compile: value => toList(value, /\s+/).map(phrase => phrase.toLowerCase()),
+    test: (phrases, text) => {
+      const lower = text.toLowerCase();
+      return phrases.some(phrase => lower.includes(phrase));
+    }
+  },
+  ipMatch: {
+    validate: (value) => {
+      const entries = toList(value, ',');
+      if (entries.length === 0) return 'value must list at least one IP address or CIDR range';
+      const invalid = entries.find(entry => !parseCIDR(entry));
+      return invalid ? `invalid IP address or CIDR range "${invalid}"` : null;
+    },
+    compile: value => toList(value, ',').map(parseCIDR),
+    test: (ranges, text) => {
+      const ip = parseIP(text);
+      return Boolean(ip) && ranges.some(range => range.version === ip.version && (ip.value & range.mask) === range.network);
+    }
+  },
+  eq: numeric('eq'),
+  gt: numeric('gt'),
+  ge: numeric('ge'),
+  lt: numeric('lt'),
+  le: numeric('le'),
+  length: {
+    validate: (value) => {
+      const keys = value && typeof value === 'object' ? Object.keys(value) : [];
+      if (keys.length === 0) return 'value must be a comparison such as { "gt": 100 }';
+      const invalid = keys.find(key => !COMPARISONS[key] || !isNumber(value[key]));
+      return invalid ? `invalid length comparison "${invalid}" (use eq, gt, ge, lt or le with a number)` : null;
+    },
+    compile: value => Object.entries(value),
+    test: (comparisons, text) => comparisons.every(([key, expected]) => COMPARISONS[key](text.length, expected))
+  },
+  exists: {
+    validate: () => null,
+    compile: () => null,
+    test: () => true
+  }
+};
+
+class RuleConditions {
+  constructor(config = {}) {
+    this.config = config;
+    this.transformer = new Transformer(config);
+    this.maxInputLength = (config.redos && config.redos.maxInputLength) || 8192;
+    this.compiled = new WeakMap();
+  }
+
+  /**
+   * Validate a condition tree, returning a list of errors (empty when valid)
+   * Each error names the offending path, e.g. "conditions.all[1].operator: unknown operator"
+   * Macros are only accepted where allowMacros is set, i.e. in chain links
+   */
+  validate(condition, path = 'conditions', allowMacros = false) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+      return [`${path}: must be an object`];
+    }
+
+    const errors = [];
+    if (condition.negate !== undefined && typeof condition.negate !== 'boolean') {
+      errors.push(`${path}.negate: must be true or false`);
+    }
+
+    const groups = ['all', 'any'].filter(key => condition[key] !== undefined);
+    if (groups.length > 1) {
+      return [...errors, `${path}: use either all or any, not both`];
+    }
+
+    if (groups.length === 1) {
+      const key = groups[0];
+      const children = condition[key];
+      if (condition.operator !== undefined) {
+        errors.push(`${path}: a group cannot also have an operator`);
+      }
+      if (!Array.isArray(children) || children.length === 0) {
+        return [...errors, `${path}.${key}: must be a non-empty array of conditions`];
+      }
+      children.forEach((child, index) => errors.push(...this.validate(child, `${path}.${key}[${index}]`, allowMacros)));
+      return errors;
+    }
+
+    return [...errors, ...this.validateLeaf(condition, path, allowMacros)];
+  }
+
+  /**
+   * Validate a single operator condition
+   */
+  validateLeaf(leaf, path, allowMacros) {
+    const errors = [];
+    const operator = OPERATORS[leaf.operator];
+
+    if (leaf.operator === undefined) {
+      return [`${path}: needs an operator, or an all/any group`];
+    }
+    if (!Object.prototype.hasOwnProperty.call(OPERATORS, leaf.operator)) {
+      return [`${path}.operator: unknown operator "${leaf.operator}" (expected one of ${Object.keys(OPERATORS).join(', ')})`];
+    }
+
+    const macros = findMacros(leaf);
+    if (macros.length > 0 && !allowMacros) {
+      errors.push(`${path}: ${macros[0]} can only be used in chain links`);
+    }
+    macros.filter(macro => !MACRO_NAME.test(macro.slice(2, -1))).forEach(macro => {
+      errors.push(`${path}: unknown macro ${macro} (use %{TX.1}, %{TX.name}, %{MATCHED_VAR} or %{MATCHED_VAR_NAME})`);
+    });
+    // Check values and targets with a stand-in for what the macros expand to
+    const placeholder = () => 'x';
+
+    if (leaf.operator !== 'exists' && leaf.value === undefined) {
+      errors.push(`${path}.value: required for ${leaf.operator}`);
+    } else {
+      const error = operator.validate(substitute(leaf.value, placeholder), leaf);
+      if (error) errors.push(`${path}.value: ${error}`);
+    }
+
+    [['targets', value => TargetExtractor.parse(value)], ['transforms', value => this.transformer.parse(value)]]
+      .forEach(([field, parse]) => {
+        if (leaf[field] === undefined) return;
+        try {
+          parse(substitute(leaf[field], placeholder));
+        } catch (error) {
+          errors.push(`${path}.${field}: ${error.message}`);
+        }
+      });
+
+    return errors;
+  }
+
+  /**
+   * Get the regexes used by rx conditions, for ReDoS checks
+   */
+  patterns(condition) {
+    const children = condition.all || condition.any;
+    if (children) {
+      return children.reduce((all, child) => all.concat(this.patterns(child)), []);
+    }
+
+    return condition.operator === 'rx' ? [this.compile(condition).value] : [];
+  }
+
+  /**
+   * Compile a validated condition once, caching by condition object
+   * Leaves with macros are compiled for each evaluation since their values depend on earlier links
+   */
+  compile(condition, context = {}) {
+    if (this.compiled.has(condition)) return this.compiled.get(condition);
+
+    const group = condition.all ? 'all' : (condition.any ? 'any' : null);
+    if (!group && findMacros(condition).length > 0) {
+      return this.compileLeaf(this.expand(condition, context));
+    }
+
+    const compiled = group ?
+      {
+        group,
+        negate: condition.negate === true,
+        children: condition[group]
+      } :
+      this.compileLeaf(condition);
+
+    this.compiled.set(condition, compiled);
+    return compiled;
+  }
+
+  /**
+   * Compile a leaf's targets, transforms and operator value
+   */
+  compileLeaf(leaf) {
+    return {
+      operator: leaf.operator,
+      negate: leaf.negate === true,
+      targets: leaf.targets !== undefined ? TargetExtractor.parse(leaf.targets) : undefined,
+      transforms: leaf.transforms !== undefined ? this.transformer.parse(leaf.transforms) : [],
+      value: OPERATORS[leaf.operator].compile(leaf.value, leaf)
+    };
+  }
+
+  /**
+   * Replace the macros in a leaf's value and targets from the context of earlier links
+   * Captured text is escaped in rx values and regex selectors so it is matched literally,
+   * and a selector name with macros becomes a literal name however the expanded text reads
+   */
+  expand(leaf, context) {
+    const resolve = escape => (macro, name) => {
+      const upper = name.toUpperCase();
+      let value;
+      if (upper === 'MATCHED_VAR') value = context.matchedVar;
+      else if (upper === 'MATCHED_VAR_NAME') value = context.matchedVarName;
+      else value = context.captures && context.captures[name.substring(3)];
+
+      const text = value === undefined || value === null ? '' : String(value);
+      return escape ? text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&') : text;
+    };
+
+    return {
+      ...leaf,
+      value: substitute(leaf.value, resolve(leaf.operator === 'rx')),
+      targets: leaf.targets !== undefined ? TargetExtractor.parse(leaf.targets).map(selector => {
+        const parsed = TargetExtractor.parseSelector(selector);
+        if (findMacros({ targets: selector }).length === 0) return parsed;
+
+        // Expand into the selector's own name text, so "|" or "/" in captured text cannot change its shape
+        const name = selector.substring(selector.indexOf(':') + 1);
+        return parsed.name instanceof RegExp ?
+          { ...parsed, name: new RegExp(substitute(name.slice(1, name.lastIndexOf('/')), resolve(true)), parsed.name.flags) } :
+          { ...parsed, name: substitute(name, resolve(false)) };
+      }) : undefined
+    };
+  }
+
+  /**
+   * Evaluate a condition against request targets
+   * Returns { matched, target, captures } where target is the first target that satisfied a leaf
+   * and captures holds its regex groups (null for other operators)
+   * Negated conditions match without a target; context feeds macros in chain links
+   * measure, when given, wraps each per-target test (used for the rule time budget)
+   */
+  evaluate(condition, targets, cache, context = {}, measure = null) {
+    const compiled = this.compile(condition, context);
+    let result;
+
+    if (compiled.group) {
+      const method = compiled.group === 'all' ? 'every' : 'some';
+      let first = null;
+      const matched = compiled.children[method](child => {
+        const childResult = this.evaluate(child, targets, cache, context, measure);
+        first = first || (childResult.matched && childResult.target ? childResult : null);
+        return childResult.matched;
+      });
+      result = matched && first ? first : { matched, target: null, captures: null };
+    } else {
+      const match = this.matchLeaf(compiled, targets, cache, measure);
+      result = match ? { matched: true, ...match } : { matched: false, target: null, captures: null };
+    }
+
+    return compiled.negate ? { matched: !result.matched, target: null, captures: null } : result;
+  }
+
+  /**
+   * Find the first selected target that satisfies a compiled leaf
+   * Returns { target, captures } or null
+   */
+  matchLeaf(leaf, targets, cache, measure = null) {
+    const operator = OPERATORS[leaf.operator];
+    const selected = TargetExtractor.select(targets, leaf.targets);
+    let captures = null;
+
+    const matched = selected.find(target => {
+      const test = () => {
+        const value = leaf.transforms.length > 0 ? cache.apply(target.value, leaf.transforms) : target.value;
+        // Cap the input so a backtracking pattern cannot run against huge payloads
+        const capped = leaf.operator === 'rx' && value.length > this.maxInputLength;
+        return operator.test(leaf.value, capped ? value.substring(0, this.maxInputLength) : value);
+      };
+      const result = measure ? measure(test) : test();
+      if (result) captures = RuleConditions.captures(result);
+      return Boolean(result);
+    });
+
+    return matched ? { target: matched, captures } : null;
+  }
+
+  /**
+   * Turn a regex match into { 0: match, 1: group, name: group }; other operators capture nothing
+   */
+  static captures(result) {
+    if (!Array.isArray(result)) return null;
+
+    const captures = {};
+    result.forEach((group, index) => {
+      captures[index] = group === undefined ? '' : group;
+    });
+    return Object.assign(captures, result.groups);
+  }
+}
+
+RuleConditions.OPERATORS = Object.keys(OPERATORS);
+
+module.exports = RuleConditions;
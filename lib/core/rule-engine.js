@@ -3,14 +3,36 @@
  */
 
 const path = require('path');
+const EventEmitter = require('events');
+const Transformer = require('./transformer');
+const TargetExtractor = require('./target-extractor');
+const RuleConditions = require('./rule-conditions');
+const RuleActions = require('./rule-actions');
+const RuleExclusions = require('./rule-exclusions');
 
-class RuleEngine {
+class RuleEngine extends EventEmitter {
   constructor(config) {
+    super();
     this.config = config;
     this.modules = new Map();
     this.rules = [];
+    this.exclusions = [];
     this.threshold = config.threshold || 10;
     
+    // ReDoS guard: input cap per regex test and a time budget per target test
+    const redosConfig = config.redos || {};
+    this.maxInputLength = redosConfig.maxInputLength || 8192;
+    this.ruleTimeBudget = redosConfig.ruleTimeBudget || 50; // ms
+    this.maxSlowEvaluations = redosConfig.maxSlowEvaluations || 3;
+    // Rules are only disabled automatically when opted in
+    this.autoDisable = redosConfig.autoDisable === true;
+    this.slowEvaluations = new Map();
+    this.transformer = new Transformer(config);
+    this.targetExtractor = new TargetExtractor(config);
+    this.ruleConditions = new RuleConditions(config);
+    this.ruleActions = new RuleActions();
+    this.ruleExclusions = new RuleExclusions();
+    
     this.loadModules();
     this.loadRules();
   }
@@ -45,6 +67,7 @@ class RuleEngine {
    */
   loadRulesFromManager() {
     if (this.ruleManager) {
+      this.rulesVersion = this.ruleManager.version;
       const enabledRules = this.ruleManager.getEnabledRules();
       this.rules = enabledRules.map(rule => ({
         id: rule.id,
@@ -52,8 +75,15 @@ class RuleEngine {
         pattern: rule.pattern,
         score: rule.score,
         module: rule.category,
-        description: rule.description
+        description: rule.description,
+        tags: rule.tags,
+        transforms: rule.transforms,
+        targets: rule.targets,
+        conditions: rule.conditions,
+        chain: rule.chain,
+        action: rule.action
       }));
+      this.exclusions = this.ruleManager.getExclusions();
     }
   }
 
@@ -134,6 +164,8 @@ class RuleEngine {
 
   /**
    * Evaluate request against all rules
+   * Rule actions (allow, deny, redirect, challenge) and the score threshold decide the action
+   * Findings removed by rule exclusions are listed under exclusions instead of being scored
    */
   evaluate(analysis) {
     const result = {
@@ -142,89 +174,210 @@ class RuleEngine {
       reason: null,
       requestId: this.generateRequestId(),
       analysis: analysis,
-      matchedRules: []
+      matchedRules: [],
+      exclusions: [],
+      tags: []
     };
 
-    // Check threshold
-    if (analysis.score >= this.threshold) {
-      result.action = 'block';
-      result.reason = `Threat score ${analysis.score} exceeds threshold ${this.threshold}`;
+    // Pick up rules added, changed or imported since the last request
+    if (this.ruleManager && this.ruleManager.version !== this.rulesVersion) {
+      this.loadRulesFromManager();
     }
 
+    // Extract and normalize once, shared by every rule
+    const targets = analysis.targets || this.targetExtractor.extract(analysis);
+    const normalizer = analysis.normalizer || this.transformer.forRequest();
+    const exclusions = this.ruleExclusions.forRequest(this.exclusions, analysis);
+    // Slowest target test per rule, recorded once per request however often a rule runs
+    const timings = new Map();
+    
+    // Module findings removed by an exclusion no longer count towards the score
+    (analysis.threats || []).forEach(threat => {
+      const exclusion = this.ruleExclusions.findForThreat(exclusions, threat);
+      if (exclusion) {
+        result.score -= threat.score || 0;
+        result.exclusions.push({
+          exclusion: exclusion.id,
+          module: threat.type,
+          pattern: threat.pattern,
+          location: threat.location || null
+        });
+      }
+    });
+    
     // Check individual rules
     this.rules.forEach(rule => {
-      if (this.evaluateRule(rule, analysis)) {
-        result.matchedRules.push(rule);
-        // Add rule score to total score
-        result.score += rule.score;
+      const ruleExclusions = exclusions.filter(exclusion => this.ruleExclusions.coversRule(exclusion, rule));
+      if (ruleExclusions.length === 0) {
+        this.recordMatch(result, rule, this.matchRule(rule, analysis, targets, normalizer, timings));
+        return;
+      }
+      
+      // Leave out excluded targets, or the whole rule when an exclusion has no targets
+      const removed = ruleExclusions.find(exclusion => !exclusion.selectors);
+      const remaining = removed ? null : targets.filter(target =>
+        !ruleExclusions.some(exclusion => this.ruleExclusions.coversTarget(exclusion, target)));
+      const match = remaining ? this.matchRule(rule, analysis, remaining, normalizer, timings) : null;
+      if (match) {
+        this.recordMatch(result, rule, match);
+        return;
       }
+      
+      // Explain which exclusion kept a matching rule out of the decision
+      const excluded = this.matchRule(rule, analysis, targets, normalizer, timings);
+      if (excluded) {
+        const exclusion = removed || this.ruleExclusions.findForLocation(ruleExclusions, excluded.location) || ruleExclusions[0];
+        result.exclusions.push({ exclusion: exclusion.id, rule: rule.id, location: excluded.location });
+      }
+    });
+    
+    timings.forEach((elapsed, rule) => {
+      if (elapsed > this.ruleTimeBudget) this.recordSlowEvaluation(rule, elapsed);
     });
 
-    // Re-check threshold with updated score
-    if (result.score >= this.threshold) {
-      result.action = 'block';
-      result.reason = `Threat score ${result.score} exceeds threshold ${this.threshold}`;
-    }
+    return this.ruleActions.resolve(result, this.threshold);
+  }
 
-    return result;
+  /**
+   * Add a rule match to the decision and its score to the total
+   */
+  recordMatch(result, rule, match) {
+    if (!match) return;
+    
+    const entry = { ...rule, location: match.location };
+    if (match.chain) entry.chainMatches = match.chain;
+    result.matchedRules.push(entry);
+    // Add rule score to total score, except for log-only and allow rules
+    if (this.ruleActions.scores(rule.action)) {
+      result.score += rule.score;
+    }
   }
 
   /**
    * Evaluate a single rule against analysis
    */
-  evaluateRule(rule, analysis) {
-    const searchTexts = this.extractSearchTexts(analysis);
-    
-    return searchTexts.some(text => {
-      if (typeof text !== 'string') return false;
-      // Reset regex lastIndex for global patterns
-      rule.pattern.lastIndex = 0;
-      return rule.pattern.test(text);
-    });
+  evaluateRule(rule, analysis, targets, normalizer) {
+    return this.matchRule(rule, analysis, targets, normalizer) !== null;
   }
 
   /**
-   * Extract searchable texts from request analysis
+   * Match a rule, returning { location, value, captures } for the first target it matched, or null
+   * Rules with conditions that match without a target (e.g. negated ones) have a null location
+   * A chained rule only matches when each of its chain links also matches; its match lists
+   * every link under chain
+   * Each target test is timed; the slowest is kept in timings (rule -> ms) when given,
+   * otherwise it is checked against the time budget right away
    */
-  extractSearchTexts(analysis) {
-    const texts = [];
-    
-    // Add URL path
-    texts.push(analysis.path);
+  matchRule(rule, analysis, targets, normalizer, timings = null) {
+    const cache = normalizer || this.transformer.forRequest();
+    const available = targets || analysis.targets || this.targetExtractor.extract(analysis);
+    const slowest = timings || new Map();
+    const measure = test => {
+      const start = process.hrtime.bigint();
+      const result = test();
+      const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+      slowest.set(rule, Math.max(slowest.get(rule) || 0, elapsed));
+      return result;
+    };
     
-    // Add query parameters
-    if (analysis.query) {
-      Object.values(analysis.query).forEach(value => {
-        if (typeof value === 'string') {
-          texts.push(value);
-        }
-      });
+    let matched;
+    if (rule.conditions) {
+      matched = this.toMatch(this.ruleConditions.evaluate(rule.conditions, available, cache, {}, measure));
+    } else {
+      matched = this.findMatch(rule, available, cache, measure);
+    }
+    if (matched && rule.chain) {
+      const chain = this.matchChain(rule.chain, matched, available, cache, measure);
+      matched = chain ? { ...matched, chain } : null;
     }
     
-    // Add request body
-    if (analysis.body) {
-      if (typeof analysis.body === 'string') {
-        texts.push(analysis.body);
-      } else if (typeof analysis.body === 'object') {
-        texts.push(JSON.stringify(analysis.body));
-      }
+    if (!timings && slowest.get(rule) > this.ruleTimeBudget) {
+      this.recordSlowEvaluation(rule, slowest.get(rule));
     }
     
-    // Add headers
-    Object.values(analysis.headers).forEach(value => {
-      if (typeof value === 'string') {
-        texts.push(value);
-      }
+    return matched;
+  }
+
+  /**
+   * Find the first of a rule's targets (all by default) whose value, after the rule's
+   * transforms (none by default), matches its pattern
+   */
+  findMatch(rule, targets, cache, measure = test => test()) {
+    const transforms = rule.transforms ? this.transformer.parse(rule.transforms) : [];
+    let captures = null;
+    
+    const matched = TargetExtractor.select(targets, rule.targets).find(target => {
+      const result = measure(() => {
+        const text = transforms.length > 0 ? cache.apply(target.value, transforms) : target.value;
+        // Reset regex lastIndex for global patterns
+        rule.pattern.lastIndex = 0;
+        // Cap the input so a backtracking pattern cannot run against huge payloads
+        return rule.pattern.exec(text.length > this.maxInputLength ? text.substring(0, this.maxInputLength) : text);
+      });
+      if (result) captures = RuleConditions.captures(result);
+      return result !== null;
     });
     
-    // Add cookies
-    Object.values(analysis.cookies).forEach(value => {
-      if (typeof value === 'string') {
-        texts.push(value);
+    return matched ? { location: matched.location, value: matched.value, captures } : null;
+  }
+
+  /**
+   * Evaluate chain links in order after the rule itself matched
+   * Each link sees the captures (%{TX.n}) of the latest regex match and the variable
+   * (%{MATCHED_VAR}, %{MATCHED_VAR_NAME}) of the latest link that matched a target
+   * Returns one entry per step, the rule itself first, or null when a link fails
+   */
+  matchChain(chain, head, targets, cache, measure = null) {
+    const context = { captures: head.captures, matchedVar: head.value, matchedVarName: head.location };
+    const steps = [{ link: 0, location: head.location, captures: head.captures }];
+    
+    const matched = chain.every((link, index) => {
+      const match = this.toMatch(this.ruleConditions.evaluate(link, targets, cache, context, measure));
+      if (!match) return false;
+      
+      steps.push({ link: index + 1, location: match.location, captures: match.captures });
+      if (match.captures) context.captures = match.captures;
+      if (match.location !== null) {
+        Object.assign(context, { matchedVar: match.value, matchedVarName: match.location });
       }
+      return true;
     });
     
-    return texts;
+    return matched ? steps : null;
+  }
+
+  /**
+   * Convert a condition result into a rule match, or null when it did not match
+   */
+  toMatch(result) {
+    if (!result.matched) return null;
+    return result.target ?
+      { location: result.target.location, value: result.target.value, captures: result.captures } :
+      { location: null, value: null, captures: null };
+  }
+
+  /**
+   * Record a request in which a rule's target test went over the time budget
+   * Emits rule-slow each time; with redos.autoDisable the rule is disabled after
+   * maxSlowEvaluations such requests and rule-disabled is emitted
+   */
+  recordSlowEvaluation(rule, elapsed) {
+    const count = (this.slowEvaluations.get(rule.id) || 0) + 1;
+    this.slowEvaluations.set(rule.id, count);
+    this.emit('rule-slow', { rule: rule.id, elapsed, budget: this.ruleTimeBudget, count });
+    
+    if (!this.autoDisable || count < this.maxSlowEvaluations) return;
+    
+    const reason = `Exceeded regex time budget: ${elapsed.toFixed(1)}ms > ${this.ruleTimeBudget}ms`;
+    this.rules = this.rules.filter(entry => entry.id !== rule.id);
+    this.slowEvaluations.delete(rule.id);
+    
+    // Disable managed rules through the rule manager so the change is versioned and visible
+    if (this.ruleManager && this.ruleManager.getRule(rule.id)) {
+      this.ruleManager.toggleRule(rule.id, false, reason);
+    }
+    
+    this.emit('rule-disabled', { rule: rule.id, reason });
   }
 
   /**
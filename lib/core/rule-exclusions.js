@@ -0,0 +1,205 @@
+/**
+ * Rule Exclusions - Remove rules from some targets on some routes to tune false positives
+ *
+ * An exclusion is { id, route, rules, tags, targets, description }: route is an optional
+ * "[METHOD[|METHOD]] /path/:param" (with * wildcards), rules lists rule ids and tags lists
+ * rule tags or module names. Without targets the rules are removed for the whole request.
+ * As in ModSecurity, ARGS targets also cover body fields (REQUEST_BODY)
+ */
+
+const TargetExtractor = require('./target-extractor');
+
+// Collections of the fields named by modules that report "query.q" style fields
+const FIELD_COLLECTIONS = {
+  path: 'REQUEST_FILENAME',
+  query: 'ARGS',
+  body: 'REQUEST_BODY',
+  headers: 'REQUEST_HEADERS',
+  cookies: 'REQUEST_COOKIES'
+};
+
+/**
+ * Accept "a", "a|b" or ["a", "b"] lists
+ */
+function toList(value) {
+  return (typeof value === 'string' ? value.split('|') : value || [])
+    .map(entry => String(entry).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Split a threat location such as "REQUEST_BODY:user.name" into a target-like object
+ */
+function parseLocation(location) {
+  const index = location.indexOf(':');
+  return index < 0 ?
+    { collection: location, name: null } :
+    { collection: location.substring(0, index), name: location.substring(index + 1) };
+}
+
+class RuleExclusions {
+  constructor() {
+    this.compiled = new WeakMap();
+  }
+
+  /**
+   * Validate an exclusion, throwing an error that lists every problem
+   */
+  validate(exclusion) {
+    if (!exclusion || typeof exclusion !== 'object' || Array.isArray(exclusion)) {
+      throw new Error('Invalid exclusion: expected an object');
+    }
+
+    const errors = [];
+    if (exclusion.id === undefined || exclusion.id === null || exclusion.id === '') {
+      errors.push('id is required');
+    }
+
+    if (exclusion.route !== undefined) {
+      if (typeof exclusion.route !== 'string' || !this.parseRoute(exclusion.route)) {
+        errors.push('route must look like "/articles/:id" or "POST|PUT /articles/:id"');
+      }
+    }
+
+    ['rules', 'tags'].forEach(field => {
+      const value = exclusion[field];
+      if (value !== undefined && typeof value !== 'string' &&
+        !(Array.isArray(value) && value.every(entry => typeof entry === 'string'))) {
+        errors.push(`${field} must be a list of strings`);
+      }
+    });
+    if (toList(exclusion.rules).length === 0 && toList(exclusion.tags).length === 0) {
+      errors.push('rules or tags is required');
+    }
+
+    if (exclusion.targets !== undefined) {
+      try {
+        if (TargetExtractor.parse(exclusion.targets).some(target => target[0] === '!')) {
+          errors.push('targets cannot be negated');
+        }
+      } catch (error) {
+        errors.push(`targets: ${error.message}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid exclusion ${exclusion.id || 'unknown'}: ${errors.join('; ')}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Parse "POST|PUT /articles/:id" into { methods, path }, or null when malformed
+   */
+  parseRoute(route) {
+    const match = route.trim().match(/^(?:([A-Za-z]+(?:\|[A-Za-z]+)*)\s+)?(\/\S*|\*)$/);
+    if (!match) return null;
+
+    return {
+      methods: match[1] ? match[1].toUpperCase().split('|') : null,
+      path: match[2]
+    };
+  }
+
+  /**
+   * Compile a validated exclusion once, caching by exclusion object
+   */
+  compile(exclusion) {
+    if (this.compiled.has(exclusion)) return this.compiled.get(exclusion);
+
+    const route = exclusion.route !== undefined ? this.parseRoute(exclusion.route) : { methods: null, path: '*' };
+    const path = route.path
+      .split(/(\*|:\w+)/)
+      .map(part => {
+        if (part === '*') return '.*';
+        if (/^:\w+$/.test(part)) return '[^/]+';
+        return part.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      })
+      .join('');
+
+    // ARGS:name also covers the same field in a parsed body
+    const targets = exclusion.targets !== undefined ? TargetExtractor.parse(exclusion.targets) : null;
+    const selectors = targets && targets
+      .reduce((all, target) => {
+        const body = target.replace(/^ARGS(?=:|$)/i, 'REQUEST_BODY');
+        return all.concat(body !== target ? [target, body] : [target]);
+      }, [])
+      .map(target => TargetExtractor.parseSelector(target));
+
+    const compiled = {
+      id: exclusion.id,
+      methods: route.methods,
+      path: new RegExp(`^${path}/?$`),
+      rules: toList(exclusion.rules),
+      tags: toList(exclusion.tags),
+      selectors
+    };
+
+    this.compiled.set(exclusion, compiled);
+    return compiled;
+  }
+
+  /**
+   * Get the compiled exclusions whose route matches a request
+   */
+  forRequest(exclusions, analysis) {
+    const method = String(analysis.method || '').toUpperCase();
+
+    return exclusions
+      .map(exclusion => this.compile(exclusion))
+      .filter(exclusion => (!exclusion.methods || exclusion.methods.includes(method)) &&
+        exclusion.path.test(analysis.path || '/'));
+  }
+
+  /**
+   * Whether an exclusion covers a rule, by id, tag or module
+   */
+  coversRule(exclusion, rule) {
+    return exclusion.rules.includes(rule.id) ||
+      exclusion.tags.includes(rule.module) ||
+      (rule.tags || []).some(tag => exclusion.tags.includes(tag));
+  }
+
+  /**
+   * Whether an exclusion covers a target (or a location string); exclusions without targets cover all
+   */
+  coversTarget(exclusion, target) {
+    if (!exclusion.selectors) return true;
+    if (!target) return false;
+
+    const parsed = typeof target === 'string' ? parseLocation(target) : target;
+    return exclusion.selectors.some(selector => TargetExtractor.matches(selector, parsed));
+  }
+
+  /**
+   * Find the exclusion that removes a module finding, by module name tag and location
+   * Findings from modules that only name a field (e.g. "query.q", "body.user.name") are mapped to a location
+   */
+  findForThreat(exclusions, threat) {
+    const location = threat.location || this.fieldLocation(threat.field);
+
+    return exclusions.find(exclusion => exclusion.tags.includes(threat.type) &&
+      this.coversTarget(exclusion, location)) || null;
+  }
+
+  /**
+   * Map a "query.name", "body.path" or "headers.name" field to its target location
+   */
+  fieldLocation(field) {
+    const match = typeof field === 'string' && field.match(/^(path|query|body|headers|cookies)(?:\.(.+)|(\[.+))?$/);
+    if (!match) return null;
+
+    const name = match[2] || match[3];
+    return TargetExtractor.location(FIELD_COLLECTIONS[match[1]], name === undefined ? null : name);
+  }
+
+  /**
+   * Find the exclusion that removes a location from a rule's inspection
+   */
+  findForLocation(exclusions, location) {
+    return exclusions.find(exclusion => this.coversTarget(exclusion, location)) || null;
+  }
+}
+
+module.exports = RuleExclusions;
@@ -6,6 +6,13 @@ const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const crypto = require('crypto');
+const ReDoSAnalyzer = require('./redos-analyzer');
+const Transformer = require('./transformer');
+const TargetExtractor = require('./target-extractor');
+const SecRuleParser = require('./secrule-parser');
+const RuleConditions = require('./rule-conditions');
+const RuleActions = require('./rule-actions');
+const RuleExclusions = require('./rule-exclusions');
 
 class RuleManager {
   constructor(config) {
@@ -13,6 +20,17 @@ class RuleManager {
     this.rules = new Map();
     this.ruleCategories = new Map();
     this.customRules = [];
+    this.exclusions = new Map();
+    this.redosAnalyzer = new ReDoSAnalyzer();
+    this.transformer = new Transformer(config);
+    this.secRuleParser = new SecRuleParser(config);
+    this.ruleConditions = new RuleConditions(config);
+    this.ruleActions = new RuleActions();
+    this.ruleExclusions = new RuleExclusions();
+    // Bumped on every change so the rule engine knows to reload
+    this.version = 0;
+    // 'reject' refuses unsafe patterns, 'warn' accepts them with warnings, 'off' skips the check
+    this.redosMode = (config.redos && config.redos.mode) || 'reject';
     this.ruleSources = [
       {
         name: 'builtin',
@@ -31,6 +49,7 @@ class RuleManager {
     
     this.loadBuiltInRules();
     this.loadCustomRules();
+    this.loadExclusions();
     this.startRuleUpdates();
   }
 
@@ -184,25 +203,21 @@ class RuleManager {
 
   /**
    * Add rules to the manager
+   * Returns the rules that were skipped as { id, reason }
    */
   addRules(rules, source) {
+    const skipped = [];
+    
     rules.forEach(rule => {
-      // Validate rule
-      if (!this.validateRule(rule)) {
-        console.warn(`Invalid rule skipped: ${rule.id || 'unknown'}`);
+      try {
+        this.validateRule(rule);
+        this.prepareRule(rule);
+      } catch (error) {
+        console.warn(`Rule skipped: ${error.message}`);
+        skipped.push({ id: rule && rule.id, reason: error.message });
         return;
       }
       
-      // Compile regex pattern
-      if (typeof rule.pattern === 'string') {
-        try {
-          rule.pattern = new RegExp(rule.pattern, rule.flags || 'gi');
-        } catch (error) {
-          console.warn(`Invalid regex pattern for rule ${rule.id}:`, error.message);
-          return;
-        }
-      }
-      
       // Add to rules map
       this.rules.set(rule.id, {
         ...rule,
@@ -217,14 +232,136 @@ class RuleManager {
       }
       this.ruleCategories.get(rule.category).push(rule.id);
     });
+    
+    this.version++;
+    return skipped;
+  }
+
+  /**
+   * Compile a validated rule in place: pattern, t: transforms, targets and action
+   * Throws when a pattern may cause catastrophic backtracking in reject mode
+   */
+  prepareRule(rule) {
+    if (rule.pattern !== undefined) {
+      rule.pattern = this.compilePattern(rule.pattern, rule.flags);
+    }
+    
+    // Resolve t: style transforms applied before matching
+    if (rule.transforms !== undefined) {
+      rule.transforms = this.transformer.parse(rule.transforms);
+    }
+    
+    // Resolve the request targets the rule applies to
+    if (rule.targets !== undefined) {
+      rule.targets = TargetExtractor.parse(rule.targets);
+    }
+    
+    // Fill in action defaults such as the deny status
+    if (rule.action !== undefined) {
+      rule.action = this.ruleActions.normalize(rule.action);
+    }
+    
+    // Check every pattern, including those in conditions and chain links, for catastrophic backtracking
+    const patterns = (rule.conditions !== undefined ? this.ruleConditions.patterns(rule.conditions) : [rule.pattern])
+      .map(pattern => [rule.id, pattern]);
+    (rule.chain || []).forEach((link, index) => {
+      this.ruleConditions.patterns(link).forEach(pattern => patterns.push([`${rule.id} (chain link ${index + 1})`, pattern]));
+    });
+    const redosWarnings = patterns.reduce((warnings, [name, pattern]) => warnings.concat(this.checkPattern(name, pattern)), []);
+    rule.redosWarnings = redosWarnings.length > 0 ? redosWarnings : undefined;
+    
+    return rule;
   }
 
   /**
-   * Validate rule structure
+   * Compile a pattern string, defaulting to case-insensitive global matching
+   */
+  compilePattern(pattern, flags) {
+    return typeof pattern === 'string' ? new RegExp(pattern, flags !== undefined ? flags : 'gi') : pattern;
+  }
+
+  /**
+   * Validate rule structure, throwing an error that lists every problem
+   * A rule needs an id, name, category and score, and either a pattern or conditions
+   * Chain links are conditions that may also use macros referring to earlier links
    */
   validateRule(rule) {
-    const required = ['id', 'name', 'category', 'pattern', 'score'];
-    return required.every(field => rule.hasOwnProperty(field));
+    if (!rule || typeof rule !== 'object') {
+      throw new Error('Invalid rule: expected an object');
+    }
+    
+    const errors = [];
+    ['id', 'name', 'category', 'score'].forEach(field => {
+      if (rule[field] === undefined || rule[field] === null || rule[field] === '') {
+        errors.push(`${field} is required`);
+      }
+    });
+    if (rule.score !== undefined && typeof rule.score !== 'number') {
+      errors.push('score must be a number');
+    }
+    
+    if (rule.pattern === undefined && rule.conditions === undefined) {
+      errors.push('pattern or conditions is required');
+    } else if (rule.pattern !== undefined && rule.conditions !== undefined) {
+      errors.push('use either pattern or conditions, not both');
+    } else if (rule.pattern !== undefined) {
+      try {
+        if (!(this.compilePattern(rule.pattern, rule.flags) instanceof RegExp)) {
+          errors.push('pattern must be a regex string');
+        }
+      } catch (error) {
+        errors.push(`pattern: invalid regex: ${error.message}`);
+      }
+    } else {
+      errors.push(...this.ruleConditions.validate(rule.conditions));
+    }
+    
+    if (rule.chain !== undefined) {
+      if (!Array.isArray(rule.chain) || rule.chain.length === 0) {
+        errors.push('chain: must be a non-empty array of conditions');
+      } else {
+        rule.chain.forEach((link, index) => errors.push(...this.ruleConditions.validate(link, `chain[${index}]`, true)));
+      }
+    }
+    
+    if (rule.action !== undefined) {
+      errors.push(...this.ruleActions.validate(rule.action));
+    }
+    
+    [['targets', value => TargetExtractor.parse(value)], ['transforms', value => this.transformer.parse(value)]]
+      .forEach(([field, parse]) => {
+        if (rule[field] === undefined) return;
+        try {
+          parse(rule[field]);
+        } catch (error) {
+          errors.push(`${field}: ${error.message}`);
+        }
+      });
+    
+    if (errors.length > 0) {
+      throw new Error(`Invalid rule ${rule.id || 'unknown'}: ${errors.join('; ')}`);
+    }
+    
+    return true;
+  }
+
+  /**
+   * Check a compiled pattern for catastrophic backtracking
+   * Throws in reject mode, otherwise returns the issues found
+   */
+  checkPattern(id, pattern) {
+    if (this.redosMode === 'off') return [];
+
+    const { safe, issues } = this.redosAnalyzer.analyze(pattern);
+    if (safe) return [];
+
+    const summary = issues.map(issue => `${issue.description} in ${issue.fragment}`).join('; ');
+    if (this.redosMode === 'reject') {
+      throw new Error(`Pattern for rule ${id} may cause catastrophic backtracking: ${summary}`);
+    }
+
+    console.warn(`Pattern for rule ${id} may cause catastrophic backtracking: ${summary}`);
+    return issues;
   }
 
   /**
@@ -253,25 +390,16 @@ class RuleManager {
    * Add custom rule
    */
   addCustomRule(rule) {
-    if (!this.validateRule(rule)) {
-      throw new Error('Invalid rule structure');
-    }
+    this.validateRule(rule);
+    this.prepareRule(rule);
     
     rule.source = 'custom';
     rule.addedAt = new Date();
     rule.enabled = rule.enabled !== false;
     
-    // Compile regex pattern
-    if (typeof rule.pattern === 'string') {
-      try {
-        rule.pattern = new RegExp(rule.pattern, rule.flags || 'gi');
-      } catch (error) {
-        throw new Error(`Invalid regex pattern: ${error.message}`);
-      }
-    }
-    
     this.rules.set(rule.id, rule);
     this.customRules.push(rule);
+    this.version++;
     
     // Add to category
     if (!this.ruleCategories.has(rule.category)) {
@@ -291,19 +419,19 @@ class RuleManager {
       throw new Error('Rule not found or not custom');
     }
     
-    // Update rule
-    Object.assign(rule, updates);
-    
-    // Recompile pattern if changed
-    if (updates.pattern) {
-      if (typeof updates.pattern === 'string') {
-        try {
-          rule.pattern = new RegExp(updates.pattern, updates.flags || 'gi');
-        } catch (error) {
-          throw new Error(`Invalid regex pattern: ${error.message}`);
-        }
-      }
+    // Validate and compile the updated rule before touching the stored one
+    const updated = { ...rule, ...updates };
+    if (updates.conditions !== undefined && updates.pattern === undefined) {
+      delete updated.pattern;
+    } else if (updates.pattern !== undefined && updates.conditions === undefined) {
+      delete updated.conditions;
     }
+    this.validateRule(updated);
+    this.prepareRule(updated);
+    
+    // Update rule
+    Object.keys(rule).forEach(key => delete rule[key]);
+    Object.assign(rule, updated);
     
     // Update in custom rules array
     const customIndex = this.customRules.findIndex(r => r.id === id);
@@ -311,6 +439,7 @@ class RuleManager {
       this.customRules[customIndex] = rule;
     }
     
+    this.version++;
     return rule;
   }
 
@@ -338,19 +467,94 @@ class RuleManager {
       this.customRules.splice(customIndex, 1);
     }
     
+    this.version++;
+    return true;
+  }
+
+  /**
+   * Load rule exclusions from configuration, skipping invalid ones
+   */
+  loadExclusions() {
+    if (!Array.isArray(this.config.ruleExclusions)) return;
+    
+    this.config.ruleExclusions.forEach(exclusion => {
+      try {
+        this.addExclusion(exclusion);
+      } catch (error) {
+        console.warn(`Exclusion skipped: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Get all rule exclusions
+   */
+  getExclusions() {
+    return Array.from(this.exclusions.values());
+  }
+
+  /**
+   * Add a rule exclusion
+   * Ids are stored as strings so numeric ids from YAML or JSON match admin API route params
+   */
+  addExclusion(exclusion) {
+    this.ruleExclusions.validate(exclusion);
+    const id = String(exclusion.id);
+    if (this.exclusions.has(id)) {
+      throw new Error(`Exclusion ${id} already exists`);
+    }
+    
+    const added = { ...exclusion, id, addedAt: new Date() };
+    this.exclusions.set(id, added);
+    this.version++;
+    return added;
+  }
+
+  /**
+   * Update a rule exclusion
+   */
+  updateExclusion(id, updates) {
+    const exclusion = this.exclusions.get(String(id));
+    if (!exclusion) {
+      throw new Error('Exclusion not found');
+    }
+    
+    const updated = { ...exclusion, ...updates, id: exclusion.id };
+    this.ruleExclusions.validate(updated);
+    this.exclusions.set(exclusion.id, updated);
+    this.version++;
+    return updated;
+  }
+
+  /**
+   * Delete a rule exclusion
+   */
+  deleteExclusion(id) {
+    if (!this.exclusions.delete(String(id))) {
+      throw new Error('Exclusion not found');
+    }
+    
+    this.version++;
     return true;
   }
 
   /**
    * Enable/disable rule
+   * A reason is kept as disabledReason until the rule is enabled again
    */
-  toggleRule(id, enabled) {
+  toggleRule(id, enabled, reason = null) {
     const rule = this.rules.get(id);
     if (!rule) {
       throw new Error('Rule not found');
     }
     
     rule.enabled = enabled;
+    if (!enabled && reason) {
+      rule.disabledReason = reason;
+    } else {
+      delete rule.disabledReason;
+    }
+    this.version++;
     return rule;
   }
 
@@ -450,18 +654,41 @@ class RuleManager {
   }
 
   /**
-   * Import rules from file
+   * Import rules from a JSON or ModSecurity (.conf) file, or from options.content
+   * ModSecurity SecRules are translated first; returns { count, skipped, warnings }
    */
-  importRules(filePath, source = 'imported') {
+  importRules(filePath, source = 'imported', options = {}) {
     try {
-      const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-      this.addRules(rules, source);
-      return rules.length;
+      const content = options.content !== undefined ? options.content : fs.readFileSync(filePath, 'utf8');
+      const format = options.format || this.detectFormat(filePath, content);
+      
+      if (format === 'modsecurity') {
+        const { rules, skipped, warnings } = this.secRuleParser.parse(content);
+        const rejected = this.addRules(rules, source);
+        
+        return {
+          count: rules.length - rejected.length,
+          skipped: [...skipped, ...rejected.map(rule => ({ directive: 'SecRule', ...rule }))],
+          warnings
+        };
+      }
+      
+      const rules = typeof content === 'string' ? JSON.parse(content) : content;
+      const rejected = this.addRules(rules, source);
+      return { count: rules.length - rejected.length, skipped: rejected, warnings: [] };
     } catch (error) {
       throw new Error(`Failed to import rules: ${error.message}`);
     }
   }
 
+  /**
+   * Tell JSON rule files from ModSecurity configurations
+   */
+  detectFormat(filePath, content) {
+    if (filePath && /\.conf$/i.test(filePath)) return 'modsecurity';
+    return typeof content !== 'string' || /^\s*[[{]/.test(content) ? 'json' : 'modsecurity';
+  }
+
   /**
    * Get rule statistics
    */
@@ -0,0 +1,481 @@
+/**
+ * SecRule Parser - Translates a subset of ModSecurity / OWASP CRS rules into RuleManager rules
+ * Directives, variables and actions outside the subset are reported instead of imported
+ */
+
+const Transformer = require('./transformer');
+
+// ModSecurity variables and the targets they map to; ARGS covers both query and body fields
+const VARIABLES = {
+  ARGS: ['ARGS', 'REQUEST_BODY'],
+  ARGS_GET: ['ARGS'],
+  ARGS_POST: ['REQUEST_BODY'],
+  ARGS_NAMES: ['ARGS_NAMES'],
+  ARGS_GET_NAMES: ['ARGS_NAMES'],
+  ARGS_POST_NAMES: ['ARGS_NAMES'],
+  REQUEST_FILENAME: ['REQUEST_FILENAME'],
+  REQUEST_BASENAME: ['REQUEST_FILENAME'],
+  REQUEST_URI: ['REQUEST_FILENAME', 'ARGS'],
+  REQUEST_URI_RAW: ['REQUEST_FILENAME', 'ARGS'],
+  REQUEST_HEADERS: ['REQUEST_HEADERS'],
+  REQUEST_COOKIES: ['REQUEST_COOKIES'],
+  REQUEST_BODY: ['REQUEST_BODY'],
+  XML: ['XML'],
+  FILES: ['FILES']
+};
+
+// Severity names and numbers with the repo severity and CRS default anomaly score
+const SEVERITIES = {
+  EMERGENCY: 'critical', ALERT: 'critical', CRITICAL: 'critical',
+  ERROR: 'high', WARNING: 'medium', NOTICE: 'low', INFO: 'low', DEBUG: 'low'
+};
+const SEVERITY_NUMBERS = ['EMERGENCY', 'ALERT', 'CRITICAL', 'ERROR', 'WARNING', 'NOTICE', 'INFO', 'DEBUG'];
+const SEVERITY_SCORES = { critical: 5, high: 4, medium: 3, low: 2 };
+
+const ANOMALY_SCORES = { critical: 5, error: 4, warning: 3, notice: 2 };
+
+const PHASES = { request: 2, response: 4, logging: 5 };
+
+class SecRuleParser {
+  constructor(config = {}) {
+    this.config = config;
+    this.transformer = new Transformer(config);
+  }
+
+  /**
+   * Parse a ModSecurity configuration
+   * Returns { rules, skipped, warnings } where skipped lists directives and rules that were not translated
+   */
+  parse(text) {
+    const rules = [];
+    const skipped = [];
+    const warnings = [];
+    let head = null;
+
+    this.readDirectives(text).forEach(({ line, args }) => {
+      const directive = args[0];
+
+      if (directive !== 'SecRule') {
+        skipped.push({ line, directive, reason: `Unsupported directive ${directive}` });
+        return;
+      }
+
+      // Warnings are only reported for rules that end up imported
+      const ruleWarnings = [];
+      let parsed;
+      try {
+        parsed = this.parseRule(args, ruleWarnings, line, head !== null);
+      } catch (error) {
+        parsed = { error: error.message };
+      }
+
+      if (head) {
+        // Chain links belong to the rule that started the chain
+        if (parsed.error) {
+          head.error = head.error || `Chain link on line ${line}: ${parsed.error}`;
+        } else {
+          head.rule.chain.push(parsed.link);
+          head.warnings.push(...ruleWarnings);
+        }
+        if (!parsed.chained) {
+          this.finishRule(head, rules, skipped, warnings);
+          head = null;
+        }
+        return;
+      }
+
+      if (parsed.error) {
+        // Keep reading the chain of a skipped rule so its links are not taken for rules
+        const actions = this.parseActions(args[3] || '');
+        const entry = { line, directive, rule: { id: actions.id, chain: [] }, warnings: [], error: parsed.error };
+        if (actions.chain) {
+          head = entry;
+        } else {
+          this.finishRule(entry, rules, skipped, warnings);
+        }
+        return;
+      }
+
+      const entry = { line, directive, rule: parsed.rule, warnings: ruleWarnings };
+      if (parsed.chained) {
+        entry.rule.chain = [];
+        head = entry;
+      } else {
+        this.finishRule(entry, rules, skipped, warnings);
+      }
+    });
+
+    if (head) {
+      skipped.push({ line: head.line, directive: head.directive, id: head.rule.id, reason: 'Chain is missing its next rule' });
+    }
+
+    return { rules, skipped, warnings };
+  }
+
+  /**
+   * Add a parsed rule (and its chain) to the output, or report why it was skipped
+   */
+  finishRule(entry, rules, skipped, warnings) {
+    if (entry.error) {
+      skipped.push({ line: entry.line, directive: entry.directive, id: entry.rule.id, reason: entry.error });
+    } else {
+      rules.push(entry.rule);
+      warnings.push(...entry.warnings);
+    }
+  }
+
+  /**
+   * Split a configuration into directives, joining continued lines and dropping comments
+   */
+  readDirectives(text) {
+    const directives = [];
+    const lines = String(text).split(/\r?\n/);
+    let current = '';
+    let start = 0;
+
+    lines.forEach((rawLine, index) => {
+      if (current === '') {
+        start = index + 1;
+        if (/^\s*(#|$)/.test(rawLine)) return;
+      }
+
+      if (/\\$/.test(rawLine)) {
+        current += rawLine.slice(0, -1);
+        return;
+      }
+
+      current += rawLine;
+      directives.push({ line: start, args: this.tokenize(current.trim()) });
+      current = '';
+    });
+
+    if (current.trim() !== '') {
+      directives.push({ line: start, args: this.tokenize(current.trim()) });
+    }
+
+    return directives;
+  }
+
+  /**
+   * Split a directive into arguments, honouring double quotes and escaped quotes
+   */
+  tokenize(line) {
+    const args = [];
+    const pattern = /"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(line)) !== null) {
+      if (match[1] !== undefined) {
+        args.push(match[1].replace(/\\"/g, '"'));
+      } else if (match[2] !== undefined) {
+        args.push(match[2].replace(/\\'/g, '\''));
+      } else {
+        args.push(match[3]);
+      }
+    }
+
+    return args;
+  }
+
+  /**
+   * Translate one SecRule into a rule, or into a chain link when it continues a chained rule
+   * Returns { rule, link, chained }, throwing when the rule is outside the supported subset
+   */
+  parseRule(args, warnings, line, isLink) {
+    if (args.length < 3) {
+      throw new Error('SecRule needs variables and an operator');
+    }
+
+    const actions = this.parseActions(args[3] || '');
+    const id = actions.id;
+    const warn = message => warnings.push({ line, id, message });
+
+    if (!isLink && id === undefined) {
+      throw new Error('Rule has no id action');
+    }
+    if (actions.phase > 2) {
+      throw new Error(`Phase ${actions.phase} inspects the response and is not supported`);
+    }
+
+    const targets = this.parseVariables(args[1], warn);
+
+    if (isLink) {
+      const condition = this.parseCondition(args[2]);
+      const transforms = this.parseTransforms(actions.transforms, warn);
+      return { link: { targets, ...condition, transforms }, chained: actions.chain };
+    }
+
+    const { pattern, flags } = this.parseOperator(args[2]);
+    const transforms = this.parseTransforms(actions.transforms, warn);
+
+    const severity = actions.severity || 'medium';
+    const attackTag = actions.tags.find(tag => /^attack-/.test(tag));
+
+    return {
+      chained: actions.chain,
+      rule: {
+        id,
+        name: actions.msg || `ModSecurity rule ${id}`,
+        category: attackTag ? attackTag.replace(/^attack-/, '') : 'modsecurity',
+        targets,
+        pattern,
+        flags,
+        transforms,
+        score: actions.score !== undefined ? actions.score : SEVERITY_SCORES[severity],
+        description: actions.msg || `Imported from ModSecurity rule ${id}`,
+        severity,
+        tags: actions.tags,
+        phase: actions.phase || 2,
+        action: this.toRuleAction(actions)
+      }
+    };
+  }
+
+  /**
+   * Map a "VAR|VAR:name|!VAR:/regex/" list to target selectors
+   * Unsupported variables are dropped with a warning; a rule needs at least one supported variable
+   */
+  parseVariables(variables, warn) {
+    const targets = [];
+
+    variables.split('|').map(variable => variable.trim()).filter(Boolean).forEach(variable => {
+      const match = variable.match(/^(!|&)?([A-Z_]+)(?::(.+))?$/i);
+      const collections = match && VARIABLES[match[2].toUpperCase()];
+
+      if (!collections || match[1] === '&') {
+        warn(`Unsupported variable ${variable} ignored`);
+        return;
+      }
+
+      // XML takes an XPath expression rather than a name
+      const name = match[2].toUpperCase() === 'XML' ? undefined : match[3];
+      collections.forEach(collection => {
+        targets.push(`${match[1] || ''}${collection}${name ? `:${name}` : ''}`);
+      });
+    });
+
+    if (!targets.some(target => target[0] !== '!')) {
+      throw new Error(`No supported variables in ${variables}`);
+    }
+
+    return targets;
+  }
+
+  /**
+   * Split "@name argument" into its parts; a bare argument is a regex
+   */
+  splitOperator(operator) {
+    const match = operator.match(/^@(\w+)\s?([\s\S]*)$/);
+    return match ? { name: match[1], argument: match[2] } : { name: 'rx', argument: operator };
+  }
+
+  /**
+   * Translate an operator into a pattern source and flags, throwing on unsupported operators
+   */
+  parseOperator(operator) {
+    if (operator[0] === '!') {
+      throw new Error('Negated operators are only supported in chain links');
+    }
+
+    const { name, argument } = this.splitOperator(operator);
+
+    if (/%\{/.test(argument)) {
+      throw new Error(`Macro expansion in @${name} is only supported in chain links`);
+    }
+
+    if (name === 'rx') return this.translateRegex(argument);
+    if (name === 'pm') {
+      const phrases = argument.split(/\s+/).filter(Boolean).map(phrase => this.escape(phrase));
+      return { pattern: phrases.join('|'), flags: 'i' };
+    }
+    if (name === 'contains') return { pattern: this.escape(argument), flags: '' };
+    if (name === 'streq') return { pattern: `^${this.escape(argument)}$`, flags: '' };
+
+    throw new Error(`Unsupported operator @${name}`);
+  }
+
+  /**
+   * Translate a chain link operator into a condition
+   * Links may be negated and may use %{TX.n}, %{MATCHED_VAR} and %{MATCHED_VAR_NAME} from earlier links
+   */
+  parseCondition(operator) {
+    const negate = operator[0] === '!';
+    const { name, argument } = this.splitOperator(negate ? operator.substring(1) : operator);
+
+    const macro = (argument.match(/%\{[^}]*\}/g) || [])
+      .find(entry => !/^%\{(?:tx\.\w+|matched_var|matched_var_name)\}$/i.test(entry));
+    if (macro) {
+      throw new Error(`Macro ${macro} in @${name} is not supported`);
+    }
+
+    let condition;
+    if (name === 'rx') {
+      const { pattern, flags } = this.translateRegex(argument);
+      condition = { operator: 'rx', value: pattern, flags };
+    } else if (name === 'pm') {
+      condition = { operator: 'pm', value: argument.split(/\s+/).filter(Boolean) };
+    } else if (name === 'contains') {
+      condition = { operator: 'contains', value: argument };
+    } else if (name === 'streq') {
+      condition = { operator: 'equals', value: argument };
+    } else {
+      throw new Error(`Unsupported operator @${name}`);
+    }
+
+    return negate ? { ...condition, negate: true } : condition;
+  }
+
+  /**
+   * Convert a PCRE pattern to a JavaScript one
+   * Leading (?i)/(?s)/(?m) become flags, as does a (?i:...) group around the whole pattern
+   * Other (?i:...) groups cannot be expressed without widening the rest of the pattern,
+   * so the rule is reported as unsupported unless it is case-insensitive already
+   */
+  translateRegex(source) {
+    let pattern = source;
+    let flags = '';
+
+    const modifiers = pattern.match(/^\(\?([ims]+)\)/);
+    if (modifiers) {
+      flags = modifiers[1];
+      pattern = pattern.substring(modifiers[0].length);
+    }
+
+    if (/\(\?i:/.test(pattern)) {
+      if (!flags.includes('i') && !(pattern.startsWith('(?i:') && this.findGroupEnd(pattern, 0) === pattern.length - 1)) {
+        throw new Error('Unsupported regex: (?i:...) groups are only supported around the whole pattern');
+      }
+      pattern = pattern.replace(/\(\?i:/g, '(?:');
+      flags = flags.includes('i') ? flags : `${flags}i`;
+    }
+
+    pattern = pattern.replace(/\\A/g, '^').replace(/\\[zZ]/g, '$');
+
+    try {
+      new RegExp(pattern, flags);
+    } catch (error) {
+      throw new Error(`Unsupported regex: ${error.message}`);
+    }
+
+    return { pattern, flags };
+  }
+
+  /**
+   * Find the index of the parenthesis closing the group opened at start
+   * Escaped characters and character classes are skipped; returns -1 when unbalanced
+   */
+  findGroupEnd(pattern, start) {
+    let depth = 0;
+    let inClass = false;
+
+    for (let i = start; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '\\') {
+        i++;
+      } else if (inClass) {
+        inClass = char !== ']';
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')' && --depth === 0) {
+        return i;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Escape a literal for use in a regex
+   */
+  escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }
+
+  /**
+   * Keep the t: transforms this repo implements, honouring t:none
+   */
+  parseTransforms(names, warn) {
+    const transforms = [];
+
+    names.forEach(name => {
+      if (name === 'none') {
+        transforms.length = 0;
+        return;
+      }
+      try {
+        transforms.push(...this.transformer.parse([name]));
+      } catch (error) {
+        warn(`Unsupported transform t:${name} ignored`);
+      }
+    });
+
+    return transforms;
+  }
+
+  /**
+   * Parse a comma separated action list such as "id:1,phase:2,t:none,msg:'Attack, detected'"
+   */
+  parseActions(text) {
+    const actions = { tags: [], transforms: [], chain: false };
+    const pattern = /\s*([\w-]+)(?::\s*('(?:\\.|[^'\\])*'|[^,]*))?\s*(?:,|$)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null && match[0] !== '') {
+      const name = match[1].toLowerCase();
+      const value = (match[2] || '').trim().replace(/^'([\s\S]*)'$/, '$1').replace(/\\'/g, '\'');
+
+      if (name === 'id') actions.id = value;
+      else if (name === 'msg') actions.msg = value;
+      else if (name === 'tag') actions.tags.push(value);
+      else if (name === 't') actions.transforms.push(value);
+      else if (name === 'chain') actions.chain = true;
+      else if (name === 'deny' || name === 'drop' || name === 'allow') actions.disruptive = name === 'allow' ? 'allow' : 'deny';
+      else if (name === 'redirect') {
+        actions.disruptive = 'redirect';
+        actions.url = value;
+      } else if (name === 'status') actions.status = parseInt(value, 10);
+      else if (name === 'phase') actions.phase = PHASES[value] || parseInt(value, 10);
+      else if (name === 'severity') {
+        const severity = /^\d$/.test(value) ? SEVERITY_NUMBERS[value] : value.toUpperCase();
+        actions.severity = SEVERITIES[severity];
+      } else if (name === 'setvar') {
+        const score = this.parseAnomalyScore(value);
+        if (score !== undefined) actions.score = score;
+      }
+    }
+
+    return actions;
+  }
+
+  /**
+   * Map deny, drop, allow and redirect (with status) to a rule action
+   * Rules using block or pass only add their score
+   */
+  toRuleAction(actions) {
+    if (!actions.disruptive) return undefined;
+    if (actions.disruptive === 'allow') return 'allow';
+
+    const action = { type: actions.disruptive };
+    if (actions.url) action.url = actions.url;
+    if (!isNaN(actions.status)) action.status = actions.status;
+    return action;
+  }
+
+  /**
+   * Read the score from setvar:tx.anomaly_score=+N or =+%{tx.critical_anomaly_score}
+   */
+  parseAnomalyScore(value) {
+    const match = value.match(/^tx\.(?:inbound_)?anomaly_score(?:_pl\d)?=\+(.+)$/i);
+    if (!match) return undefined;
+
+    const macro = match[1].match(/^%\{tx\.(\w+)_anomaly_score\}$/i);
+    if (macro) return ANOMALY_SCORES[macro[1].toLowerCase()];
+
+    const score = parseInt(match[1], 10);
+    return isNaN(score) ? undefined : score;
+  }
+}
+
+module.exports = SecRuleParser;
@@ -0,0 +1,271 @@
+/**
+ * Target Extractor - Walks a request once and produces typed, named targets
+ * Collections follow ModSecurity variable names so modules and rules can select them
+ */
+
+const COLLECTIONS = [
+  'REQUEST_FILENAME', 'ARGS', 'ARGS_NAMES', 'REQUEST_BODY', 'XML',
+  'REQUEST_HEADERS', 'REQUEST_COOKIES', 'FILES', 'REQUEST_METHOD', 'REMOTE_ADDR'
+];
+
+// Request metadata rather than client content, only selected when named explicitly
+const EXPLICIT_COLLECTIONS = ['REQUEST_METHOD', 'REMOTE_ADDR'];
+
+class TargetExtractor {
+  constructor(config = {}) {
+    this.config = config;
+    this.maxDepth = 20;
+  }
+
+  /**
+   * Extract all targets from an analysis
+   * Each target is { collection, name, location, value } where location is "COLLECTION:name"
+   */
+  extract(analysis) {
+    return [
+      ...this.extractRequest(analysis),
+      ...this.extractBody(analysis)
+    ];
+  }
+
+  /**
+   * Extract path, method, client address, query, header and cookie targets
+   */
+  extractRequest(analysis) {
+    const targets = [];
+    const add = (collection, name, value) => this.addTarget(targets, collection, name, value);
+
+    if (typeof analysis.path === 'string') {
+      add('REQUEST_FILENAME', null, analysis.path);
+    }
+    add('REQUEST_METHOD', null, analysis.method);
+    add('REMOTE_ADDR', null, analysis.ip);
+
+    this.collect(analysis.query, null, (name, value) => add('ARGS', name, value), name => add('ARGS_NAMES', name, name), 0, 'brackets');
+
+    // Header names as received, so locations read REQUEST_HEADERS:User-Agent
+    const headerNames = this.getHeaderNames(analysis.rawHeaders);
+    Object.entries(analysis.headers || {}).forEach(([name, value]) => {
+      [].concat(value).forEach(entry => add('REQUEST_HEADERS', headerNames[name] || name, entry));
+    });
+
+    Object.entries(analysis.cookies || {}).forEach(([name, value]) => {
+      add('REQUEST_COOKIES', name, value);
+    });
+
+    return targets;
+  }
+
+  /**
+   * Extract body, XML text and uploaded file name targets
+   */
+  extractBody(analysis) {
+    const targets = [];
+    const add = (collection, name, value) => this.addTarget(targets, collection, name, value);
+    const body = Buffer.isBuffer(analysis.body) ? analysis.body.toString('utf8') : analysis.body;
+
+    if (typeof body === 'string') {
+      add('REQUEST_BODY', null, body);
+    } else if (body && typeof body === 'object') {
+      this.collect(body, null, (name, value) => add('REQUEST_BODY', name, value), name => add('ARGS_NAMES', name, name), 0, 'dots');
+    }
+
+    (analysis.xmlTexts || []).forEach(text => add('XML', null, text));
+
+    this.getFiles(analysis.files).forEach((file, index) => {
+      const filename = file.originalname || file.originalFilename || file.filename || file.name;
+      add('FILES', file.fieldname || String(index), filename);
+    });
+
+    return targets;
+  }
+
+  /**
+   * Add a string target
+   */
+  addTarget(targets, collection, name, value) {
+    if (typeof value !== 'string') return;
+
+    targets.push({
+      collection,
+      name,
+      location: TargetExtractor.location(collection, name),
+      value
+    });
+  }
+
+  /**
+   * Recursively collect leaf values and key names with their full names
+   * Query names use brackets (user[name]), body names use JSON paths (user.name, items[0])
+   */
+  collect(value, name, onValue, onName, depth, style) {
+    if (depth > this.maxDepth) return;
+
+    if (value && typeof value === 'object') {
+      Object.keys(value).forEach(key => {
+        const childName = TargetExtractor.childName(name, key, Array.isArray(value), style);
+
+        if (!Array.isArray(value)) {
+          onName(childName);
+        }
+        this.collect(value[key], childName, onValue, onName, depth + 1, style);
+      });
+    } else if (name !== null) {
+      onValue(name, typeof value === 'number' || typeof value === 'boolean' ? String(value) : value);
+    }
+  }
+
+  /**
+   * Map lowercase header names to their received casing
+   */
+  getHeaderNames(rawHeaders = []) {
+    // No prototype, so headers named "constructor" or "__proto__" map to themselves
+    const names = Object.create(null);
+
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+      const lower = String(rawHeaders[i]).toLowerCase();
+      if (!names[lower]) {
+        names[lower] = String(rawHeaders[i]);
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Normalize uploaded files from multer, formidable or similar parsers into a list
+   */
+  getFiles(files) {
+    if (!files) return [];
+    if (Array.isArray(files)) return files;
+
+    return Object.values(files).reduce((all, entry) => all.concat(entry), []);
+  }
+
+  /**
+   * Get the location of a target, "COLLECTION:name" or just the collection for unnamed targets
+   */
+  static location(collection, name) {
+    return name === null ? collection : `${collection}:${name}`;
+  }
+
+  /**
+   * Name a child of an object or array, with brackets (query) or dots (body) between keys
+   */
+  static childName(name, key, isArray, style) {
+    if (name === null) return isArray ? `[${key}]` : key;
+    // Repeated query parameters keep their name
+    if (isArray && style === 'brackets') return name;
+    if (isArray || style === 'brackets') return `${name}[${key}]`;
+    return `${name}.${key}`;
+  }
+
+  /**
+   * Get the last key of a target name, skipping array indexes: "links[0].url" and "url[1]" give "url"
+   */
+  static key(name) {
+    if (name === null) return null;
+
+    const keys = name.replace(/(\[\d+\])+$/, '').split(/[[\].]+/).filter(Boolean);
+    return keys[keys.length - 1] || null;
+  }
+
+  /**
+   * Run a module's combination check within each target, then across all of them
+   * Each finding is kept once, located at the first target it appears in (null if only across targets);
+   * views lists the texts to check for a value
+   */
+  static combine(targets, check, views = value => [value]) {
+    const found = [];
+    const add = location => threat => {
+      if (!found.some(entry => entry.pattern === threat.pattern)) {
+        found.push({ ...threat, location });
+      }
+    };
+
+    targets.forEach(target => check(views(target.value)).forEach(add(target.location)));
+    check(targets.flatMap(target => views(target.value))).forEach(add(null));
+
+    return found;
+  }
+
+  /**
+   * Select targets matching a list of selectors such as
+   * "ARGS", "ARGS:q", "REQUEST_HEADERS:User-Agent", "ARGS:/^user/" or "!REQUEST_COOKIES:sid"
+   * No selectors (or only exclusions) selects every target except REQUEST_METHOD and REMOTE_ADDR
+   */
+  static select(targets, selectors) {
+    const parsed = TargetExtractor.parse(selectors).map(selector => TargetExtractor.parseSelector(selector));
+    const includes = parsed.filter(selector => !selector.exclude);
+    const excludes = parsed.filter(selector => selector.exclude);
+
+    return targets.filter(target =>
+      (includes.length === 0 ?
+        !EXPLICIT_COLLECTIONS.includes(target.collection) :
+        includes.some(selector => TargetExtractor.matches(selector, target))) &&
+      !excludes.some(selector => TargetExtractor.matches(selector, target)));
+  }
+
+  /**
+   * Parse a target list, accepting arrays or ModSecurity style "ARGS|REQUEST_HEADERS:User-Agent"
+   * Arrays may also hold selectors already parsed by parseSelector, which are kept as they are
+   * Throws on unknown collections or invalid name patterns
+   */
+  static parse(targets) {
+    const selectors = (typeof targets === 'string' ? targets.split('|') : targets || [])
+      .map(selector => (TargetExtractor.isParsed(selector) ? selector : String(selector).trim()))
+      .filter(Boolean);
+
+    selectors.forEach(selector => TargetExtractor.parseSelector(selector));
+
+    return selectors;
+  }
+
+  /**
+   * Parse a selector string, throwing on unknown collections
+   */
+  static parseSelector(selector) {
+    if (TargetExtractor.isParsed(selector)) return selector;
+
+    const match = String(selector).trim().match(/^(!)?([A-Z_]+)(?::(.+))?$/i);
+    const collection = match && match[2].toUpperCase();
+    if (!match || !COLLECTIONS.includes(collection)) {
+      throw new Error(`Unknown target: ${selector}`);
+    }
+
+    const name = match[3];
+    const regex = name && name.match(/^\/(.*)\/([a-z]*)$/);
+
+    return {
+      exclude: Boolean(match[1]),
+      collection,
+      name: regex ? new RegExp(regex[1], regex[2]) : name
+    };
+  }
+
+  /**
+   * Check whether a selector is already parsed, as { exclude, collection, name }
+   */
+  static isParsed(selector) {
+    return selector !== null && typeof selector === 'object' && typeof selector.collection === 'string';
+  }
+
+  /**
+   * Check whether a parsed selector matches a target
+   * Header names are compared case-insensitively
+   */
+  static matches(selector, target) {
+    if (selector.collection !== target.collection) return false;
+    if (selector.name === undefined) return true;
+    if (target.name === null) return false;
+    if (selector.name instanceof RegExp) return selector.name.test(target.name);
+
+    return target.collection === 'REQUEST_HEADERS' ?
+      selector.name.toLowerCase() === target.name.toLowerCase() :
+      selector.name === target.name;
+  }
+}
+
+TargetExtractor.COLLECTIONS = COLLECTIONS;
+
+module.exports = TargetExtractor;
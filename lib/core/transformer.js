@@ -0,0 +1,194 @@
+/**
+ * Transformer - Decoding and normalization pipeline applied before matching
+ * Transform names follow ModSecurity t: actions where one exists
+ */
+
+const DEFAULT_TRANSFORMS = [
+  'urlDecodeUni', 'htmlEntityDecode', 'jsDecode', 'normalizeUnicode',
+  'base64Decode', 'removeComments', 'compressWhitespace', 'lowercase'
+];
+
+const NAMED_ENTITIES = {
+  lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'', nbsp: ' ', tab: '\t', newline: '\n',
+  colon: ':', semi: ';', sol: '/', bsol: '\\', lpar: '(', rpar: ')', equals: '=', excl: '!',
+  num: '#', period: '.', comma: ',', grave: '`', lsqb: '[', rsqb: ']', lcub: '{', rcub: '}',
+  lbrack: '[', rbrack: ']', lbrace: '{', rbrace: '}', quest: '?', plus: '+', percnt: '%',
+  dollar: '$', ast: '*', vert: '|', verbar: '|', hyphen: '-', lowbar: '_', commat: '@'
+};
+
+const JS_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+/**
+ * Decode bytes as UTF-8, accepting overlong forms such as C0 BC for "<"
+ * Bytes that do not form a sequence are kept as Latin-1 characters
+ */
+function decodeUTF8(bytes) {
+  let result = '';
+
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    const length = byte >= 0xf8 ? 1 : byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+    const continuation = bytes.slice(i + 1, i + length);
+
+    if (length === 1 || continuation.length < length - 1 || continuation.some(next => (next & 0xc0) !== 0x80)) {
+      result += String.fromCharCode(byte);
+      continue;
+    }
+
+    const code = continuation.reduce((value, next) => (value << 6) | (next & 0x3f), byte & (0xff >> (length + 1)));
+    result += code <= 0x10ffff ? String.fromCodePoint(code) : String.fromCharCode(byte);
+    i += length - 1;
+  }
+
+  return result;
+}
+
+/**
+ * Decode %XX (and %uXXXX when unicode is set) escapes in one pass
+ */
+function percentDecode(text, unicode) {
+  return text.replace(/(?:%[0-9a-f]{2})+|%u[0-9a-f]{4}/gi, escapes => {
+    if (escapes[1] === 'u' || escapes[1] === 'U') {
+      return unicode ? String.fromCharCode(parseInt(escapes.substring(2), 16)) : escapes;
+    }
+    const bytes = escapes.split('%').slice(1).map(hex => parseInt(hex, 16));
+    return decodeUTF8(bytes);
+  });
+}
+
+const TRANSFORMS = {
+  none: text => text,
+  urlDecode: (text, maxPasses) => {
+    let decoded = text;
+    for (let i = 0; i < maxPasses && /%[0-9a-f]{2}/i.test(decoded); i++) {
+      decoded = percentDecode(decoded, false);
+    }
+    return decoded;
+  },
+  urlDecodeUni: (text, maxPasses) => {
+    let decoded = text;
+    for (let i = 0; i < maxPasses && /%(u[0-9a-f]{4}|[0-9a-f]{2})/i.test(decoded); i++) {
+      decoded = percentDecode(decoded, true);
+    }
+    return decoded;
+  },
+  htmlEntityDecode: (text, maxPasses) => {
+    let decoded = text;
+    for (let i = 0; i < maxPasses && /&(#x?[0-9a-f]+|[a-z]+);?/i.test(decoded); i++) {
+      const next = decoded.replace(/&#(x[0-9a-f]+|\d+);?|&([a-z]+);|&(lt|gt|amp|quot)(?![a-z;])/gi,
+        (reference, number, name, legacy) => {
+          if (number) {
+            const code = number[0] === 'x' || number[0] === 'X' ? parseInt(number.substring(1), 16) : parseInt(number, 10);
+            return code <= 0x10ffff ? String.fromCodePoint(code) : reference;
+          }
+          const entity = (name || legacy).toLowerCase();
+          return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, entity) ? NAMED_ENTITIES[entity] : reference;
+        });
+      if (next === decoded) break;
+      decoded = next;
+    }
+    return decoded;
+  },
+  jsDecode: text => text.replace(/\\(?:u\{([0-9a-f]{1,6})\}|u([0-9a-f]{4})|x([0-9a-f]{2})|([0-7]{1,3})|([\s\S]))/gi,
+    (escape, codePoint, unicode, hex, octal, char) => {
+      if (codePoint) {
+        const code = parseInt(codePoint, 16);
+        return code <= 0x10ffff ? String.fromCodePoint(code) : escape;
+      }
+      if (unicode || hex) return String.fromCharCode(parseInt(unicode || hex, 16));
+      if (octal) return String.fromCharCode(parseInt(octal, 8) & 0xff);
+      return Object.prototype.hasOwnProperty.call(JS_ESCAPES, char) ? JS_ESCAPES[char] : char;
+    }),
+  base64Decode: text => text.replace(/[A-Za-z0-9+/]{16,}={0,2}/g, token => {
+    if (token.length % 4 === 1) return token;
+    const decoded = Buffer.from(token, 'base64').toString('utf8');
+    // Only keep decodings that look like text, so ordinary identifiers stay as they are
+    return /^[\x20-\x7e\t\r\n]+$/.test(decoded) ? decoded : token;
+  }),
+  normalizeUnicode: text => text.normalize('NFKC'),
+  removeComments: text => text.replace(/\/\*[\s\S]*?(\*\/|$)|<!--[\s\S]*?(-->|$)/g, ''),
+  replaceComments: text => text.replace(/\/\*[\s\S]*?(\*\/|$)/g, ' '),
+  compressWhitespace: text => text.replace(/\s+/g, ' '),
+  removeWhitespace: text => text.replace(/\s+/g, ''),
+  removeNulls: text => text.replace(/\0/g, ''),
+  trim: text => text.trim(),
+  lowercase: text => text.toLowerCase(),
+  uppercase: text => text.toUpperCase()
+};
+
+class Transformer {
+  constructor(config = {}) {
+    this.config = config;
+    const normalization = config.normalization || {};
+    this.maxPasses = normalization.maxPasses || 5;
+    this.defaultTransforms = this.parse(normalization.transforms || DEFAULT_TRANSFORMS);
+  }
+
+  /**
+   * Parse a transform list, accepting ModSecurity style "t:name" entries
+   * Throws on unknown transforms
+   */
+  parse(transforms) {
+    const names = (typeof transforms === 'string' ? transforms.split(',') : transforms || [])
+      .map(name => String(name).trim().replace(/^t:/, ''))
+      .filter(Boolean);
+
+    names.forEach(name => {
+      if (!Object.prototype.hasOwnProperty.call(TRANSFORMS, name)) {
+        throw new Error(`Unknown transform: ${name}`);
+      }
+    });
+
+    return names;
+  }
+
+  /**
+   * Apply a parsed transform list to a value
+   */
+  apply(text, transforms) {
+    return transforms.reduce((value, name) => TRANSFORMS[name](value, this.maxPasses), text);
+  }
+
+  /**
+   * Get the normalized forms of a value that differ from it
+   * Comments are tried both removed, which rejoins split keywords,
+   * and replaced by a space, which keeps adjacent keywords apart
+   */
+  views(text) {
+    const views = [this.apply(text, this.defaultTransforms)];
+
+    if (this.defaultTransforms.includes('removeComments') && /\/\*/.test(text)) {
+      views.push(this.apply(text, this.defaultTransforms.map(name =>
+        name === 'removeComments' ? 'replaceComments' : name)));
+    }
+
+    return views.filter((view, index) => view !== text && views.indexOf(view) === index);
+  }
+
+  /**
+   * Create a per-request cache so each value is transformed once and shared by all modules and rules
+   */
+  forRequest() {
+    const cache = new Map();
+    const memo = (key, compute) => {
+      if (!cache.has(key)) cache.set(key, compute());
+      return cache.get(key);
+    };
+
+    const views = text => memo(`views\0${text}`, () => this.views(text));
+
+    return {
+      views,
+      apply: (text, transforms) => memo(`${transforms.join(',')}\0${text}`, () => this.apply(text, transforms)),
+      test: (pattern, text) => [text, ...views(text)].some(view => {
+        // Reset regex lastIndex for global patterns
+        pattern.lastIndex = 0;
+        return pattern.test(view);
+      })
+    };
+  }
+}
+
+Transformer.DEFAULT_TRANSFORMS = DEFAULT_TRANSFORMS;
+
+module.exports = Transformer;
@@ -0,0 +1,133 @@
+/**
+ * XML Extractor - Pulls decoded text nodes and attribute values out of XML bodies
+ * so content modules can scan them the same way as form and JSON fields
+ */
+
+const PREDEFINED_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+class XMLExtractor {
+  constructor(config = {}) {
+    this.config = config;
+    this.maxNodes = (config.xml && config.xml.maxNodes) || 1000;
+    this.maxSize = (config.xml && config.xml.maxSize) || 1024 * 1024;
+  }
+
+  /**
+   * Check whether a body should be treated as XML
+   * Uses the Content-Type when available and falls back to the XML prolog or DOCTYPE
+   */
+  isXML(body, headers = {}) {
+    if (typeof body !== 'string') return false;
+
+    const contentType = String(headers['content-type'] || '').toLowerCase();
+    if (/[/+]xml\b/.test(contentType)) {
+      return true;
+    }
+
+    return /^\s*<(\?xml|!DOCTYPE)/i.test(body);
+  }
+
+  /**
+   * Extract decoded text nodes, CDATA sections and attribute values
+   * Returns an empty list for non-XML bodies. Only the first maxSize characters are read,
+   * and the body is scanned in a single pass so crafted markup cannot cause backtracking
+   */
+  extract(body, headers) {
+    const xml = Buffer.isBuffer(body) ? body.toString('utf8') : body;
+    if (!this.isXML(xml, headers)) return [];
+
+    const input = xml.length > this.maxSize ? xml.substring(0, this.maxSize) : xml;
+    const texts = [];
+    let index = 0;
+
+    while (index < input.length && texts.length < this.maxNodes) {
+      if (input[index] !== '<') {
+        const end = this.indexOrEnd(input, '<', index);
+        const text = this.decodeEntities(input.substring(index, end)).trim();
+        if (text) texts.push(text);
+        index = end;
+      } else if (input.startsWith('<![CDATA[', index)) {
+        // CDATA content is taken literally
+        const end = this.indexOrEnd(input, ']]>', index + 9);
+        const content = input.substring(index + 9, end);
+        if (content.trim()) texts.push(content);
+        index = end + 3;
+      } else if (input.startsWith('<!--', index)) {
+        index = this.indexOrEnd(input, '-->', index + 4) + 3;
+      } else if (input.startsWith('<?', index)) {
+        index = this.indexOrEnd(input, '?>', index + 2) + 2;
+      } else if (input.substring(index, index + 9).toUpperCase() === '<!DOCTYPE') {
+        index = this.findDoctypeEnd(input, index + 9);
+      } else {
+        const end = this.indexOrEnd(input, '>', index);
+        const tag = input.substring(index, end + 1);
+        if (/^<[A-Za-z_]/.test(tag)) {
+          texts.push(...this.extractAttributes(tag));
+        }
+        index = end + 1;
+      }
+    }
+
+    return texts.slice(0, this.maxNodes);
+  }
+
+  /**
+   * Find a string from a position, or the end of the input when it is missing
+   */
+  indexOrEnd(input, search, from) {
+    const index = input.indexOf(search, from);
+    return index < 0 ? input.length : index;
+  }
+
+  /**
+   * Find the end of a DOCTYPE declaration, skipping its [internal subset] by bracket depth
+   */
+  findDoctypeEnd(input, from) {
+    let depth = 0;
+
+    for (let i = from; i < input.length; i++) {
+      if (input[i] === '[') {
+        depth++;
+      } else if (input[i] === ']' && depth > 0) {
+        depth--;
+      } else if (input[i] === '>' && depth === 0) {
+        return i + 1;
+      }
+    }
+
+    return input.length;
+  }
+
+  /**
+   * Extract decoded attribute values from a start tag
+   */
+  extractAttributes(tag) {
+    const values = [];
+    // The lookbehind starts names at word boundaries only, keeping long attribute-less tags linear
+    const attribute = /(?<![\w:.-])[\w:.-]+\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+
+    while ((match = attribute.exec(tag)) !== null) {
+      const value = this.decodeEntities(match[1] !== undefined ? match[1] : match[2]);
+      if (value.trim()) values.push(value);
+    }
+
+    return values;
+  }
+
+  /**
+   * Decode predefined and numeric character references
+   * Custom entity references are left untouched
+   */
+  decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (reference, name) => {
+      if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+        return code <= 0x10ffff ? String.fromCodePoint(code) : reference;
+      }
+      return Object.prototype.hasOwnProperty.call(PREDEFINED_ENTITIES, name) ? PREDEFINED_ENTITIES[name] : reference;
+    });
+  }
+}
+
+module.exports = XMLExtractor;
@@ -30,9 +30,42 @@ function waf(options = {}) {
   return createWAF(options);
 }
 
+/**
+ * Create WAF middleware for Koa applications
+ * @param {Object} options - Configuration options
+ * @returns {Function} Koa middleware function
+ */
+function koa(options = {}) {
+  return createWAF(options).koa();
+}
+
+/**
+ * Fastify plugin, register with fastify.register(waf.fastify, options)
+ * @param {Object} instance - Fastify instance
+ * @param {Object} options - Configuration options
+ * @param {Function} done - Plugin callback
+ */
+function fastify(instance, options, done) {
+  createWAF(options).fastify()(instance, options, done);
+}
+fastify[Symbol.for('skip-override')] = true;
+
+/**
+ * Wrap a plain node:http request handler
+ * @param {Function} handler - (req, res) request handler
+ * @param {Object} options - Configuration options
+ * @returns {Function} Protected request handler
+ */
+function http(handler, options = {}) {
+  return createWAF(options).httpHandler(handler);
+}
+
 // Export main function and utilities
 module.exports = waf;
 module.exports.createWAF = createWAF;
+module.exports.koa = koa;
+module.exports.fastify = fastify;
+module.exports.http = http;
 module.exports.RuleEngine = RuleEngine;
 module.exports.ConfigManager = ConfigManager;
 module.exports.StatsCollector = StatsCollector;
@@ -0,0 +1,214 @@
+/**
+ * OS Command Injection Detection Module
+ */
+
+const TargetExtractor = require('../core/target-extractor');
+
+const DEFAULT_TARGETS = ['REQUEST_FILENAME', 'ARGS', 'REQUEST_BODY', 'REQUEST_HEADERS', 'REQUEST_COOKIES'];
+
+// Binaries commonly chained after a shell metacharacter
+const COMMANDS = [
+  'cat', 'ls', 'id', 'whoami', 'uname', 'hostname', 'ifconfig', 'ipconfig', 'netstat',
+  'ps', 'env', 'pwd', 'echo', 'ping', 'nslookup', 'dig', 'wget', 'curl', 'nc', 'ncat',
+  'netcat', 'telnet', 'ssh', 'scp', 'ftp', 'tftp', 'bash', 'sh', 'zsh', 'ksh', 'python',
+  'python3', 'perl', 'ruby', 'php', 'node', 'rm', 'chmod', 'chown', 'kill', 'sleep',
+  'base64', 'xxd', 'head', 'tail', 'more', 'less', 'find', 'powershell', 'pwsh',
+  'cmd', 'net', 'type', 'dir', 'certutil', 'bitsadmin', 'whoami.exe'
+].join('|');
+
+// Command name followed by whitespace, another operator or end of input
+const COMMAND = `(${COMMANDS})(?=[\\s;|&<>\`)$]|$)`;
+
+class CMDiModule {
+  constructor(config) {
+    this.config = config;
+    this.targetExtractor = new TargetExtractor(config);
+    this.patterns = this.loadCMDiPatterns();
+  }
+
+  /**
+   * Load command injection detection patterns
+   */
+  loadCMDiPatterns() {
+    return [
+      // Metacharacter chains
+      {
+        name: 'semicolon-command',
+        pattern: new RegExp(`;\\s*${COMMAND}`, 'i'),
+        score: 5,
+        description: 'Command chained with semicolon'
+      },
+      {
+        name: 'pipe-command',
+        pattern: new RegExp(`\\|\\s*${COMMAND}`, 'i'),
+        score: 5,
+        description: 'Output piped to command'
+      },
+      {
+        name: 'and-command',
+        pattern: new RegExp(`&&?\\s*${COMMAND}`, 'i'),
+        score: 5,
+        description: 'Command chained with &&'
+      },
+      {
+        name: 'newline-command',
+        pattern: new RegExp(`(\\n|\\r|%0a|%0d)\\s*${COMMAND}`, 'i'),
+        score: 4,
+        description: 'Command injected after newline'
+      },
+
+      // Command substitution
+      {
+        name: 'backtick-substitution',
+        pattern: /`[^`]+`/,
+        score: 4,
+        description: 'Backtick command substitution'
+      },
+      {
+        name: 'dollar-substitution',
+        pattern: /\$\([^()]+\)/,
+        score: 4,
+        description: '$() command substitution'
+      },
+
+      // Evasion techniques
+      {
+        name: 'ifs-evasion',
+        pattern: /\$\{?IFS\}?/,
+        score: 5,
+        description: '${IFS} whitespace evasion'
+      },
+      {
+        name: 'quote-evasion',
+        pattern: /\b(c['"]a['"]?t|w['"]h['"]?o['"]?a['"]?m['"]?i|w['"]?g['"]e['"]?t)\b/i,
+        score: 4,
+        description: 'Quote-split command name'
+      },
+      {
+        name: 'shellshock',
+        pattern: /\(\)\s*\{\s*:?\s*;\s*\}\s*;/,
+        score: 5,
+        description: 'Shellshock function definition'
+      },
+
+      // Recon and exfiltration binaries
+      {
+        name: 'recon-binary',
+        pattern: /\b(cat|head|tail|more|less)\s+\/(etc|proc|var|home)\//i,
+        score: 4,
+        description: 'File read with shell utility'
+      },
+      {
+        name: 'download-binary',
+        pattern: /\b(wget|curl|tftp|certutil|bitsadmin)\s[^\n]{0,200}?(https?|ftp):\/\//i,
+        score: 4,
+        description: 'Remote download with shell utility'
+      },
+      {
+        name: 'reverse-shell',
+        pattern: /\/dev\/(tcp|udp)\/|\b(nc|ncat|netcat)\s+(-\w+\s+){0,8}-[ec]\s|\bbash\s+-i\b/i,
+        score: 5,
+        description: 'Reverse shell attempt'
+      },
+
+      // Windows forms
+      {
+        name: 'windows-cmd',
+        pattern: /\bcmd(\.exe)?\s+\/[ck]\b/i,
+        score: 5,
+        description: 'Windows cmd /c execution'
+      },
+      {
+        name: 'powershell',
+        pattern: /\b(powershell|pwsh)(\.exe)?\s+(-\w+|iex|invoke-)/i,
+        score: 5,
+        description: 'PowerShell execution'
+      }
+    ];
+  }
+
+  /**
+   * Analyze request for command injection threats
+   */
+  analyze(analysis) {
+    const threats = [];
+    let totalScore = 0;
+
+    // Get the request targets this module applies to
+    const targets = this.getTargets(analysis);
+
+    // Check each pattern
+    this.patterns.forEach(pattern => {
+      targets.forEach(target => {
+        const text = target.value;
+        if (pattern.pattern.test(text)) {
+          threats.push({
+            type: 'cmdi',
+            pattern: pattern.name,
+            description: pattern.description,
+            score: pattern.score,
+            matched: text.substring(0, 100) + (text.length > 100 ? '...' : ''),
+            location: target.location
+          });
+          totalScore += pattern.score;
+        }
+      });
+    });
+
+    const combinationThreats = TargetExtractor.combine(targets, texts => this.checkCombinations(texts));
+    threats.push(...combinationThreats);
+    totalScore += combinationThreats.reduce((sum, threat) => sum + threat.score, 0);
+
+    if (threats.length > 0) {
+      return {
+        score: totalScore,
+        threats: threats,
+        module: 'cmdi'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the path, query, body, header and cookie targets, narrowed by the cmdi.targets selectors
+   */
+  getTargets(analysis) {
+    const targets = analysis.targets || this.targetExtractor.extract(analysis);
+    return TargetExtractor.select(targets, (this.config.cmdi || {}).targets || DEFAULT_TARGETS);
+  }
+
+  /**
+   * Check for suspicious pattern combinations
+   */
+  checkCombinations(searchTexts) {
+    const threats = [];
+    const text = searchTexts.join(' ').toLowerCase();
+
+    // Download piped straight into a shell
+    if (/\b(wget|curl)\b/.test(text) && /\|\s*(ba|z|k)?sh\b/.test(text)) {
+      threats.push({
+        type: 'cmdi',
+        pattern: 'download-execute',
+        description: 'Remote script piped to shell',
+        score: 5,
+        matched: 'Download piped to shell'
+      });
+    }
+
+    // Encoded payload decoded and executed
+    if (/base64\s+(-d|--decode)/.test(text) && /\|\s*(ba|z|k)?sh\b/.test(text)) {
+      threats.push({
+        type: 'cmdi',
+        pattern: 'decode-execute',
+        description: 'Encoded payload decoded and executed',
+        score: 5,
+        matched: 'base64 decode piped to shell'
+      });
+    }
+
+    return threats;
+  }
+}
+
+module.exports = CMDiModule;
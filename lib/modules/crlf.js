@@ -0,0 +1,147 @@
+/**
+ * CRLF / HTTP Header Injection Detection Module
+ * Looks for header-splitting sequences in decoded values that may be reflected
+ * into response headers such as Location or Set-Cookie
+ */
+
+const Transformer = require('../core/transformer');
+const TargetExtractor = require('../core/target-extractor');
+
+const DEFAULT_TARGETS = [
+  'REQUEST_FILENAME', 'ARGS', 'REQUEST_HEADERS', '!REQUEST_HEADERS:Cookie', 'REQUEST_COOKIES', 'REQUEST_BODY'
+];
+
+const TRANSFORMS = ['urlDecodeUni'];
+
+// Headers an attacker typically injects after a line break
+const INJECTED_HEADERS = [
+  'set-cookie', 'location', 'content-type', 'content-length', 'transfer-encoding', 'refresh',
+  'access-control-[\\w-]+', 'x-[\\w-]+', 'cache-control', 'content-security-policy',
+  'strict-transport-security', 'content-disposition', 'link', 'host', 'connection'
+].join('|');
+
+// Any line break a header parser or browser may honor
+const LINE_BREAK = '(?:\\r\\n|\\r|\\n|\\u2028|\\u2029|\\u0085)';
+
+// Some header writers keep only the low byte of each character, turning 嘊 and 嘍 into LF and CR;
+// Ċ and č truncate the same way but are ordinary letters, so they only count before a known header
+const TRUNCATED_BREAKS = /[\u560a\u560d]/g;
+const TRUNCATED_LATIN_BREAKS = /[\u560a\u560d\u010a\u010d]/g;
+const lowByte = char => String.fromCharCode(char.charCodeAt(0) & 0xff);
+
+class CRLFModule {
+  constructor(config) {
+    this.config = config;
+    this.transformer = new Transformer(config);
+    this.targetExtractor = new TargetExtractor(config);
+    this.patterns = this.loadCRLFPatterns();
+  }
+
+  /**
+   * Load CRLF detection patterns
+   * Patterns marked anywhere also apply to body fields, where plain newlines are normal;
+   * patterns marked splitsHeaders are also tried against truncated Unicode, including
+   * truncated Latin letters when marked latinSplits
+   */
+  loadCRLFPatterns() {
+    return [
+      {
+        name: 'header-injection',
+        pattern: new RegExp(`${LINE_BREAK}[ \\t]*(${INJECTED_HEADERS})[ \\t]*:`, 'i'),
+        score: 5,
+        anywhere: true,
+        splitsHeaders: true,
+        latinSplits: true,
+        description: 'Injected response header'
+      },
+      {
+        name: 'response-splitting',
+        pattern: /(\r\n|\n){2}\s*(<|HTTP\/\d)/i,
+        score: 5,
+        anywhere: true,
+        splitsHeaders: true,
+        latinSplits: true,
+        description: 'HTTP response splitting'
+      },
+      {
+        name: 'header-splitting',
+        pattern: new RegExp(`${LINE_BREAK}[ \\t]*[!#$%&'*+.^_\`|~0-9A-Za-z-]+[ \\t]*:`),
+        score: 4,
+        splitsHeaders: true,
+        description: 'Header-like line after line break'
+      },
+      {
+        name: 'crlf-sequence',
+        pattern: /[\r\n]/,
+        score: 3,
+        description: 'CR or LF in value'
+      },
+      {
+        name: 'unicode-line-separator',
+        pattern: /[\u2028\u2029\u0085]/,
+        score: 3,
+        description: 'Unicode line separator in value'
+      }
+    ];
+  }
+
+  /**
+   * Analyze request for CRLF injection threats
+   */
+  analyze(analysis) {
+    const threats = [];
+
+    const normalizer = analysis.normalizer || this.transformer.forRequest();
+
+    this.getTargets(analysis).forEach(target => {
+      // Recursive URL decoding undoes double encoding such as %250d%250a
+      const value = normalizer.apply(target.value, TRANSFORMS);
+
+      const truncated = value.replace(TRUNCATED_BREAKS, lowByte);
+      const truncatedLatin = value.replace(TRUNCATED_LATIN_BREAKS, lowByte);
+
+      const matched = this.patterns.filter(pattern => {
+        const split = pattern.latinSplits ? truncatedLatin : truncated;
+        return (pattern.anywhere || target.collection !== 'REQUEST_BODY') &&
+          (pattern.pattern.test(value) || (pattern.splitsHeaders && split !== value && pattern.pattern.test(split)));
+      });
+
+      // Report the most specific finding for each value
+      if (matched.length > 0) {
+        const pattern = matched[0];
+        const bypass = !pattern.pattern.test(value);
+        threats.push({
+          type: 'crlf',
+          pattern: pattern.name,
+          description: bypass ?
+            `${pattern.description} via truncated Unicode in ${target.location}` :
+            `${pattern.description} in ${target.location}`,
+          score: pattern.score,
+          matched: JSON.stringify(value.substring(0, 100)),
+          location: target.location
+        });
+      }
+    });
+
+    if (threats.length > 0) {
+      return {
+        score: threats.reduce((sum, threat) => sum + threat.score, 0),
+        threats: threats,
+        module: 'crlf'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the path, query, header, cookie and body targets, narrowed by the crlf.targets selectors
+   * The Cookie header is left out as its values are checked individually
+   */
+  getTargets(analysis) {
+    const targets = analysis.targets || this.targetExtractor.extract(analysis);
+    return TargetExtractor.select(targets, (this.config.crlf || {}).targets || DEFAULT_TARGETS);
+  }
+}
+
+module.exports = CRLFModule;
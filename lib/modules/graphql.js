@@ -0,0 +1,583 @@
+/**
+ * GraphQL Inspection Module
+ * Parses GraphQL documents from POST bodies and GET parameters and enforces
+ * depth, alias, field and cost limits before the query reaches a resolver
+ */
+
+const XSSModule = require('./xss');
+const SQLiModule = require('./sqli');
+
+// Arguments that multiply the cost of the selection below them
+const LIST_ARGUMENTS = ['first', 'last', 'limit', 'take', 'pagesize', 'count'];
+
+const PUNCTUATORS = '!$&():=@[]{}|';
+
+class GraphQLModule {
+  constructor(config) {
+    this.config = config;
+    this.graphqlConfig = config.graphql || {};
+    this.limits = {
+      maxDepth: this.graphqlConfig.maxDepth || 10,
+      maxAliases: this.graphqlConfig.maxAliases || 15,
+      maxFields: this.graphqlConfig.maxFields || 200,
+      maxCost: this.graphqlConfig.maxCost || 1000,
+      maxBatch: this.graphqlConfig.maxBatch || 10,
+      maxTokens: this.graphqlConfig.maxTokens || 10000
+    };
+    // Fragment spreads can multiply a small document, so expansion is capped well above the field limit
+    this.limits.maxSelections = this.graphqlConfig.maxSelections || this.limits.maxFields * 10;
+    this.blockIntrospection = this.graphqlConfig.blockIntrospection !== undefined ?
+      this.graphqlConfig.blockIntrospection :
+      process.env.NODE_ENV === 'production';
+    this.literalScanners = [new XSSModule(config), new SQLiModule(config)];
+  }
+
+  /**
+   * Analyze request for GraphQL threats
+   */
+  analyze(analysis) {
+    const threats = [];
+
+    this.extractOperations(analysis).forEach(entry => {
+      threats.push(...this.checkDocument(entry));
+    });
+
+    if (threats.length > 0) {
+      return {
+        score: threats.reduce((sum, threat) => sum + threat.score, 0),
+        threats: threats,
+        module: 'graphql'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract GraphQL documents from the query string and body
+   * Returns entries of { source, query, operationName }
+   */
+  extractOperations(analysis) {
+    const entries = [];
+
+    if (analysis.query && typeof analysis.query.query === 'string') {
+      entries.push({
+        source: 'query.query',
+        query: analysis.query.query,
+        operationName: analysis.query.operationName
+      });
+    }
+
+    let body = analysis.body;
+    if (typeof body === 'string') {
+      const contentType = (analysis.headers && analysis.headers['content-type']) || '';
+      if (contentType.includes('application/graphql')) {
+        entries.push({ source: 'body', query: body });
+        return entries;
+      }
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        return entries;
+      }
+    }
+
+    if (Array.isArray(body)) {
+      if (body.length > this.limits.maxBatch) {
+        entries.push({
+          source: 'body',
+          threat: this.createThreat('max-batch', `Batch of ${body.length} operations exceeds limit ${this.limits.maxBatch}`, 5, 'body', null, `${body.length} operations`)
+        });
+      }
+      body.slice(0, this.limits.maxBatch).forEach((item, index) => {
+        if (item && typeof item.query === 'string') {
+          entries.push({ source: `body[${index}].query`, query: item.query, operationName: item.operationName });
+        }
+      });
+    } else if (body && typeof body === 'object' && typeof body.query === 'string') {
+      entries.push({ source: 'body.query', query: body.query, operationName: body.operationName });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parse and check a single GraphQL document
+   */
+  checkDocument(entry) {
+    if (entry.threat) {
+      return [entry.threat];
+    }
+
+    let document;
+    try {
+      document = this.parse(entry.query);
+    } catch (error) {
+      return [this.createThreat(
+        error.tooLarge ? 'query-too-large' : 'malformed-query',
+        error.message,
+        error.tooLarge ? 5 : 2,
+        entry.source,
+        entry.operationName || null,
+        entry.query
+      )];
+    }
+
+    const threats = [];
+
+    document.operations.forEach(operation => {
+      const operationName = operation.name || entry.operationName || null;
+      const metrics = this.measure(operation.selections, document.fragments);
+      const create = (pattern, description, score, matched) =>
+        this.createThreat(pattern, description, score, entry.source, operationName, matched);
+
+      if (metrics.depth > this.limits.maxDepth) {
+        threats.push(create('max-depth', `Query depth ${metrics.depth} exceeds limit ${this.limits.maxDepth}`, 5, `depth ${metrics.depth}`));
+      }
+      if (metrics.aliases > this.limits.maxAliases) {
+        threats.push(create('max-aliases', `${metrics.aliases} aliases exceed limit ${this.limits.maxAliases}`, 5, `${metrics.aliases} aliases`));
+      }
+      if (metrics.fields > this.limits.maxFields) {
+        threats.push(create('max-fields', `${metrics.fields} fields exceed limit ${this.limits.maxFields}`, 5, `${metrics.fields} fields`));
+      }
+      if (metrics.cost > this.limits.maxCost) {
+        threats.push(create('max-cost', `Query cost ${metrics.cost} exceeds limit ${this.limits.maxCost}`, 5, `cost ${metrics.cost}`));
+      }
+      if (metrics.truncated) {
+        threats.push(create('query-too-large', `Query expands to more than ${this.limits.maxSelections} selections`, 5, `${metrics.selections} selections`));
+      }
+      if (this.blockIntrospection && metrics.introspection.length > 0) {
+        threats.push(create('introspection', 'Introspection query', 5, metrics.introspection.join(', ')));
+      }
+
+      threats.push(...this.scanLiterals(metrics.literals, entry.source, operationName));
+    });
+
+    return threats;
+  }
+
+  /**
+   * Walk a selection set collecting depth, alias, field, cost and literal metrics
+   * Fragment spreads are expanded once per path so cycles terminate, and every
+   * field, spread and inline fragment visited counts against maxSelections
+   */
+  measure(selections, fragments) {
+    const metrics = { depth: 0, aliases: 0, fields: 0, cost: 0, selections: 0, truncated: false, introspection: [], literals: [] };
+
+    const walk = (nodes, depth, multiplier, visited) => {
+      for (const node of nodes) {
+        if (metrics.truncated || ++metrics.selections > this.limits.maxSelections) {
+          metrics.truncated = true;
+          return;
+        }
+
+        if (node.kind === 'spread') {
+          const fragment = fragments[node.name];
+          if (fragment && !visited.includes(node.name)) {
+            walk(fragment.selections, depth, multiplier, [...visited, node.name]);
+          }
+          continue;
+        }
+
+        if (node.kind === 'inline') {
+          walk(node.selections, depth, multiplier, visited);
+          continue;
+        }
+
+        metrics.fields++;
+        metrics.depth = Math.max(metrics.depth, depth);
+        metrics.cost = Math.min(metrics.cost + multiplier, Number.MAX_SAFE_INTEGER);
+        if (node.alias) {
+          metrics.aliases++;
+        }
+        if (node.name === '__schema' || node.name === '__type') {
+          metrics.introspection.push(node.name);
+        }
+
+        node.arguments.forEach(argument => {
+          this.collectLiterals(argument.value, `${node.name}.${argument.name}`, metrics.literals);
+        });
+
+        if (node.selections.length > 0) {
+          walk(node.selections, depth + 1, multiplier * this.listSize(node), visited);
+        }
+      }
+    };
+
+    walk(selections, 1, 1, []);
+    return metrics;
+  }
+
+  /**
+   * Get the page size requested by list arguments such as first: 100
+   */
+  listSize(field) {
+    const argument = field.arguments.find(entry =>
+      LIST_ARGUMENTS.includes(entry.name.toLowerCase()) && entry.value.kind === 'number');
+
+    return argument ? Math.max(1, Math.floor(Number(argument.value.value))) : 1;
+  }
+
+  /**
+   * Collect string literals from an argument value
+   */
+  collectLiterals(value, argumentPath, literals) {
+    if (value.kind === 'string') {
+      literals.push({ argument: argumentPath, value: value.value });
+    } else if (value.kind === 'list') {
+      value.values.forEach(item => this.collectLiterals(item, argumentPath, literals));
+    } else if (value.kind === 'object') {
+      value.fields.forEach(field => this.collectLiterals(field.value, `${argumentPath}.${field.name}`, literals));
+    }
+  }
+
+  /**
+   * Scan decoded argument literals with the XSS and SQLi modules
+   */
+  scanLiterals(literals, source, operationName) {
+    const threats = [];
+
+    literals.forEach(literal => {
+      const literalAnalysis = {
+        path: '',
+        query: { [literal.argument]: literal.value },
+        body: null,
+        headers: {},
+        cookies: {}
+      };
+
+      this.literalScanners.forEach(scanner => {
+        const result = scanner.analyze(literalAnalysis);
+        if (result) {
+          result.threats.forEach(threat => {
+            threats.push({
+              ...threat,
+              field: source,
+              location: this.getLocation(source),
+              argument: literal.argument,
+              operation: operationName
+            });
+          });
+        }
+      });
+    });
+
+    return threats;
+  }
+
+  /**
+   * Map a document source such as "body[0].query" to its request target location
+   */
+  getLocation(source) {
+    if (source.startsWith('query.')) return `ARGS:${source.substring(6)}`;
+    if (source === 'body') return 'REQUEST_BODY';
+    return `REQUEST_BODY:${source.substring(source[4] === '.' ? 5 : 4)}`;
+  }
+
+  /**
+   * Create threat entry for a GraphQL finding
+   */
+  createThreat(pattern, description, score, field, operationName, matched) {
+    const text = String(matched || '');
+
+    return {
+      type: 'graphql',
+      pattern,
+      description: operationName ? `${description} in operation ${operationName}` : description,
+      score,
+      field,
+      location: this.getLocation(field),
+      operation: operationName,
+      matched: text.substring(0, 100) + (text.length > 100 ? '...' : '')
+    };
+  }
+
+  /**
+   * Parse a GraphQL document into operations and fragments
+   */
+  parse(source) {
+    const tokens = this.tokenize(source);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const fail = (message) => {
+      throw new Error(`GraphQL syntax error: ${message}`);
+    };
+    const expect = (value) => {
+      const token = next();
+      if (!token || token.value !== value) {
+        fail(`expected "${value}"`);
+      }
+      return token;
+    };
+    const expectName = () => {
+      const token = next();
+      if (!token || token.kind !== 'name') {
+        fail('expected name');
+      }
+      return token.value;
+    };
+    const isPunctuator = (value) => peek() && peek().kind === 'punctuator' && peek().value === value;
+
+    const parseValue = (depth) => {
+      if (depth > 100) fail('value nesting too deep');
+      const token = next();
+      if (!token) fail('unexpected end of document');
+
+      if (token.kind === 'string' || token.kind === 'number') {
+        return { kind: token.kind, value: token.value };
+      }
+      if (token.kind === 'name') {
+        return { kind: 'enum', value: token.value };
+      }
+      if (token.value === '$') {
+        return { kind: 'variable', value: expectName() };
+      }
+      if (token.value === '[') {
+        const values = [];
+        while (!isPunctuator(']')) {
+          if (!peek()) fail('unterminated list');
+          values.push(parseValue(depth + 1));
+        }
+        next();
+        return { kind: 'list', values };
+      }
+      if (token.value === '{') {
+        const fields = [];
+        while (!isPunctuator('}')) {
+          if (!peek()) fail('unterminated object');
+          const name = expectName();
+          expect(':');
+          fields.push({ name, value: parseValue(depth + 1) });
+        }
+        next();
+        return { kind: 'object', fields };
+      }
+      return fail(`unexpected "${token.value}"`);
+    };
+
+    const parseArguments = () => {
+      const args = [];
+      if (isPunctuator('(')) {
+        next();
+        while (!isPunctuator(')')) {
+          if (!peek()) fail('unterminated arguments');
+          const name = expectName();
+          expect(':');
+          args.push({ name, value: parseValue(0) });
+        }
+        next();
+      }
+      return args;
+    };
+
+    const parseDirectives = () => {
+      const args = [];
+      while (isPunctuator('@')) {
+        next();
+        expectName();
+        args.push(...parseArguments());
+      }
+      return args;
+    };
+
+    const parseSelectionSet = (depth) => {
+      if (depth > 100) fail('selection nesting too deep');
+      expect('{');
+      const selections = [];
+
+      while (!isPunctuator('}')) {
+        if (!peek()) fail('unterminated selection set');
+
+        if (isPunctuator('...')) {
+          next();
+          if (peek() && peek().kind === 'name' && peek().value !== 'on') {
+            const name = next().value;
+            parseDirectives();
+            selections.push({ kind: 'spread', name });
+          } else {
+            if (peek() && peek().value === 'on') {
+              next();
+              expectName();
+            }
+            parseDirectives();
+            selections.push({ kind: 'inline', selections: parseSelectionSet(depth + 1) });
+          }
+          continue;
+        }
+
+        let name = expectName();
+        let alias = null;
+        if (isPunctuator(':')) {
+          next();
+          alias = name;
+          name = expectName();
+        }
+
+        const args = parseArguments();
+        args.push(...parseDirectives());
+        const childSelections = isPunctuator('{') ? parseSelectionSet(depth + 1) : [];
+
+        selections.push({ kind: 'field', name, alias, arguments: args, selections: childSelections });
+      }
+
+      next();
+      return selections;
+    };
+
+    const skipVariableDefinitions = () => {
+      if (!isPunctuator('(')) return;
+      let open = 0;
+      do {
+        const token = next();
+        if (!token) fail('unterminated variable definitions');
+        if (token.value === '(' && token.kind === 'punctuator') open++;
+        if (token.value === ')' && token.kind === 'punctuator') open--;
+      } while (open > 0);
+    };
+
+    const document = { operations: [], fragments: {} };
+
+    while (peek()) {
+      if (isPunctuator('{')) {
+        document.operations.push({ type: 'query', name: null, selections: parseSelectionSet(0) });
+        continue;
+      }
+
+      const keyword = expectName();
+      if (keyword === 'fragment') {
+        const name = expectName();
+        if (expectName() !== 'on') fail('expected "on"');
+        expectName();
+        parseDirectives();
+        document.fragments[name] = { selections: parseSelectionSet(0) };
+      } else if (['query', 'mutation', 'subscription'].includes(keyword)) {
+        const name = peek() && peek().kind === 'name' ? next().value : null;
+        skipVariableDefinitions();
+        parseDirectives();
+        document.operations.push({ type: keyword, name, selections: parseSelectionSet(0) });
+      } else {
+        fail(`unexpected "${keyword}"`);
+      }
+    }
+
+    return document;
+  }
+
+  /**
+   * Split a GraphQL document into tokens
+   */
+  tokenize(source) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < source.length) {
+      if (tokens.length > this.limits.maxTokens) {
+        const error = new Error(`Query exceeds ${this.limits.maxTokens} tokens`);
+        error.tooLarge = true;
+        throw error;
+      }
+
+      const char = source[index];
+
+      // Whitespace, commas and byte order marks are insignificant
+      if (/[\s,\uFEFF]/.test(char)) {
+        index++;
+        continue;
+      }
+
+      if (char === '#') {
+        while (index < source.length && source[index] !== '\n' && source[index] !== '\r') index++;
+        continue;
+      }
+
+      if (source.startsWith('...', index)) {
+        tokens.push({ kind: 'punctuator', value: '...' });
+        index += 3;
+        continue;
+      }
+
+      if (PUNCTUATORS.includes(char)) {
+        tokens.push({ kind: 'punctuator', value: char });
+        index++;
+        continue;
+      }
+
+      if (source.startsWith('"""', index)) {
+        const end = source.indexOf('"""', index + 3);
+        if (end === -1) throw new Error('GraphQL syntax error: unterminated block string');
+        tokens.push({ kind: 'string', value: source.substring(index + 3, end).replace(/\\"""/g, '"""') });
+        index = end + 3;
+        continue;
+      }
+
+      if (char === '"') {
+        const { value, end } = this.readString(source, index + 1);
+        tokens.push({ kind: 'string', value });
+        index = end;
+        continue;
+      }
+
+      const name = source.substring(index).match(/^[_A-Za-z][_0-9A-Za-z]*/);
+      if (name) {
+        tokens.push({ kind: 'name', value: name[0] });
+        index += name[0].length;
+        continue;
+      }
+
+      const number = source.substring(index).match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?/);
+      if (number) {
+        tokens.push({ kind: 'number', value: number[0] });
+        index += number[0].length;
+        continue;
+      }
+
+      throw new Error(`GraphQL syntax error: unexpected character "${char}"`);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Read a quoted string starting after the opening quote, decoding escapes
+   */
+  readString(source, start) {
+    const escapes = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+    let value = '';
+    let index = start;
+
+    while (index < source.length) {
+      const char = source[index];
+
+      if (char === '"') {
+        return { value, end: index + 1 };
+      }
+      if (char === '\n' || char === '\r') {
+        break;
+      }
+
+      if (char === '\\') {
+        const escape = source[index + 1];
+        if (escape === 'u' && /^[0-9a-fA-F]{4}$/.test(source.substr(index + 2, 4))) {
+          value += String.fromCharCode(parseInt(source.substr(index + 2, 4), 16));
+          index += 6;
+          continue;
+        }
+        if (escapes[escape] === undefined) {
+          throw new Error('GraphQL syntax error: invalid escape sequence');
+        }
+        value += escapes[escape];
+        index += 2;
+        continue;
+      }
+
+      value += char;
+      index++;
+    }
+
+    throw new Error('GraphQL syntax error: unterminated string');
+  }
+}
+
+module.exports = GraphQLModule;
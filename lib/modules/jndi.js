@@ -0,0 +1,191 @@
+/**
+ * JNDI / Expression Language Injection Detection Module
+ * Covers Log4Shell lookups, Spring EL and OGNL payloads aimed at Java backends
+ */
+
+const Transformer = require('../core/transformer');
+const TargetExtractor = require('../core/target-extractor');
+
+const DEFAULT_TARGETS = ['REQUEST_FILENAME', 'ARGS', 'REQUEST_HEADERS', 'REQUEST_COOKIES', 'REQUEST_BODY'];
+
+const TRANSFORMS = ['urlDecodeUni'];
+
+// Lookup prefixes that leak environment or runtime details when resolved by Log4j
+const DATA_LOOKUPS = ['env', 'sys', 'java', 'main', 'ctx', 'bundle', 'docker', 'k8s', 'spring', 'web', 'jvmrunargs', 'log4j', 'sd', 'map', 'marker', 'event', 'base64'];
+
+class JNDIModule {
+  constructor(config) {
+    this.config = config;
+    this.jndiConfig = config.jndi || {};
+    this.transformer = new Transformer(config);
+    this.targetExtractor = new TargetExtractor(config);
+    this.maxDeobfuscationPasses = this.jndiConfig.maxDeobfuscationPasses || 10;
+    this.patterns = this.loadJNDIPatterns();
+  }
+
+  /**
+   * Load JNDI and expression language detection patterns
+   */
+  loadJNDIPatterns() {
+    return [
+      // Log4Shell
+      {
+        name: 'jndi-remote-lookup',
+        pattern: /\$\{\s*jndi\s*:\s*(ldaps?|rmi|dns|iiop|corba|nds|nis|https?)\s*:/i,
+        score: 5,
+        description: 'JNDI lookup to remote service'
+      },
+      {
+        name: 'jndi-lookup',
+        pattern: /\$\{\s*jndi\s*:/i,
+        score: 5,
+        description: 'JNDI lookup'
+      },
+      {
+        name: 'lookup-exfiltration',
+        pattern: new RegExp(`\\$\\{\\s*(${DATA_LOOKUPS.join('|')})\\s*:[^}]+\\}`, 'i'),
+        score: 3,
+        description: 'Log4j data lookup'
+      },
+
+      // Spring EL
+      {
+        name: 'spel-type-reference',
+        pattern: /T\s*\(\s*java\.lang\.(Runtime|ProcessBuilder|System|Class|Thread|reflect\.[\w.]+)\s*\)/,
+        score: 5,
+        description: 'Spring EL T() reference to java.lang class'
+      },
+      {
+        name: 'spel-expression',
+        pattern: /#\{[^}]*(T\s*\(|new\s+java\.|getClass\s*\(|forName\s*\(|getRuntime\s*\(|@[A-Za-z_]\w*)/,
+        score: 5,
+        description: 'Spring EL #{} expression'
+      },
+
+      // OGNL (Struts)
+      {
+        name: 'ognl-expression',
+        pattern: /%\{[^}]*(#_memberAccess|#context|#application|#session|#request|#parameters|@java\.|@ognl\.|new\s+java\.|getRuntime\s*\(|#cmd)/i,
+        score: 5,
+        description: 'OGNL %{} expression'
+      },
+      {
+        name: 'ognl-member-access',
+        pattern: /#_memberAccess|@ognl\.OgnlContext@DEFAULT_MEMBER_ACCESS|#context\[\s*['"]?xwork\./,
+        score: 5,
+        description: 'OGNL member access override'
+      },
+
+      // Direct runtime access in any expression language
+      {
+        name: 'java-runtime-exec',
+        pattern: /java\.lang\.Runtime[\s\S]{0,40}(getRuntime|exec)\s*\(|new\s+java\.lang\.ProcessBuilder\s*\(/,
+        score: 5,
+        description: 'Java runtime command execution'
+      },
+      {
+        name: 'el-math-probe',
+        pattern: /[#%]\{\s*\d+\s*[*+\-/]\s*\d+\s*\}/,
+        score: 3,
+        description: 'Expression language probe'
+      }
+    ];
+  }
+
+  /**
+   * Analyze request for JNDI and expression language injection threats
+   */
+  analyze(analysis) {
+    const threats = [];
+
+    const normalizer = analysis.normalizer || this.transformer.forRequest();
+
+    this.getTargets(analysis).forEach(target => {
+      // Recursive URL decoding undoes double encoding such as %2524%257B
+      const decoded = normalizer.apply(target.value, TRANSFORMS);
+      const value = this.deobfuscate(decoded);
+
+      // Report the most specific finding for each value
+      const pattern = this.patterns.find(candidate =>
+        candidate.pattern.test(value) || candidate.pattern.test(decoded));
+      if (pattern) {
+        const obfuscated = value !== decoded && !pattern.pattern.test(decoded);
+        threats.push({
+          type: 'jndi',
+          pattern: pattern.name,
+          description: obfuscated ?
+            `${pattern.description} (obfuscated) in ${target.location}` :
+            `${pattern.description} in ${target.location}`,
+          score: pattern.score,
+          matched: value.substring(0, 100) + (value.length > 100 ? '...' : ''),
+          location: target.location
+        });
+      }
+    });
+
+    if (threats.length > 0) {
+      return {
+        score: threats.reduce((sum, threat) => sum + threat.score, 0),
+        threats: threats,
+        module: 'jndi'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the path, query, header, cookie and body targets, narrowed by the jndi.targets selectors
+   */
+  getTargets(analysis) {
+    const targets = analysis.targets || this.targetExtractor.extract(analysis);
+    return TargetExtractor.select(targets, this.jndiConfig.targets || DEFAULT_TARGETS);
+  }
+
+  /**
+   * Resolve the Log4j lookups used to hide "jndi" from signatures,
+   * e.g. ${${lower:j}ndi:...}, ${::-j}, ${env:NOPE:-j} and ${date:'j'}
+   * Innermost lookups are resolved first until the value stops changing
+   */
+  deobfuscate(value) {
+    if (!value.includes('${')) return value;
+
+    let current = value;
+
+    for (let pass = 0; pass < this.maxDeobfuscationPasses; pass++) {
+      const next = current.replace(/\$\{([^${}]*)\}/g, (lookup, body) => this.resolveLookup(lookup, body));
+      if (next === current) break;
+      current = next;
+    }
+
+    return current;
+  }
+
+  /**
+   * Resolve a single lookup without nested lookups, leaving JNDI and unknown lookups intact
+   */
+  resolveLookup(lookup, body) {
+    if (/^\s*jndi\s*:/i.test(body)) return lookup;
+
+    const defaultIndex = body.indexOf(':-');
+    if (defaultIndex !== -1) {
+      // ${prefix:name:-default} resolves to the default when the name is undefined
+      return body.substring(defaultIndex + 2);
+    }
+
+    const separator = body.indexOf(':');
+    if (separator === -1) return lookup;
+
+    const prefix = body.substring(0, separator).trim().toLowerCase();
+    const argument = body.substring(separator + 1);
+
+    if (prefix === 'lower') return argument.toLowerCase();
+    if (prefix === 'upper') return argument.toUpperCase();
+
+    // Quoted text in a date pattern is emitted literally
+    const literal = prefix === 'date' && argument.match(/^'([^']*)'$/);
+    return literal ? literal[1] : lookup;
+  }
+}
+
+module.exports = JNDIModule;
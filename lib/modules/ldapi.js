@@ -0,0 +1,173 @@
+/**
+ * LDAP Injection Detection Module
+ */
+
+const TargetExtractor = require('../core/target-extractor');
+
+const DEFAULT_TARGETS = ['REQUEST_FILENAME', 'ARGS', 'REQUEST_BODY', 'XML', 'REQUEST_COOKIES'];
+
+class LDAPiModule {
+  constructor(config) {
+    this.config = config;
+    this.targetExtractor = new TargetExtractor(config);
+    this.patterns = this.loadLDAPiPatterns();
+  }
+
+  /**
+   * Load LDAP injection detection patterns
+   */
+  loadLDAPiPatterns() {
+    return [
+      // Filter breakout
+      {
+        name: 'or-filter-injection',
+        pattern: /\)\s*\(\s*\|/,
+        score: 5,
+        description: 'LDAP OR filter injection'
+      },
+      {
+        name: 'and-filter-injection',
+        pattern: /\)\s*\(\s*&/,
+        score: 5,
+        description: 'LDAP AND filter injection'
+      },
+      {
+        name: 'wildcard-breakout',
+        pattern: /\*\s*\)\s*\(/,
+        score: 4,
+        description: 'LDAP wildcard filter breakout'
+      },
+      {
+        name: 'attribute-injection',
+        pattern: /\)\s*\(\s*!?\s*[a-z][\w-]*\s*[~<>]?=/i,
+        score: 4,
+        description: 'LDAP attribute filter injection'
+      },
+
+      // Always-true filters
+      {
+        name: 'presence-filter',
+        pattern: /\(\s*[|&]\s*\(\s*[a-z][\w-]*\s*=\s*\*\s*\)/i,
+        score: 5,
+        description: 'LDAP always-true presence filter'
+      },
+      {
+        name: 'objectclass-wildcard',
+        pattern: /objectclass\s*=\s*\*/i,
+        score: 4,
+        description: 'LDAP objectClass wildcard'
+      },
+      {
+        name: 'boolean-filter',
+        pattern: /\(\s*[|&]\s*\)/,
+        score: 4,
+        description: 'LDAP absolute TRUE/FALSE filter'
+      },
+
+      // Filter fragments and truncation
+      {
+        name: 'and-filter-start',
+        pattern: /\(\s*&\s*\(/,
+        score: 3,
+        description: 'LDAP AND filter'
+      },
+      {
+        name: 'null-byte',
+        pattern: /\0|%00/,
+        score: 3,
+        description: 'Null byte filter truncation'
+      }
+    ];
+  }
+
+  /**
+   * Analyze request for LDAP injection threats
+   */
+  analyze(analysis) {
+    const threats = [];
+    let totalScore = 0;
+
+    // Get the request targets this module applies to
+    const targets = this.getTargets(analysis);
+
+    // Check each pattern
+    this.patterns.forEach(pattern => {
+      targets.forEach(target => {
+        const text = target.value;
+        if (pattern.pattern.test(text)) {
+          threats.push({
+            type: 'ldapi',
+            pattern: pattern.name,
+            description: pattern.description,
+            score: pattern.score,
+            matched: text.substring(0, 100) + (text.length > 100 ? '...' : ''),
+            location: target.location
+          });
+          totalScore += pattern.score;
+        }
+      });
+    });
+
+    const combinationThreats = TargetExtractor.combine(targets, texts => this.checkCombinations(texts));
+    threats.push(...combinationThreats);
+    totalScore += combinationThreats.reduce((sum, threat) => sum + threat.score, 0);
+
+    if (threats.length > 0) {
+      return {
+        score: totalScore,
+        threats: threats,
+        module: 'ldapi'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the path, query, body, XML and cookie targets, narrowed by the ldapi.targets selectors
+   * Headers are skipped by default because user agents are full of parentheses
+   */
+  getTargets(analysis) {
+    const targets = analysis.targets || this.targetExtractor.extract(analysis);
+    return TargetExtractor.select(targets, (this.config.ldapi || {}).targets || DEFAULT_TARGETS);
+  }
+
+  /**
+   * Check for suspicious pattern combinations
+   */
+  checkCombinations(searchTexts) {
+    const threats = [];
+
+    // Unbalanced parentheses next to filter metacharacters close the surrounding filter early
+    const unbalanced = searchTexts.find(text => typeof text === 'string' &&
+      /[*|&=]/.test(text) && /[()]/.test(text) && !this.isBalanced(text));
+
+    if (unbalanced) {
+      threats.push({
+        type: 'ldapi',
+        pattern: 'unbalanced-parentheses',
+        description: 'Unbalanced parentheses with LDAP filter metacharacters',
+        score: 3,
+        matched: unbalanced.substring(0, 100) + (unbalanced.length > 100 ? '...' : '')
+      });
+    }
+
+    return threats;
+  }
+
+  /**
+   * Check whether parentheses in a value are balanced
+   */
+  isBalanced(text) {
+    let depth = 0;
+
+    for (const char of text) {
+      if (char === '(') depth++;
+      if (char === ')' && --depth < 0) return false;
+    }
+
+    return depth === 0;
+  }
+}
+
+module.exports = LDAPiModule;
@@ -0,0 +1,315 @@
+/**
+ * NoSQL Injection Detection Module
+ * Walks parsed bodies and query objects looking for MongoDB-style operators
+ */
+
+const TargetExtractor = require('../core/target-extractor');
+
+const DEFAULT_TARGETS = ['ARGS', 'REQUEST_BODY'];
+
+class NoSQLiModule {
+  constructor(config) {
+    this.config = config;
+    this.nosqliConfig = config.nosqli || {};
+    this.maxDepth = this.nosqliConfig.maxDepth || 20;
+    // Fields that must hold a plain string, e.g. login credentials
+    this.stringFields = this.nosqliConfig.stringFields ||
+      ['username', 'user', 'login', 'email', 'password', 'token'];
+    this.operators = this.loadOperatorPatterns();
+    this.javascriptPatterns = this.loadJavaScriptPatterns();
+  }
+
+  /**
+   * Load NoSQL operator detection patterns
+   */
+  loadOperatorPatterns() {
+    return [
+      // JavaScript execution operators
+      {
+        name: 'where-operator',
+        operator: '$where',
+        score: 5,
+        description: '$where JavaScript operator'
+      },
+      {
+        name: 'function-operator',
+        operator: '$function',
+        score: 5,
+        description: '$function JavaScript operator'
+      },
+      {
+        name: 'accumulator-operator',
+        operator: '$accumulator',
+        score: 5,
+        description: '$accumulator JavaScript operator'
+      },
+      {
+        name: 'expr-operator',
+        operator: '$expr',
+        score: 4,
+        description: '$expr aggregation expression'
+      },
+
+      // Comparison operators
+      {
+        name: 'ne-operator',
+        operator: '$ne',
+        score: 3,
+        description: '$ne comparison operator'
+      },
+      {
+        name: 'gt-operator',
+        operator: '$gt',
+        score: 3,
+        description: '$gt comparison operator'
+      },
+      {
+        name: 'gte-operator',
+        operator: '$gte',
+        score: 3,
+        description: '$gte comparison operator'
+      },
+      {
+        name: 'lt-operator',
+        operator: '$lt',
+        score: 3,
+        description: '$lt comparison operator'
+      },
+      {
+        name: 'lte-operator',
+        operator: '$lte',
+        score: 3,
+        description: '$lte comparison operator'
+      },
+      {
+        name: 'nin-operator',
+        operator: '$nin',
+        score: 3,
+        description: '$nin comparison operator'
+      },
+      {
+        name: 'in-operator',
+        operator: '$in',
+        score: 2,
+        description: '$in comparison operator'
+      },
+
+      // Evaluation operators
+      {
+        name: 'regex-operator',
+        operator: '$regex',
+        score: 3,
+        description: '$regex evaluation operator'
+      },
+      {
+        name: 'exists-operator',
+        operator: '$exists',
+        score: 2,
+        description: '$exists element operator'
+      },
+
+      // Logical operators
+      {
+        name: 'or-operator',
+        operator: '$or',
+        score: 2,
+        description: '$or logical operator'
+      },
+      {
+        name: 'nor-operator',
+        operator: '$nor',
+        score: 2,
+        description: '$nor logical operator'
+      }
+    ];
+  }
+
+  /**
+   * Load patterns for JavaScript passed to $where
+   */
+  loadJavaScriptPatterns() {
+    return [
+      {
+        name: 'where-sleep',
+        pattern: /sleep\s*\(/i,
+        score: 5,
+        description: 'Time-based JavaScript in $where'
+      },
+      {
+        name: 'where-loop',
+        pattern: /while\s*\(|for\s*\(/i,
+        score: 5,
+        description: 'Loop in $where JavaScript'
+      },
+      {
+        name: 'where-function',
+        pattern: /function\s*\(|=>/i,
+        score: 4,
+        description: 'Function definition in $where JavaScript'
+      },
+      {
+        name: 'where-this-access',
+        pattern: /this\.\w+/i,
+        score: 3,
+        description: 'Document field access in $where JavaScript'
+      },
+      {
+        name: 'where-tautology',
+        pattern: /\|\||return\s+true|^\s*true\s*$|1\s*==\s*1/i,
+        score: 4,
+        description: 'Tautology in $where JavaScript'
+      }
+    ];
+  }
+
+  /**
+   * Analyze request for NoSQL injection threats
+   */
+  analyze(analysis) {
+    const threats = [];
+
+    if (analysis.query && typeof analysis.query === 'object') {
+      this.walk(analysis.query, 'ARGS', null, threats, 0);
+    }
+
+    if (analysis.body) {
+      const body = this.parseBody(analysis.body);
+      if (body && typeof body === 'object') {
+        this.walk(body, 'REQUEST_BODY', null, threats, 0);
+      }
+    }
+
+    if (threats.length > 0) {
+      return {
+        score: threats.reduce((sum, threat) => sum + threat.score, 0),
+        threats: threats,
+        module: 'nosqli'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse string bodies that contain JSON
+   */
+  parseBody(body) {
+    if (typeof body !== 'string') {
+      return body;
+    }
+
+    const trimmed = body.trim();
+    if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Recursively inspect object keys and values
+   * Fields are named as request targets, e.g. ARGS:user[$ne] or REQUEST_BODY:user.$ne
+   */
+  walk(value, collection, name, threats, depth) {
+    if (depth > this.maxDepth || !value || typeof value !== 'object') {
+      return;
+    }
+
+    Object.keys(value).forEach(key => {
+      const childName = TargetExtractor.childName(name, key, Array.isArray(value), collection === 'ARGS' ? 'brackets' : 'dots');
+      const child = value[key];
+
+      if (this.isSelected(collection, childName)) {
+        const location = TargetExtractor.location(collection, childName);
+
+        // Operator keys, including unparsed qs-style keys like user[$ne]
+        const operator = this.findOperator(key);
+        if (operator) {
+          threats.push(this.createThreat(operator, location, child));
+
+          if (operator.operator === '$where' && typeof child === 'string') {
+            this.checkJavaScript(child, location, threats);
+          }
+        }
+
+        // Type confusion: object passed where a string is expected
+        if (!Array.isArray(value) && this.stringFields.includes(key) &&
+            child !== null && typeof child === 'object') {
+          threats.push({
+            type: 'nosqli',
+            pattern: 'type-confusion',
+            description: `Object passed to string field '${key}'`,
+            score: 2,
+            matched: this.truncate(JSON.stringify(child)),
+            location
+          });
+        }
+      }
+
+      this.walk(child, collection, childName, threats, depth + 1);
+    });
+  }
+
+  /**
+   * Check whether a field is selected by the nosqli.targets selectors
+   */
+  isSelected(collection, name) {
+    return TargetExtractor.select([{ collection, name }], this.nosqliConfig.targets || DEFAULT_TARGETS).length > 0;
+  }
+
+  /**
+   * Find operator pattern matching an object key
+   */
+  findOperator(key) {
+    const bracketMatch = key.match(/\[(\$\w+)\]/);
+    const name = (bracketMatch ? bracketMatch[1] : key).toLowerCase();
+
+    return this.operators.find(operator => operator.operator.toLowerCase() === name);
+  }
+
+  /**
+   * Check JavaScript passed to $where
+   */
+  checkJavaScript(code, location, threats) {
+    this.javascriptPatterns.forEach(pattern => {
+      if (pattern.pattern.test(code)) {
+        threats.push({
+          type: 'nosqli',
+          pattern: pattern.name,
+          description: pattern.description,
+          score: pattern.score,
+          matched: this.truncate(code),
+          location
+        });
+      }
+    });
+  }
+
+  /**
+   * Create threat entry for an operator key
+   */
+  createThreat(operator, location, value) {
+    return {
+      type: 'nosqli',
+      pattern: operator.name,
+      description: operator.description,
+      score: operator.score,
+      matched: this.truncate(typeof value === 'string' ? value : JSON.stringify(value)),
+      location
+    };
+  }
+
+  /**
+   * Truncate matched text for reporting
+   */
+  truncate(text) {
+    const value = String(text);
+    return value.substring(0, 100) + (value.length > 100 ? '...' : '');
+  }
+}
+
+module.exports = NoSQLiModule;
@@ -0,0 +1,133 @@
+/**
+ * HTTP Protocol Anomaly Detection Module
+ * Flags request smuggling primitives and malformed request lines using the raw header list
+ */
+
+// RFC 9110 token characters allowed in header names
+const HEADER_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+const TRANSFER_CODINGS = ['chunked', 'gzip', 'x-gzip', 'deflate', 'compress', 'identity'];
+
+class ProtocolModule {
+  constructor(config) {
+    this.config = config;
+    this.protocolConfig = config.protocol || {};
+    this.allowedMethods = (this.protocolConfig.allowedMethods ||
+      ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS']).map(method => method.toUpperCase());
+    this.allowAbsoluteForm = this.protocolConfig.allowAbsoluteForm || false;
+    // Only the request line and headers are inspected
+    this.inspectsContent = false;
+  }
+
+  /**
+   * Analyze request for protocol anomalies
+   */
+  analyze(analysis) {
+    const threats = [];
+    const { headers, invalidNames } = this.groupRawHeaders(analysis.rawHeaders || []);
+    const contentLength = headers['content-length'] || [];
+    const transferEncoding = headers['transfer-encoding'] || [];
+
+    const createThreat = (name, description, score, matched) => ({
+      type: 'protocol',
+      pattern: name,
+      description,
+      score,
+      matched: String(matched).substring(0, 100) + (String(matched).length > 100 ? '...' : '')
+    });
+
+    // Both framing headers present: front end and back end may disagree on the body length
+    if (contentLength.length > 0 && transferEncoding.length > 0) {
+      threats.push(createThreat('cl-te-conflict', 'Both Content-Length and Transfer-Encoding present', 5,
+        `Content-Length: ${contentLength[0]}, Transfer-Encoding: ${transferEncoding[0]}`));
+    }
+
+    if (contentLength.length > 1) {
+      threats.push(createThreat('duplicate-content-length', 'Multiple Content-Length headers', 5,
+        contentLength.join(', ')));
+    }
+
+    contentLength.forEach(value => {
+      if (!/^\d+$/.test(value)) {
+        threats.push(createThreat('malformed-content-length', 'Malformed Content-Length value', 5, value));
+      }
+    });
+
+    if (transferEncoding.length > 1) {
+      threats.push(createThreat('duplicate-transfer-encoding', 'Multiple Transfer-Encoding headers', 4,
+        transferEncoding.join(', ')));
+    }
+
+    transferEncoding.forEach(value => {
+      if (this.isObfuscatedTransferEncoding(value)) {
+        threats.push(createThreat('obfuscated-transfer-encoding', 'Obfuscated Transfer-Encoding value', 5, value));
+      }
+    });
+
+    invalidNames.forEach(name => {
+      threats.push(createThreat('invalid-header-name', 'Invalid characters in header name', 4, name));
+    });
+
+    if (!this.allowAbsoluteForm && analysis.url && /^[a-z][a-z0-9+.-]*:\/\//i.test(analysis.url)) {
+      threats.push(createThreat('absolute-form-target', 'Absolute-form request target', 3, analysis.url));
+    }
+
+    if (analysis.method && !this.allowedMethods.includes(String(analysis.method).toUpperCase())) {
+      threats.push(createThreat('method-not-allowed', `HTTP method ${analysis.method} not allowed`, 5, analysis.method));
+    }
+
+    if (threats.length > 0) {
+      return {
+        score: threats.reduce((sum, threat) => sum + threat.score, 0),
+        threats: threats,
+        module: 'protocol'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Group a [name, value, ...] list by lowercase name, keeping every occurrence
+   * Also returns header names containing characters outside the token set
+   */
+  groupRawHeaders(rawHeaders) {
+    const headers = Object.create(null);
+    const invalidNames = [];
+
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+      const name = String(rawHeaders[i]);
+      const value = rawHeaders[i + 1] === undefined ? '' : String(rawHeaders[i + 1]);
+
+      if (!HEADER_NAME.test(name) && !invalidNames.includes(name)) {
+        invalidNames.push(name);
+      }
+
+      // Names padded with whitespace are still treated as the framing header by lenient parsers
+      const key = name.trim().toLowerCase();
+      if (!headers[key]) {
+        headers[key] = [];
+      }
+      headers[key].push(value);
+    }
+
+    return { headers, invalidNames };
+  }
+
+  /**
+   * Check whether a Transfer-Encoding value deviates from the plain form
+   * Accepts a comma separated list of known codings that ends with chunked
+   */
+  isObfuscatedTransferEncoding(value) {
+    if (value !== value.trim() || /[^\x21-\x7e ,]/.test(value)) {
+      return true;
+    }
+
+    const codings = value.toLowerCase().split(',').map(coding => coding.trim());
+
+    return codings.some(coding => !TRANSFER_CODINGS.includes(coding)) ||
+      codings[codings.length - 1] !== 'chunked';
+  }
+}
+
+module.exports = ProtocolModule;
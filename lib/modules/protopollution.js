@@ -0,0 +1,179 @@
+/**
+ * Prototype Pollution Detection Module
+ * Walks object keys in query and body, including unparsed qs-style keys
+ */
+
+const TargetExtractor = require('../core/target-extractor');
+
+const DEFAULT_TARGETS = ['ARGS', 'REQUEST_BODY'];
+
+class ProtoPollutionModule {
+  constructor(config) {
+    this.config = config;
+    this.protoConfig = config.protopollution || {};
+    this.maxDepth = this.protoConfig.maxDepth || 20;
+    // 'block' scores the request, 'sanitize' deletes the keys in place and lets it through
+    this.mode = this.protoConfig.mode || 'block';
+    this.patterns = this.loadKeyPatterns();
+  }
+
+  /**
+   * Load dangerous key patterns, matched against key path segments
+   */
+  loadKeyPatterns() {
+    return [
+      {
+        name: 'proto-key',
+        test: segments => segments.includes('__proto__'),
+        score: 5,
+        description: '__proto__ key'
+      },
+      {
+        name: 'constructor-prototype',
+        test: segments => segments.some((segment, index) =>
+          segment === 'constructor' && segments[index + 1] === 'prototype'),
+        score: 5,
+        description: 'constructor.prototype key chain'
+      },
+      {
+        name: 'prototype-key',
+        test: segments => segments.includes('prototype'),
+        score: 3,
+        description: 'prototype key'
+      }
+    ];
+  }
+
+  /**
+   * Analyze request for prototype pollution threats
+   */
+  analyze(analysis) {
+    const threats = [];
+
+    const sanitize = this.mode === 'sanitize';
+
+    if (analysis.query && typeof analysis.query === 'object') {
+      this.walk(analysis.query, 'ARGS', null, [], threats, 0, sanitize);
+    }
+
+    if (analysis.body) {
+      const body = this.parseBody(analysis.body);
+      if (body && typeof body === 'object') {
+        // Keys can only be removed from the request's own body object, not from a parsed copy
+        this.walk(body, 'REQUEST_BODY', null, [], threats, 0, sanitize && body === analysis.body);
+      }
+    }
+
+    if (threats.length > 0) {
+      return {
+        score: threats.reduce((sum, threat) => sum + threat.score, 0),
+        threats: threats,
+        module: 'protopollution'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse string bodies that contain JSON or urlencoded keys
+   * Parsed copies are inspected only: keys found in them are scored even in sanitize mode
+   */
+  parseBody(body) {
+    if (typeof body !== 'string') {
+      return body;
+    }
+
+    const trimmed = body.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try {
+        return JSON.parse(trimmed);
+      } catch (error) {
+        return null;
+      }
+    }
+
+    if (trimmed.includes('=')) {
+      // No prototype, so a bare __proto__ key is kept rather than swallowed by the setter
+      const params = Object.create(null);
+      new URLSearchParams(trimmed).forEach((value, key) => {
+        params[key] = value;
+      });
+      return params;
+    }
+
+    return null;
+  }
+
+  /**
+   * Recursively inspect object keys
+   * Fields are named as request targets, e.g. ARGS:a[__proto__] or REQUEST_BODY:a.__proto__
+   * parentSegments carries the key path so chains split across levels are found
+   * With sanitize set, polluting keys are deleted from value
+   */
+  walk(value, collection, name, parentSegments, threats, depth, sanitize) {
+    if (depth > this.maxDepth || !value || typeof value !== 'object') {
+      return;
+    }
+
+    Object.keys(value).forEach(key => {
+      const childName = TargetExtractor.childName(name, key, Array.isArray(value), collection === 'ARGS' ? 'brackets' : 'dots');
+      const child = value[key];
+      const segments = [...parentSegments, ...this.splitKey(key)];
+
+      const pattern = this.patterns.find(entry => entry.test(segments));
+      if (pattern && this.isSelected(collection, childName)) {
+        threats.push(this.createThreat(pattern, TargetExtractor.location(collection, childName), child, sanitize));
+
+        if (sanitize) {
+          delete value[key];
+        }
+        // The payload below a polluting key is not inspected further
+        return;
+      }
+
+      // Only the trailing segment matters for chains like constructor -> prototype
+      this.walk(child, collection, childName, segments.slice(-1), threats, depth + 1, sanitize);
+    });
+  }
+
+  /**
+   * Check whether a field is selected by the protopollution.targets selectors
+   */
+  isSelected(collection, name) {
+    return TargetExtractor.select([{ collection, name }], this.protoConfig.targets || DEFAULT_TARGETS).length > 0;
+  }
+
+  /**
+   * Split qs-style keys such as a[__proto__][x] or a.constructor.prototype
+   */
+  splitKey(key) {
+    return String(key).split(/[[\].]+/).filter(Boolean);
+  }
+
+  /**
+   * Create threat entry for a polluting key
+   * Removed keys are reported without a score
+   */
+  createThreat(pattern, location, value, sanitized) {
+    return {
+      type: 'protopollution',
+      pattern: pattern.name,
+      description: sanitized ? `${pattern.description} (removed)` : pattern.description,
+      score: sanitized ? 0 : pattern.score,
+      sanitized,
+      matched: this.truncate(typeof value === 'string' ? value : JSON.stringify(value)),
+      location
+    };
+  }
+
+  /**
+   * Truncate matched text for reporting
+   */
+  truncate(text) {
+    const value = String(text);
+    return value.substring(0, 100) + (value.length > 100 ? '...' : '');
+  }
+}
+
+module.exports = ProtoPollutionModule;
@@ -13,6 +13,9 @@ class RateLimitModule {
     this.blockDuration = this.ipBlocking.blockDuration || 24 * 60 * 60 * 1000; // 24 hours
     this.maxViolations = this.ipBlocking.maxViolations || 5;
     
+    // Counts requests per IP, so it must not run again on late-parsed bodies
+    this.inspectsContent = false;
+    
     // In-memory storage for rate limiting
     this.requests = new Map(); // IP -> { count, firstRequest, violations }
     this.blockedIPs = new Map(); // IP -> { blockedUntil, reason }
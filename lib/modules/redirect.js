@@ -0,0 +1,178 @@
+/**
+ * Open Redirect Detection Module
+ * Inspects redirect-style parameters for destinations outside our own domains
+ */
+
+const Transformer = require('../core/transformer');
+const TargetExtractor = require('../core/target-extractor');
+
+const DEFAULT_TARGETS = ['ARGS', 'REQUEST_BODY'];
+
+const TRANSFORMS = ['urlDecodeUni'];
+
+class RedirectModule {
+  constructor(config) {
+    this.config = config;
+    this.redirectConfig = config.redirect || {};
+    this.transformer = new Transformer(config);
+    this.targetExtractor = new TargetExtractor(config);
+    this.parameters = (this.redirectConfig.parameters || [
+      'next', 'redirect', 'redirect_uri', 'redirect_url', 'redirecturl', 'redirectto',
+      'return', 'returnto', 'return_to', 'returnurl', 'return_url', 'url', 'goto',
+      'continue', 'dest', 'destination', 'forward', 'target'
+    ]).map(name => name.toLowerCase());
+    this.patterns = this.loadRedirectPatterns();
+  }
+
+  /**
+   * Load open redirect detection patterns
+   * Patterns run against the decoded value with browser-ignored whitespace removed
+   */
+  loadRedirectPatterns() {
+    return [
+      {
+        name: 'javascript-uri',
+        pattern: /^(javascript|vbscript):/i,
+        score: 5,
+        description: 'Script URI in redirect parameter'
+      },
+      {
+        name: 'data-uri',
+        pattern: /^data:/i,
+        score: 5,
+        description: 'Data URI in redirect parameter'
+      },
+      {
+        name: 'backslash-redirect',
+        pattern: /^([a-z][a-z0-9+.-]*:)?[/\\]*\\[/\\]*/i,
+        foreign: true,
+        score: 5,
+        description: 'Backslash redirect to foreign host'
+      },
+      {
+        name: 'protocol-relative-redirect',
+        pattern: /^\/\/+/,
+        foreign: true,
+        score: 5,
+        description: 'Protocol-relative redirect to foreign host'
+      },
+      {
+        name: 'foreign-host-redirect',
+        pattern: /^[a-z][a-z0-9+.-]*:\/\//i,
+        foreign: true,
+        score: 5,
+        description: 'Absolute redirect to foreign host'
+      }
+    ];
+  }
+
+  /**
+   * Analyze request for open redirect threats
+   */
+  analyze(analysis) {
+    const threats = [];
+    const requestHost = this.getRequestHost(analysis.headers);
+
+    const normalizer = analysis.normalizer || this.transformer.forRequest();
+
+    this.getTargets(analysis).forEach(target => {
+      const value = this.normalize(target.value, normalizer);
+
+      // Report the most specific finding for each value
+      const pattern = this.patterns.find(candidate => {
+        if (!candidate.pattern.test(value)) return false;
+        if (!candidate.foreign) return true;
+
+        const host = this.getHost(value);
+        return host !== null && host !== requestHost && !this.isAllowedDomain(host);
+      });
+
+      if (pattern) {
+        threats.push({
+          type: 'redirect',
+          pattern: pattern.name,
+          description: `${pattern.description} in ${target.location}`,
+          score: pattern.score,
+          matched: target.value.substring(0, 100) + (target.value.length > 100 ? '...' : ''),
+          location: target.location
+        });
+      }
+    });
+
+    if (threats.length > 0) {
+      return {
+        score: threats.reduce((sum, threat) => sum + threat.score, 0),
+        threats: threats,
+        module: 'redirect'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the configured redirect parameters from the query and body, narrowed by the redirect.targets selectors
+   */
+  getTargets(analysis) {
+    const targets = analysis.targets || this.targetExtractor.extract(analysis);
+
+    return TargetExtractor.select(targets, this.redirectConfig.targets || DEFAULT_TARGETS).filter(target => {
+      const key = TargetExtractor.key(target.name);
+      return key !== null && this.parameters.includes(key.toLowerCase());
+    });
+  }
+
+  /**
+   * URL-decode through the shared normalizer and drop the characters browsers ignore in URLs,
+   * so "%2F%2Fevil.com" and "java\tscript:" are seen as the browser sees them
+   */
+  normalize(value, normalizer) {
+    const decoded = normalizer.apply(value, TRANSFORMS);
+
+    // Leading C0 control characters and spaces are dropped as well (char codes up to 0x20)
+    const stripped = decoded.replace(/[\t\r\n]/g, '');
+    let start = 0;
+    while (start < stripped.length && stripped.charCodeAt(start) <= 0x20) {
+      start++;
+    }
+    return stripped.substring(start);
+  }
+
+  /**
+   * Get the host a browser would navigate to, treating backslashes as slashes
+   * Returns null for relative paths
+   */
+  getHost(value) {
+    const match = value.replace(/\\/g, '/').match(/^(?:[a-z][a-z0-9+.-]*:)?\/\/+([^/?#]*)/i);
+    if (!match) return null;
+
+    // Drop userinfo ("//example.com@evil.com") and port
+    const authority = match[1].substring(match[1].lastIndexOf('@') + 1);
+    return authority.replace(/:\d*$/, '').toLowerCase().replace(/\.$/, '');
+  }
+
+  /**
+   * Get the host of the current request without its port
+   */
+  getRequestHost(headers = {}) {
+    const host = typeof headers.host === 'string' ? headers.host : '';
+    return host.replace(/:\d*$/, '').toLowerCase() || null;
+  }
+
+  /**
+   * Check if host matches the configured domain allowlist
+   * Entries starting with "." or "*." also match subdomains
+   * Read on each call so admin API updates to allowedDomains apply immediately
+   */
+  isAllowedDomain(host) {
+    return (this.config.allowedDomains || []).map(domain => domain.toLowerCase()).some(allowed => {
+      if (allowed.startsWith('*.') || allowed.startsWith('.')) {
+        const suffix = allowed.substring(allowed.indexOf('.'));
+        return host.endsWith(suffix) || host === suffix.substring(1);
+      }
+      return host === allowed;
+    });
+  }
+}
+
+module.exports = RedirectModule;
@@ -0,0 +1,344 @@
+/**
+ * Server-Side Request Forgery (SSRF) Detection Module
+ * Inspects URL-shaped parameters for internal, metadata and encoded destinations
+ */
+
+const TargetExtractor = require('../core/target-extractor');
+
+const DEFAULT_TARGETS = ['ARGS', 'REQUEST_BODY'];
+
+// Schemes WHATWG URL parsers (fetch, new URL) treat as special: "\\" reads as "/" and
+// any run of slashes may precede the host
+const SPECIAL_SCHEMES = ['http', 'https', 'ws', 'wss', 'ftp', 'file'];
+
+class SSRFModule {
+  constructor(config) {
+    this.config = config;
+    this.ssrfConfig = config.ssrf || {};
+    this.targetExtractor = new TargetExtractor(config);
+    this.parameters = (this.ssrfConfig.parameters || [
+      'url', 'uri', 'link', 'src', 'href', 'dest', 'destination', 'target', 'endpoint',
+      'host', 'proxy', 'webhook', 'webhookurl', 'callback', 'callbackurl', 'image',
+      'imageurl', 'feed', 'domain', 'site'
+    ]).map(name => name.toLowerCase());
+    this.allowedHosts = (this.ssrfConfig.allowedHosts || []).map(host => host.toLowerCase());
+    this.schemes = this.loadSchemePatterns();
+    this.ipv4Ranges = this.loadIPv4Ranges();
+    this.hostPatterns = this.loadHostPatterns();
+  }
+
+  /**
+   * Load schemes that reach non-HTTP services
+   */
+  loadSchemePatterns() {
+    return [
+      { scheme: 'file', score: 5, description: 'file:// scheme' },
+      { scheme: 'gopher', score: 5, description: 'gopher:// scheme' },
+      { scheme: 'dict', score: 5, description: 'dict:// scheme' },
+      { scheme: 'ldap', score: 4, description: 'ldap:// scheme' },
+      { scheme: 'tftp', score: 4, description: 'tftp:// scheme' },
+      { scheme: 'sftp', score: 3, description: 'sftp:// scheme' },
+      { scheme: 'ftp', score: 3, description: 'ftp:// scheme' },
+      { scheme: 'jar', score: 4, description: 'jar: scheme' },
+      { scheme: 'netdoc', score: 4, description: 'netdoc: scheme' }
+    ];
+  }
+
+  /**
+   * Load internal IPv4 ranges as [network, prefix length]
+   */
+  loadIPv4Ranges() {
+    return [
+      { name: 'loopback-address', range: ['127.0.0.0', 8], score: 5, description: 'Loopback address' },
+      { name: 'unspecified-address', range: ['0.0.0.0', 8], score: 5, description: 'Unspecified address' },
+      { name: 'private-address', range: ['10.0.0.0', 8], score: 5, description: 'Private network address' },
+      { name: 'private-address', range: ['172.16.0.0', 12], score: 5, description: 'Private network address' },
+      { name: 'private-address', range: ['192.168.0.0', 16], score: 5, description: 'Private network address' },
+      { name: 'link-local-address', range: ['169.254.0.0', 16], score: 5, description: 'Link-local address' },
+      { name: 'shared-address', range: ['100.64.0.0', 10], score: 4, description: 'Carrier-grade NAT address' }
+    ];
+  }
+
+  /**
+   * Load hostname patterns for internal names and rebinding services
+   */
+  loadHostPatterns() {
+    return [
+      {
+        name: 'internal-hostname',
+        pattern: /^(localhost|.+\.localhost|.+\.local|.+\.internal|metadata)$/i,
+        score: 5,
+        description: 'Internal hostname'
+      },
+      {
+        name: 'cloud-metadata',
+        pattern: /^(metadata\.google\.internal|metadata\.azure\.com|instance-data(\.ec2\.internal)?)$/i,
+        score: 5,
+        description: 'Cloud metadata hostname'
+      },
+      {
+        name: 'dns-rebinding',
+        pattern: /(^|\.)(nip\.io|xip\.io|sslip\.io|localtest\.me|lvh\.me|rbndr\.us|1u\.ms|vcap\.me)$|(\d{1,3}[.-]){3}\d{1,3}\.[a-z]/i,
+        score: 4,
+        description: 'DNS rebinding or IP-embedding hostname'
+      }
+    ];
+  }
+
+  /**
+   * Analyze request for SSRF threats
+   */
+  analyze(analysis) {
+    const threats = [];
+
+    this.getTargets(analysis).forEach(target => {
+      threats.push(...this.checkURL(target.value.trim(), target.location, target.named));
+    });
+
+    if (threats.length > 0) {
+      return {
+        score: threats.reduce((sum, threat) => sum + threat.score, 0),
+        threats: threats,
+        module: 'ssrf'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get configured parameters and URL-shaped values from the query and body,
+   * narrowed by the ssrf.targets selectors
+   */
+  getTargets(analysis) {
+    const targets = analysis.targets || this.targetExtractor.extract(analysis);
+
+    return TargetExtractor.select(targets, this.ssrfConfig.targets || DEFAULT_TARGETS)
+      .map(target => ({ ...target, named: this.isParameter(TargetExtractor.key(target.name)) }))
+      .filter(target => target.named || this.looksLikeURL(target.value));
+  }
+
+  /**
+   * Check whether a key is one of the configured URL parameters
+   */
+  isParameter(key) {
+    return key !== null && this.parameters.includes(key.toLowerCase());
+  }
+
+  /**
+   * Check whether a value has a URL scheme or is protocol-relative
+   * Special schemes count without slashes, since "http:host" still parses as a URL
+   */
+  looksLikeURL(value) {
+    return /^\s*([a-z][a-z0-9+.-]*:[\\/]{2}|[\\/]{2}|(https?|wss?|ftp|file|jar|netdoc):)/i.test(value);
+  }
+
+  /**
+   * Check a single URL-shaped value
+   */
+  checkURL(value, location, named) {
+    const threats = [];
+    const url = this.parseTarget(value, named);
+    if (!url) return threats;
+
+    const createThreat = (name, description, score) => ({
+      type: 'ssrf',
+      pattern: name,
+      description,
+      score,
+      matched: value.substring(0, 100) + (value.length > 100 ? '...' : ''),
+      location
+    });
+
+    // Dangerous schemes are flagged even for allowlisted hosts
+    const scheme = this.schemes.find(entry => entry.scheme === url.scheme);
+    if (scheme) {
+      threats.push(createThreat('dangerous-scheme', scheme.description, scheme.score));
+    }
+
+    if (!url.host || this.isAllowedHost(url.host)) {
+      return threats;
+    }
+
+    if (url.userinfo) {
+      threats.push(createThreat('url-credentials', 'Credentials embedded in URL', 2));
+    }
+
+    if (url.host.startsWith('[')) {
+      threats.push(...this.checkIPv6(url.host.slice(1, -1)).map(entry =>
+        createThreat(entry.name, entry.description, entry.score)));
+      return threats;
+    }
+
+    const ip = this.parseIPv4(url.host);
+    if (ip !== null) {
+      if (this.formatIPv4(ip) !== url.host) {
+        threats.push(createThreat('encoded-ip', 'Decimal, octal or hex encoded IP address', 4));
+      }
+      threats.push(...this.checkIPv4(ip).map(entry =>
+        createThreat(entry.name, entry.description, entry.score)));
+      return threats;
+    }
+
+    this.hostPatterns.forEach(pattern => {
+      if (pattern.pattern.test(url.host)) {
+        threats.push(createThreat(pattern.name, pattern.description, pattern.score));
+      }
+    });
+
+    return threats;
+  }
+
+  /**
+   * Split a value into scheme, userinfo and raw host without normalizing the host
+   * The authority is delimited as WHATWG URL parsers do, so the host found here is the one
+   * a server-side fetch() would connect to: "\\" ends it in special schemes and the
+   * userinfo runs to the last "@"
+   */
+  parseTarget(value, named) {
+    let target = value;
+
+    if (/^[\\/]{2}/.test(target)) {
+      target = `http:${target}`;
+    } else if (named && !this.looksLikeURL(target)) {
+      // Bare hosts such as "localhost:6379" in named parameters
+      target = `http://${target}`;
+    }
+
+    const match = target.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!match) return null;
+
+    const scheme = match[1].toLowerCase();
+    const rest = target.substring(match[0].length);
+    const authority = SPECIAL_SCHEMES.includes(scheme) ?
+      rest.match(/^[\\/]*([^/?#\\]*)/) :
+      rest.match(/^\/\/([^/?#]*)/);
+    if (!authority) {
+      return { scheme, userinfo: null, host: '' };
+    }
+
+    const at = authority[1].lastIndexOf('@');
+    const host = authority[1].substring(at + 1).match(/^(\[[^\]]*\]|[^:]*)/)[1];
+
+    return {
+      scheme,
+      userinfo: at >= 0 ? authority[1].substring(0, at) : null,
+      host: host.toLowerCase().replace(/\.$/, '')
+    };
+  }
+
+  /**
+   * Check if host matches the outbound allowlist
+   * Entries starting with "." or "*." also match subdomains
+   */
+  isAllowedHost(host) {
+    return this.allowedHosts.some(allowed => {
+      if (allowed.startsWith('*.') || allowed.startsWith('.')) {
+        const suffix = allowed.substring(allowed.indexOf('.'));
+        return host.endsWith(suffix) || host === suffix.substring(1);
+      }
+      return host === allowed;
+    });
+  }
+
+  /**
+   * Parse IPv4 using inet_aton rules (decimal, octal, hex and short forms)
+   * Returns the address as an unsigned integer, or null
+   */
+  parseIPv4(host) {
+    const parts = host.split('.');
+    if (parts.length === 0 || parts.length > 4) return null;
+
+    const numbers = [];
+    for (const part of parts) {
+      let number;
+      if (/^0x[0-9a-f]*$/i.test(part)) {
+        number = part.length > 2 ? parseInt(part.substring(2), 16) : 0;
+      } else if (/^0[0-7]+$/.test(part)) {
+        number = parseInt(part, 8);
+      } else if (/^\d+$/.test(part)) {
+        number = parseInt(part, 10);
+      } else {
+        return null;
+      }
+      numbers.push(number);
+    }
+
+    // The last part fills the remaining bytes
+    const last = numbers.pop();
+    if (numbers.some(number => number > 255) || last >= Math.pow(256, 4 - numbers.length)) {
+      return null;
+    }
+
+    return numbers.reduce((ip, number, index) => ip + number * Math.pow(256, 3 - index), 0) + last;
+  }
+
+  /**
+   * Format an IPv4 integer as a dotted quad
+   */
+  formatIPv4(ip) {
+    return [24, 16, 8, 0].map(shift => Math.floor(ip / Math.pow(2, shift)) % 256).join('.');
+  }
+
+  /**
+   * Check an IPv4 integer against internal ranges and metadata addresses
+   */
+  checkIPv4(ip) {
+    const findings = [];
+
+    const range = this.ipv4Ranges.find(entry => {
+      const network = this.parseIPv4(entry.range[0]);
+      const size = Math.pow(2, 32 - entry.range[1]);
+      return ip >= network && ip < network + size;
+    });
+    if (range) {
+      findings.push(range);
+    }
+
+    const address = this.formatIPv4(ip);
+    if (['169.254.169.254', '169.254.170.2', '100.100.100.200', '192.0.0.192'].includes(address)) {
+      findings.push({ name: 'cloud-metadata', description: 'Cloud metadata address', score: 5 });
+    }
+
+    return findings;
+  }
+
+  /**
+   * Check an IPv6 address against internal ranges and metadata addresses
+   */
+  checkIPv6(address) {
+    const ip = address.toLowerCase().split('%')[0];
+
+    // IPv4-mapped addresses, dotted or hex (::ffff:7f00:1)
+    const mapped = ip.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+    if (mapped) {
+      const ipv4 = mapped[1] ?
+        this.parseIPv4(mapped[1]) :
+        parseInt(mapped[2], 16) * 65536 + parseInt(mapped[3], 16);
+      return ipv4 === null ? [] : this.checkIPv4(ipv4);
+    }
+
+    if (ip === 'fd00:ec2::254') {
+      return [
+        { name: 'private-address', description: 'Unique local IPv6 address', score: 5 },
+        { name: 'cloud-metadata', description: 'Cloud metadata address', score: 5 }
+      ];
+    }
+    if (/^(0*:)*:?0*1$/.test(ip)) {
+      return [{ name: 'loopback-address', description: 'IPv6 loopback address', score: 5 }];
+    }
+    if (/^[0:]+$/.test(ip)) {
+      return [{ name: 'unspecified-address', description: 'IPv6 unspecified address', score: 5 }];
+    }
+    if (/^f[cd][0-9a-f]{0,2}:/.test(ip)) {
+      return [{ name: 'private-address', description: 'Unique local IPv6 address', score: 5 }];
+    }
+    if (/^fe[89ab][0-9a-f]?:/.test(ip)) {
+      return [{ name: 'link-local-address', description: 'IPv6 link-local address', score: 5 }];
+    }
+
+    return [];
+  }
+}
+
+module.exports = SSRFModule;
@@ -0,0 +1,201 @@
+/**
+ * Server-Side Template Injection (SSTI) Detection Module
+ */
+
+const TargetExtractor = require('../core/target-extractor');
+
+const DEFAULT_TARGETS = ['REQUEST_FILENAME', 'ARGS', 'REQUEST_BODY', 'REQUEST_HEADERS', 'REQUEST_COOKIES'];
+
+class SSTIModule {
+  constructor(config) {
+    this.config = config;
+    this.targetExtractor = new TargetExtractor(config);
+    this.patterns = this.loadSSTIPatterns();
+  }
+
+  /**
+   * Load SSTI detection patterns
+   */
+  loadSSTIPatterns() {
+    return [
+      // Generic probes
+      {
+        name: 'curly-math-probe',
+        pattern: /\{\{\s*\d+\s*[*+\-/]\s*['"]?\d+['"]?\s*\}\}/,
+        score: 4,
+        engine: 'generic',
+        description: '{{7*7}} template probe'
+      },
+      {
+        name: 'dollar-math-probe',
+        pattern: /\$\{\s*\d+\s*[*+\-/]\s*\d+\s*\}/,
+        score: 4,
+        engine: 'generic',
+        description: '${7*7} template probe'
+      },
+
+      // EJS
+      {
+        name: 'ejs-tag',
+        pattern: /<%[=\-_#]?[\s\S]*?[-_]?%>/,
+        score: 4,
+        engine: 'ejs',
+        description: 'EJS template tag'
+      },
+
+      // Handlebars
+      {
+        name: 'handlebars-constructor',
+        pattern: /\{\{[^}]*\bconstructor\b[^}]*\}\}/i,
+        score: 5,
+        engine: 'handlebars',
+        description: 'Handlebars constructor access'
+      },
+      {
+        name: 'handlebars-with-helper',
+        pattern: /\{\{#with\s+\\?["'][^"'\\]*\\?["']\s+as\s+\|/i,
+        score: 5,
+        engine: 'handlebars',
+        description: 'Handlebars #with helper abuse'
+      },
+      {
+        name: 'handlebars-lookup',
+        pattern: /\{\{[^}]*\blookup\s+[^}]*(__proto__|prototype|constructor)/i,
+        score: 5,
+        engine: 'handlebars',
+        description: 'Handlebars lookup of prototype properties'
+      },
+
+      // Pug
+      {
+        name: 'pug-interpolation',
+        pattern: /[#!]\{[^}]*[().[\]][^}]*\}/,
+        score: 3,
+        engine: 'pug',
+        description: 'Pug #{} expression interpolation'
+      },
+      {
+        name: 'pug-unbuffered-code',
+        pattern: /(^|\n)\s*-\s*(var|let|const|global|process|require)\b/,
+        score: 4,
+        engine: 'pug',
+        description: 'Pug unbuffered code line'
+      },
+
+      // Nunjucks / Jinja-style
+      {
+        name: 'nunjucks-range-constructor',
+        pattern: /\{\{[^}]*range\.constructor\s*\(/i,
+        score: 5,
+        engine: 'nunjucks',
+        description: 'Nunjucks range.constructor escape'
+      },
+      {
+        name: 'nunjucks-globals',
+        pattern: /\{\{[^}]*\b(cycler|joiner|namespace)\b[^}]*\.(constructor|__init__|init)\b/i,
+        score: 5,
+        engine: 'nunjucks',
+        description: 'Nunjucks global object escape'
+      },
+      {
+        name: 'template-statement',
+        pattern: /\{%-?\s*(set|for|if|include|import|extends|macro|raw)\b[\s\S]*?-?%\}/i,
+        score: 3,
+        engine: 'nunjucks',
+        description: 'Template statement block'
+      },
+
+      // Code execution inside any template delimiter
+      {
+        name: 'template-code-execution',
+        pattern: /(\{\{|<%|\$\{|#\{|\{%)[\s\S]*?(process\.|require\s*\(|child_process|mainModule|execSync|spawnSync|global\.process)/,
+        score: 5,
+        engine: 'generic',
+        description: 'Code execution inside template expression'
+      },
+      {
+        name: 'template-prototype-access',
+        pattern: /(\{\{|<%|\$\{|#\{)[^}%]*(__proto__|\.prototype\b|__defineGetter__)/,
+        score: 4,
+        engine: 'generic',
+        description: 'Prototype access inside template expression'
+      }
+    ];
+  }
+
+  /**
+   * Analyze request for SSTI threats
+   */
+  analyze(analysis) {
+    const threats = [];
+    let totalScore = 0;
+
+    // Get the request targets this module applies to
+    const targets = this.getTargets(analysis);
+
+    // Check each pattern
+    this.patterns.forEach(pattern => {
+      targets.forEach(target => {
+        const text = target.value;
+        if (pattern.pattern.test(text)) {
+          threats.push({
+            type: 'ssti',
+            pattern: pattern.name,
+            engine: pattern.engine,
+            description: pattern.description,
+            score: pattern.score,
+            matched: text.substring(0, 100) + (text.length > 100 ? '...' : ''),
+            location: target.location
+          });
+          totalScore += pattern.score;
+        }
+      });
+    });
+
+    const combinationThreats = TargetExtractor.combine(targets, texts => this.checkCombinations(texts));
+    threats.push(...combinationThreats);
+    totalScore += combinationThreats.reduce((sum, threat) => sum + threat.score, 0);
+
+    if (threats.length > 0) {
+      return {
+        score: totalScore,
+        threats: threats,
+        module: 'ssti'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the path, query, body, header and cookie targets, narrowed by the ssti.targets selectors
+   */
+  getTargets(analysis) {
+    const targets = analysis.targets || this.targetExtractor.extract(analysis);
+    return TargetExtractor.select(targets, (this.config.ssti || {}).targets || DEFAULT_TARGETS);
+  }
+
+  /**
+   * Check for suspicious pattern combinations
+   */
+  checkCombinations(searchTexts) {
+    const threats = [];
+    const text = searchTexts.join(' ').toLowerCase();
+
+    // Constructor chain returning a function body, the usual sandbox escape
+    if (text.includes('constructor') && /return\s+(global\.)?process|return\s+this/.test(text)) {
+      threats.push({
+        type: 'ssti',
+        pattern: 'constructor-sandbox-escape',
+        engine: 'generic',
+        description: 'Constructor chain sandbox escape',
+        score: 5,
+        matched: 'Constructor chain with function body'
+      });
+    }
+
+    return threats;
+  }
+}
+
+module.exports = SSTIModule;
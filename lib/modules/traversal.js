@@ -0,0 +1,163 @@
+/**
+ * Path Traversal and Local File Inclusion Detection Module
+ */
+
+const Transformer = require('../core/transformer');
+const TargetExtractor = require('../core/target-extractor');
+
+const DEFAULT_TARGETS = ['REQUEST_FILENAME', 'ARGS', 'REQUEST_BODY', 'FILES'];
+
+// Recursive URL decoding also maps overlong UTF-8 such as %c0%af to "/"
+const TRANSFORMS = ['urlDecodeUni', 'normalizeUnicode', 'removeNulls'];
+
+class TraversalModule {
+  constructor(config) {
+    this.config = config;
+    this.transformer = new Transformer(config);
+    this.targetExtractor = new TargetExtractor(config);
+    this.patterns = this.loadTraversalPatterns();
+  }
+
+  /**
+   * Load path traversal detection patterns
+   * Raw patterns run on the original value, the others after normalization
+   */
+  loadTraversalPatterns() {
+    return [
+      // Directory traversal sequences
+      {
+        name: 'dot-dot-slash',
+        pattern: /(^|\/)\.\.(\/|$)/,
+        score: 4,
+        description: 'Directory traversal sequence'
+      },
+      {
+        name: 'nested-traversal',
+        pattern: /\.{3,}\/|\.\.\.?\/\.?\//,
+        raw: true,
+        score: 4,
+        description: 'Nested traversal sequence'
+      },
+      {
+        name: 'encoded-traversal',
+        pattern: /(%2e|\.){2}(%2f|%5c)|%2e%2e(\/|\\)|%252e|%252f/i,
+        raw: true,
+        score: 4,
+        description: 'URL encoded traversal sequence'
+      },
+      {
+        name: 'overlong-utf8',
+        pattern: /%c0%ae|%c0%af|%c1%1c|%c1%9c|%c0%2f|%e0%80%af/i,
+        raw: true,
+        score: 5,
+        description: 'Overlong UTF-8 encoded traversal'
+      },
+
+      // Sensitive files
+      {
+        name: 'unix-sensitive-file',
+        pattern: /\/etc\/(passwd|shadow|group|hosts|issue)|\/\.ssh\/(id_rsa|authorized_keys)/i,
+        score: 5,
+        description: 'Access to sensitive Unix file'
+      },
+      {
+        name: 'proc-filesystem',
+        pattern: /\/proc\/(self|\d+)\/(environ|cmdline|fd|maps|mem)/i,
+        score: 5,
+        description: 'Access to /proc filesystem'
+      },
+      {
+        name: 'windows-sensitive-file',
+        pattern: /(^|\/)(win\.ini|boot\.ini|system\.ini)$|windows\/(system32|win\.ini)|\/inetpub\//i,
+        score: 5,
+        description: 'Access to sensitive Windows file'
+      },
+      {
+        name: 'app-secret-file',
+        pattern: /(^|\/)(\.env|\.git\/config|\.htpasswd|web\.config)$/i,
+        score: 3,
+        description: 'Access to application secret file'
+      },
+
+      // Truncation
+      {
+        name: 'null-byte',
+        pattern: /%00|\0/,
+        raw: true,
+        score: 3,
+        description: 'Null byte truncation'
+      },
+
+      // Wrappers used for local file inclusion
+      {
+        name: 'file-wrapper',
+        pattern: /^(file|php|zip|phar|expect):\//i,
+        score: 4,
+        description: 'File inclusion wrapper scheme'
+      }
+    ];
+  }
+
+  /**
+   * Analyze request for path traversal threats
+   */
+  analyze(analysis) {
+    const threats = [];
+    let totalScore = 0;
+
+    const normalizer = analysis.normalizer || this.transformer.forRequest();
+
+    this.getTargets(analysis).forEach(target => {
+      const normalized = this.normalize(target.value, normalizer);
+
+      this.patterns.forEach(pattern => {
+        const text = pattern.raw ? target.value : normalized;
+        if (pattern.pattern.test(text)) {
+          threats.push({
+            type: 'traversal',
+            pattern: pattern.name,
+            description: pattern.description,
+            score: pattern.score,
+            location: target.location,
+            matched: target.value.substring(0, 100) + (target.value.length > 100 ? '...' : '')
+          });
+          totalScore += pattern.score;
+        }
+      });
+    });
+
+    if (threats.length > 0) {
+      return {
+        score: totalScore,
+        threats: threats,
+        module: 'traversal'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the path, query, body and upload filename targets, narrowed by the traversal.targets selectors
+   */
+  getTargets(analysis) {
+    const targets = analysis.targets || this.targetExtractor.extract(analysis);
+    return TargetExtractor.select(targets, (this.config.traversal || {}).targets || DEFAULT_TARGETS);
+  }
+
+  /**
+   * Decode a value through the shared normalizer, then unify separators before matching
+   * %c0%2f and %c1%1c are not valid UTF-8 but some servers still read them as separators
+   */
+  normalize(value, normalizer) {
+    const decoded = normalizer.apply(value
+      .replace(/%c0%2f/gi, '/')
+      .replace(/%c1%1c/gi, '\\'), TRANSFORMS);
+
+    return decoded
+      .replace(/\\/g, '/')
+      .replace(/\/{2,}/g, '/');
+  }
+}
+
+module.exports = TraversalModule;
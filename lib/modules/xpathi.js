@@ -0,0 +1,163 @@
+/**
+ * XPath Injection Detection Module
+ */
+
+const TargetExtractor = require('../core/target-extractor');
+
+const DEFAULT_TARGETS = ['REQUEST_FILENAME', 'ARGS', 'REQUEST_BODY', 'XML', 'REQUEST_COOKIES'];
+
+class XPathiModule {
+  constructor(config) {
+    this.config = config;
+    this.targetExtractor = new TargetExtractor(config);
+    this.patterns = this.loadXPathiPatterns();
+  }
+
+  /**
+   * Load XPath injection detection patterns
+   */
+  loadXPathiPatterns() {
+    return [
+      // Boolean tautologies
+      {
+        name: 'string-tautology',
+        pattern: /['"]\s*or\s*['"]([^'"]*)['"]\s*=\s*['"]\1(['"]|$)/i,
+        score: 5,
+        description: 'XPath string tautology'
+      },
+      {
+        name: 'numeric-tautology',
+        pattern: /['"]\s*or\s+(\d+)\s*=\s*\1\b/i,
+        score: 4,
+        description: 'XPath numeric tautology'
+      },
+      {
+        name: 'true-function',
+        pattern: /\b(or|and)\s+(true|not\s*\(\s*false)\s*\(\s*\)/i,
+        score: 5,
+        description: 'XPath true() tautology'
+      },
+
+      // Document structure probing
+      {
+        name: 'count-nodes',
+        pattern: /count\s*\(\s*(\/|\.\.|\*)[^)]*\)/i,
+        score: 4,
+        description: 'XPath count() node probing'
+      },
+      {
+        name: 'node-name',
+        pattern: /(local-name|namespace-uri|name)\s*\(\s*(\/|\.\.|\*)[^)]*\)/i,
+        score: 4,
+        description: 'XPath name() node probing'
+      },
+      {
+        name: 'blind-extraction',
+        pattern: /(string-length|substring|starts-with|contains|string)\s*\(\s*((local-)?name\s*\(|\/\/?[\w*])/i,
+        score: 4,
+        description: 'XPath blind extraction function'
+      },
+      {
+        name: 'positional-node',
+        pattern: /\/\*\[\s*\d+\s*\]/,
+        score: 3,
+        description: 'XPath positional node selection'
+      },
+
+      // Query breakout
+      {
+        name: 'union-path',
+        pattern: /['"\])]\s*\|\s*\/\/?[\w*@]/,
+        score: 5,
+        description: 'XPath union with new path'
+      },
+      {
+        name: 'predicate-breakout',
+        pattern: /['"]\s*\]\s*(\/|\[|\|)/,
+        score: 4,
+        description: 'XPath predicate breakout'
+      },
+      {
+        name: 'xpath-comment',
+        pattern: /\(:[\s\S]*?:\)/,
+        score: 2,
+        description: 'XPath 2.0 comment'
+      }
+    ];
+  }
+
+  /**
+   * Analyze request for XPath injection threats
+   */
+  analyze(analysis) {
+    const threats = [];
+    let totalScore = 0;
+
+    // Get the request targets this module applies to
+    const targets = this.getTargets(analysis);
+
+    // Check each pattern
+    this.patterns.forEach(pattern => {
+      targets.forEach(target => {
+        const text = target.value;
+        if (pattern.pattern.test(text)) {
+          threats.push({
+            type: 'xpathi',
+            pattern: pattern.name,
+            description: pattern.description,
+            score: pattern.score,
+            matched: text.substring(0, 100) + (text.length > 100 ? '...' : ''),
+            location: target.location
+          });
+          totalScore += pattern.score;
+        }
+      });
+    });
+
+    const combinationThreats = TargetExtractor.combine(targets, texts => this.checkCombinations(texts));
+    threats.push(...combinationThreats);
+    totalScore += combinationThreats.reduce((sum, threat) => sum + threat.score, 0);
+
+    if (threats.length > 0) {
+      return {
+        score: totalScore,
+        threats: threats,
+        module: 'xpathi'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the path, query, body, XML and cookie targets, narrowed by the xpathi.targets selectors
+   */
+  getTargets(analysis) {
+    const targets = analysis.targets || this.targetExtractor.extract(analysis);
+    return TargetExtractor.select(targets, (this.config.xpathi || {}).targets || DEFAULT_TARGETS);
+  }
+
+  /**
+   * Check for suspicious pattern combinations
+   */
+  checkCombinations(searchTexts) {
+    const threats = [];
+    const text = searchTexts.join(' ').toLowerCase();
+
+    // Quote breakout followed by an XPath axis or function
+    if (/['"]\s*(or|and)\s/.test(text) &&
+        /(ancestor|descendant|following|preceding|parent|child|self)(-or-self|-sibling)?::|text\s*\(\s*\)|node\s*\(\s*\)/.test(text)) {
+      threats.push({
+        type: 'xpathi',
+        pattern: 'quote-axis-combination',
+        description: 'Quote breakout with XPath axis or node test',
+        score: 4,
+        matched: 'Quote breakout with XPath axis or node test'
+      });
+    }
+
+    return threats;
+  }
+}
+
+module.exports = XPathiModule;
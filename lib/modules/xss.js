@@ -2,9 +2,14 @@
  * XSS (Cross-Site Scripting) Detection Module
  */
 
+const Transformer = require('../core/transformer');
+const TargetExtractor = require('../core/target-extractor');
+
 class XSSModule {
   constructor(config) {
     this.config = config;
+    this.transformer = new Transformer(config);
+    this.targetExtractor = new TargetExtractor(config);
     this.patterns = this.loadXSSPatterns();
   }
 
@@ -182,12 +187,6 @@ class XSSModule {
         score: 1,
         description: 'HTML encoded characters'
       },
-      {
-        name: 'url-encoded',
-        pattern: /%[0-9a-fA-F]{2}/gi,
-        score: 1,
-        description: 'URL encoded characters'
-      },
       
       // SVG patterns
       {
@@ -214,27 +213,32 @@ class XSSModule {
     const threats = [];
     let totalScore = 0;
     
-    // Get all searchable text from the request
-    const searchTexts = this.extractSearchTexts(analysis);
+    // Get the request targets this module applies to
+    const targets = this.getTargets(analysis);
+    
+    // Decoded views are shared with other modules when the middleware provides them
+    const normalizer = analysis.normalizer || this.transformer.forRequest();
     
-    // Check each pattern
+    // Check each pattern against the raw value and its decoded views
     this.patterns.forEach(pattern => {
-      searchTexts.forEach(text => {
-        if (typeof text === 'string' && pattern.pattern.test(text)) {
+      targets.forEach(target => {
+        const text = target.value;
+        if (normalizer.test(pattern.pattern, text)) {
           threats.push({
             type: 'xss',
             pattern: pattern.name,
             description: pattern.description,
             score: pattern.score,
-            matched: text.substring(0, 100) + (text.length > 100 ? '...' : '')
+            matched: text.substring(0, 100) + (text.length > 100 ? '...' : ''),
+            location: target.location
           });
           totalScore += pattern.score;
         }
       });
     });
     
-    // Check for suspicious combinations
-    const combinationThreats = this.checkCombinations(searchTexts);
+    const combinationThreats = TargetExtractor.combine(targets, texts => this.checkCombinations(texts),
+      value => [value, ...normalizer.views(value)]);
     threats.push(...combinationThreats);
     totalScore += combinationThreats.reduce((sum, threat) => sum + threat.score, 0);
     
@@ -250,47 +254,11 @@ class XSSModule {
   }
 
   /**
-   * Extract searchable texts from analysis
+   * Get the targets to scan, narrowed by the xss.targets selectors
    */
-  extractSearchTexts(analysis) {
-    const texts = [];
-    
-    // URL path
-    texts.push(analysis.path);
-    
-    // Query parameters
-    if (analysis.query) {
-      Object.values(analysis.query).forEach(value => {
-        if (typeof value === 'string') {
-          texts.push(value);
-        }
-      });
-    }
-    
-    // Request body
-    if (analysis.body) {
-      if (typeof analysis.body === 'string') {
-        texts.push(analysis.body);
-      } else if (typeof analysis.body === 'object') {
-        texts.push(JSON.stringify(analysis.body));
-      }
-    }
-    
-    // Headers
-    Object.values(analysis.headers).forEach(value => {
-      if (typeof value === 'string') {
-        texts.push(value);
-      }
-    });
-    
-    // Cookies
-    Object.values(analysis.cookies).forEach(value => {
-      if (typeof value === 'string') {
-        texts.push(value);
-      }
-    });
-    
-    return texts;
+  getTargets(analysis) {
+    const targets = analysis.targets || this.targetExtractor.extract(analysis);
+    return TargetExtractor.select(targets, (this.config.xss || {}).targets);
   }
 
   /**
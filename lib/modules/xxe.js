@@ -0,0 +1,225 @@
+/**
+ * XML External Entity (XXE) Detection Module
+ * Inspects XML bodies for external entities, parameter entities,
+ * entity expansion bombs and XInclude
+ */
+
+const TargetExtractor = require('../core/target-extractor');
+
+const PREDEFINED_ENTITIES = ['lt', 'gt', 'amp', 'quot', 'apos'];
+
+const DEFAULT_TARGETS = ['REQUEST_BODY'];
+
+class XXEModule {
+  constructor(config) {
+    this.config = config;
+    this.xxeConfig = config.xxe || {};
+    this.targetExtractor = new TargetExtractor(config);
+    // Largest size any internal entity may expand to, in characters
+    this.maxEntityExpansion = this.xxeConfig.maxEntityExpansion || 100000;
+    // Most internal entities and the deepest chain of references between them a document may declare
+    this.maxEntities = this.xxeConfig.maxEntities || 1000;
+    this.maxEntityDepth = this.xxeConfig.maxEntityDepth || 32;
+    this.patterns = this.loadXXEPatterns();
+  }
+
+  /**
+   * Load XXE detection patterns
+   */
+  loadXXEPatterns() {
+    return [
+      {
+        name: 'external-entity',
+        pattern: /<!ENTITY\s+(%\s*)?[^\s%]+\s+(SYSTEM|PUBLIC)\b/i,
+        score: 5,
+        description: 'External entity declaration'
+      },
+      {
+        name: 'parameter-entity',
+        // Each repeat stops at the next tag or bracket, so unterminated declarations stay linear
+        pattern: /<!ENTITY\s+%|<!DOCTYPE[^>[<]*\[[^\][]*%[A-Za-z_][\w.-]*;/i,
+        score: 5,
+        description: 'Parameter entity'
+      },
+      {
+        name: 'external-dtd',
+        pattern: /<!DOCTYPE\s+[^\s[>]+\s+(SYSTEM|PUBLIC)\b/i,
+        score: 5,
+        description: 'External DTD reference'
+      },
+      {
+        name: 'xinclude',
+        pattern: /http:\/\/www\.w3\.org\/2001\/XInclude|<[\w.-]+:include\b[^<>]*\bhref\s*=/i,
+        score: 5,
+        description: 'XInclude directive'
+      },
+      {
+        name: 'doctype-declaration',
+        pattern: /<!DOCTYPE\b/i,
+        score: 2,
+        description: 'DOCTYPE declaration in request body'
+      }
+    ];
+  }
+
+  /**
+   * Analyze request for XXE threats
+   */
+  analyze(analysis) {
+    const threats = [];
+
+    this.getTargets(analysis).forEach(target => {
+      const xml = target.value;
+      const createThreat = (name, description, score, matched) => ({
+        type: 'xxe',
+        pattern: name,
+        description,
+        score,
+        matched: matched.substring(0, 100) + (matched.length > 100 ? '...' : ''),
+        location: target.location
+      });
+
+      this.patterns.forEach(pattern => {
+        const match = xml.match(pattern.pattern);
+        if (match) {
+          threats.push(createThreat(pattern.name, pattern.description, pattern.score, match[0]));
+        }
+      });
+
+      const expansion = this.checkEntityExpansion(xml);
+      if (expansion) {
+        threats.push(createThreat(expansion.name, expansion.description, 5, expansion.matched));
+      }
+    });
+
+    if (threats.length > 0) {
+      return {
+        score: threats.reduce((sum, threat) => sum + threat.score, 0),
+        threats: threats,
+        module: 'xxe'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the unparsed body as markup, narrowed by the xxe.targets selectors
+   * Fields of a parsed body are not XML documents and are left to the other modules
+   */
+  getTargets(analysis) {
+    const targets = analysis.targets || this.targetExtractor.extract(analysis);
+    return TargetExtractor.select(targets, this.xxeConfig.targets || DEFAULT_TARGETS)
+      .filter(target => target.name === null && target.value.includes('<'));
+  }
+
+  /**
+   * Detect billion laughs style expansion and recursive internal entities
+   * Sizes are computed depth-first with an explicit stack and memoized per entity,
+   * and documents declaring or nesting more entities than the limits are flagged as they are
+   */
+  checkEntityExpansion(xml) {
+    const entities = this.parseEntities(xml);
+    if (entities.size === 0) return null;
+
+    if (entities.size > this.maxEntities) {
+      return {
+        name: 'entity-limit',
+        description: `${entities.size} entity declarations exceed limit ${this.maxEntities}`,
+        matched: `${entities.size} entities`
+      };
+    }
+
+    // References from each entity to other declared entities, one entry per occurrence
+    const references = new Map();
+    entities.forEach((value, name) => {
+      const names = [];
+      const reference = /&([A-Za-z_][\w.-]*);/g;
+      let ref;
+
+      while ((ref = reference.exec(value)) !== null) {
+        if (entities.has(ref[1]) && !PREDEFINED_ENTITIES.includes(ref[1])) {
+          names.push(ref[1]);
+        }
+      }
+      references.set(name, names);
+    });
+
+    const sizes = new Map();
+
+    for (const root of entities.keys()) {
+      if (sizes.has(root)) continue;
+
+      const stack = [{ name: root, next: 0 }];
+      const expanding = new Set([root]);
+
+      while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        const refs = references.get(frame.name);
+
+        while (frame.next < refs.length && sizes.has(refs[frame.next])) {
+          frame.next++;
+        }
+
+        if (frame.next < refs.length) {
+          const child = refs[frame.next];
+          if (expanding.has(child)) {
+            return { name: 'entity-recursion', description: `Recursive entity ${child}`, matched: `&${child};` };
+          }
+          if (stack.length >= this.maxEntityDepth) {
+            return {
+              name: 'entity-depth',
+              description: `Entity ${root} nests more than ${this.maxEntityDepth} entities deep`,
+              matched: `&${root};`
+            };
+          }
+
+          stack.push({ name: child, next: 0 });
+          expanding.add(child);
+          continue;
+        }
+
+        const size = refs.reduce((total, ref) => total + sizes.get(ref) - ref.length - 2, entities.get(frame.name).length);
+        if (size > this.maxEntityExpansion) {
+          return {
+            name: 'entity-expansion',
+            description: `Entity ${frame.name} expands to ${size} characters`,
+            matched: `&${frame.name};`
+          };
+        }
+
+        sizes.set(frame.name, size);
+        expanding.delete(frame.name);
+        stack.pop();
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Collect internal entity declarations by name
+   * Values are found with indexOf rather than a lazy regex, so unterminated declarations stay linear
+   */
+  parseEntities(xml) {
+    const entities = new Map();
+    const declaration = /<!ENTITY\s+([^\s%<>]+)\s+(["'])/g;
+    let match;
+
+    while ((match = declaration.exec(xml)) !== null) {
+      const end = xml.indexOf(match[2], declaration.lastIndex);
+      if (end < 0) break;
+
+      const close = /\s*>/y;
+      close.lastIndex = end + 1;
+      if (close.test(xml)) {
+        entities.set(match[1], xml.substring(declaration.lastIndex, end));
+        declaration.lastIndex = close.lastIndex;
+      }
+    }
+
+    return entities;
+  }
+}
+
+module.exports = XXEModule;
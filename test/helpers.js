@@ -0,0 +1,28 @@
+/**
+ * Shared fixtures for module tests
+ */
+
+/**
+ * Create a request analysis as the middleware passes it to modules
+ */
+const createAnalysis = (overrides = {}) => ({
+  path: '/test',
+  query: {},
+  body: null,
+  headers: {},
+  cookies: {},
+  score: 0,
+  threats: [],
+  modules: [],
+  ...overrides
+});
+
+/**
+ * List the pattern names of a module result's threats
+ */
+const patternsFor = (result) => result.threats.map(threat => threat.pattern);
+
+module.exports = {
+  createAnalysis,
+  patternsFor
+};
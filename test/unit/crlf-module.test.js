@@ -0,0 +1,138 @@
+/**
+ * Unit tests for CRLF Module
+ */
+
+const request = require('supertest');
+const express = require('express');
+const waf = require('../../lib/index');
+const CRLFModule = require('../../lib/modules/crlf');
+const { createAnalysis, patternsFor } = require('../helpers');
+
+describe('CRLF Module', () => {
+  let crlfModule;
+
+  beforeEach(() => {
+    crlfModule = new CRLFModule({});
+  });
+
+  describe('Header Injection', () => {
+    test('should detect injected Set-Cookie and name the parameter', () => {
+      const result = crlfModule.analyze(createAnalysis({
+        query: { next: '/home\r\nSet-Cookie: session=attacker' }
+      }));
+
+      expect(result.module).toBe('crlf');
+      expect(patternsFor(result)).toEqual(['header-injection']);
+      expect(result.threats[0].location).toBe('ARGS:next');
+      expect(result.threats[0].description).toContain('ARGS:next');
+    });
+
+    test('should decode single and double URL encoding', () => {
+      const single = crlfModule.analyze(createAnalysis({ query: { url: '/a%0d%0aLocation:%20http://evil.example' } }));
+      const double = crlfModule.analyze(createAnalysis({ query: { url: '/a%250d%250aX-Injected:%2520yes' } }));
+
+      expect(patternsFor(single)).toEqual(['header-injection']);
+      expect(patternsFor(double)).toEqual(['header-injection']);
+    });
+
+    test('should detect response splitting', () => {
+      const result = crlfModule.analyze(createAnalysis({
+        body: { redirect: '/\r\n\r\n<html>defaced</html>' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['response-splitting']);
+      expect(result.threats[0].location).toBe('REQUEST_BODY:redirect');
+    });
+
+    test('should detect generic header-like lines in encoded paths', () => {
+      const result = crlfModule.analyze(createAnalysis({
+        path: '/redirect/%0d%0aFoo:%20bar'
+      }));
+
+      expect(patternsFor(result)).toEqual(['header-splitting']);
+      expect(result.threats[0].location).toBe('REQUEST_FILENAME');
+    });
+  });
+
+  describe('Line Breaks', () => {
+    test('should detect bare CR/LF in query values, headers and cookies', () => {
+      const result = crlfModule.analyze(createAnalysis({
+        query: { lang: 'en\n' },
+        headers: { referer: 'http://example.com/%0d' },
+        cookies: { theme: 'dark%0a' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['crlf-sequence', 'crlf-sequence', 'crlf-sequence']);
+      expect(result.threats.map(threat => threat.location)).toEqual(['ARGS:lang', 'REQUEST_HEADERS:referer', 'REQUEST_COOKIES:theme']);
+    });
+
+    test('should check cookies once rather than through the Cookie header', () => {
+      const result = crlfModule.analyze(createAnalysis({
+        headers: { cookie: 'theme=dark%0a' },
+        cookies: { theme: 'dark%0a' }
+      }));
+
+      expect(result.threats.map(threat => threat.location)).toEqual(['REQUEST_COOKIES:theme']);
+    });
+
+    test('should detect Unicode line separators', () => {
+      const result = crlfModule.analyze(createAnalysis({
+        query: { name: 'a\u2028b' }
+      }));
+      const encoded = crlfModule.analyze(createAnalysis({
+        query: { name: 'a%u2028b' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['unicode-line-separator']);
+      expect(patternsFor(encoded)).toEqual(['unicode-line-separator']);
+    });
+
+    test('should detect CR/LF smuggled through truncated Unicode', () => {
+      const result = crlfModule.analyze(createAnalysis({
+        query: { next: '/home\u560d\u560aSet-Cookie:x=1' }
+      }));
+
+      const latin = crlfModule.analyze(createAnalysis({
+        query: { next: '/home\u010d\u010aLocation: //evil.example' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['header-injection']);
+      expect(result.threats[0].description).toContain('truncated Unicode');
+      expect(patternsFor(latin)).toEqual(['header-injection']);
+    });
+  });
+
+  describe('Safe Requests', () => {
+    test('should allow multi-line body text and CJK text', () => {
+      const result = crlfModule.analyze(createAnalysis({
+        query: { q: '上海' },
+        body: { comment: 'First line\nSecond line\nNote: third line' }
+      }));
+
+      expect(result).toBeNull();
+    });
+
+    test('should allow letters whose low byte is CR or LF', () => {
+      const result = crlfModule.analyze(createAnalysis({
+        query: { q: 'Počet: 5', city: '上: 海', name: 'Ċikku: x' },
+        headers: { 'x-label': 'Množství: 2' }
+      }));
+
+      expect(result).toBeNull();
+    });
+
+    test('should pass clean redirects through Express', async () => {
+      const app = express();
+      app.use(waf({
+        modules: ['crlf'],
+        threshold: 5,
+        adaptiveLearning: false,
+        anomalyThreshold: 1000 // Disable anomaly scoring for tests
+      }).middleware());
+      app.get('/login', (req, res) => res.json({ next: req.query.next }));
+
+      await request(app).get('/login?next=%2Fhome').expect(200);
+      await request(app).get('/login?next=%2Fhome%0d%0aSet-Cookie:%20a=b').expect(403);
+    });
+  });
+});
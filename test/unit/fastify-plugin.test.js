@@ -0,0 +1,218 @@
+/**
+ * Unit tests for WAF Fastify Plugin
+ */
+
+const Fastify = require('fastify');
+const waf = require('../../lib/index');
+
+describe('WAF Fastify Plugin', () => {
+  let app;
+  let wafMiddleware;
+
+  const createApp = async (options = {}, pluginOptions = {}) => {
+    app = Fastify();
+
+    wafMiddleware = waf({
+      modules: ['xss', 'sqli'],
+      threshold: 3,
+      dryRun: false,
+      adaptiveLearning: false,
+      anomalyThreshold: 1000, // Disable anomaly scoring for tests
+      ...options
+    });
+
+    app.register(wafMiddleware.fastify(), pluginOptions);
+
+    app.get('/', async () => ({ message: 'Hello World' }));
+    app.post('/api/test', async (request) => ({ received: request.body }));
+
+    await app.ready();
+  };
+
+  beforeEach(async () => {
+    await createApp();
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  describe('Basic functionality', () => {
+    test('should allow normal requests', async () => {
+      const response = await app.inject({ method: 'GET', url: '/' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.json().message).toBe('Hello World');
+    });
+
+    test('should allow normal POST requests', async () => {
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/test',
+        payload: { name: 'John', email: 'john@example.com' }
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.json().received.name).toBe('John');
+    });
+
+    test('should expose the WAF instance as a decorator', () => {
+      expect(app.waf).toBe(wafMiddleware);
+    });
+
+    test('should be registrable through waf.fastify', async () => {
+      const instance = Fastify();
+      instance.register(waf.fastify, {
+        modules: ['xss', 'sqli'],
+        threshold: 3,
+        anomalyThreshold: 1000
+      });
+      instance.get('/', async () => ({ message: 'Hello World' }));
+
+      const response = await instance.inject({
+        method: 'GET',
+        url: '/?q=<script>alert("xss")</script>'
+      });
+
+      expect(response.statusCode).toBe(403);
+      await instance.close();
+    });
+  });
+
+  describe('onRequest inspection', () => {
+    test('should block XSS in query parameters before the handler runs', async () => {
+      const response = await app.inject({
+        method: 'GET',
+        url: '/?q=<script>alert("xss")</script>'
+      });
+
+      expect(response.statusCode).toBe(403);
+      expect(response.json().error).toBe('Request blocked by WAF');
+      expect(response.json().reason).toContain('Threat score');
+    });
+
+    test('should block SQL injection in headers', async () => {
+      const response = await app.inject({
+        method: 'GET',
+        url: '/',
+        headers: { 'x-search': '1 UNION SELECT * FROM users' }
+      });
+
+      expect(response.statusCode).toBe(403);
+    });
+  });
+
+  describe('preHandler inspection', () => {
+    test('should block XSS in parsed request body', async () => {
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/test',
+        payload: { comment: '<script>alert("xss")</script>' }
+      });
+
+      expect(response.statusCode).toBe(403);
+      expect(response.json().error).toBe('Request blocked by WAF');
+      expect(response.json().threats.length).toBeGreaterThan(0);
+    });
+
+    test('should record each request once', async () => {
+      await app.inject({ method: 'GET', url: '/' });
+      await app.inject({ method: 'POST', url: '/api/test', payload: { comment: 'DROP TABLE users' } });
+
+      const stats = wafMiddleware.statsCollector.getStats();
+      expect(stats.totalRequests).toBe(2);
+      expect(stats.blockedRequests).toBe(1);
+    });
+
+    test('should evaluate rules once per inspected analysis', async () => {
+      const evaluate = jest.spyOn(wafMiddleware.ruleEngine, 'evaluate');
+
+      await app.inject({ method: 'GET', url: '/?q=<script>alert("xss")</script>' });
+      expect(evaluate).toHaveBeenCalledTimes(1);
+
+      evaluate.mockClear();
+      await app.inject({ method: 'GET', url: '/' });
+      expect(evaluate).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Dry Run Mode', () => {
+    test('should allow requests in dry run mode', async () => {
+      await app.close();
+      await createApp({ dryRun: true });
+
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/test',
+        payload: { comment: '<script>alert("xss")</script>' }
+      });
+
+      expect(response.statusCode).toBe(200);
+    });
+
+    test('should still inspect the body when headers already exceed the threshold', async () => {
+      await app.close();
+      await createApp({ dryRun: true });
+      const detected = jest.fn();
+      wafMiddleware.on('threat-detected', detected);
+
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/test?q=<script>alert("xss")</script>',
+        payload: { comment: 'DROP TABLE users' }
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(detected).toHaveBeenCalledTimes(1);
+      expect(detected.mock.calls[0][0].analysis.threats.map(threat => threat.type)).toEqual(
+        expect.arrayContaining(['xss', 'sqli']));
+    });
+  });
+
+  describe('Admin routes', () => {
+    beforeEach(async () => {
+      await app.close();
+      await createApp({ apiKey: 'secret' }, { adminRoutes: true });
+    });
+
+    test('should register API routes', async () => {
+      const response = await app.inject({
+        method: 'GET',
+        url: '/waf/rules',
+        headers: { 'x-api-key': 'secret' }
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.json().success).toBe(true);
+      expect(response.json().rules.length).toBeGreaterThan(0);
+    });
+
+    test('should pass route params to API handlers', async () => {
+      const response = await app.inject({
+        method: 'POST',
+        url: '/waf/rules/xss-script-tag/toggle',
+        headers: { 'x-api-key': 'secret' },
+        payload: { enabled: false }
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.json().rule.enabled).toBe(false);
+    });
+
+    test('should apply API authentication', async () => {
+      const response = await app.inject({ method: 'GET', url: '/waf/config' });
+
+      expect(response.statusCode).toBe(401);
+    });
+
+    test('should support a route prefix', async () => {
+      await app.close();
+      await createApp({}, { adminRoutes: true, adminPrefix: '/admin' });
+
+      const response = await app.inject({ method: 'GET', url: '/admin/waf/version' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.json().version).toBeDefined();
+    });
+  });
+});
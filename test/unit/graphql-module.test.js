@@ -0,0 +1,157 @@
+/**
+ * Unit tests for GraphQL Module
+ */
+
+const GraphQLModule = require('../../lib/modules/graphql');
+const { createAnalysis, patternsFor } = require('../helpers');
+
+describe('GraphQL Module', () => {
+  let graphqlModule;
+
+  const nested = (depth) => {
+    let selection = 'id';
+    for (let i = 0; i < depth; i++) {
+      selection = `friends { ${selection} }`;
+    }
+    return `query Deep { user(id: 1) { ${selection} } }`;
+  };
+
+  beforeEach(() => {
+    graphqlModule = new GraphQLModule({
+      graphql: { maxDepth: 5, maxAliases: 3, maxFields: 20, maxCost: 50, blockIntrospection: true }
+    });
+  });
+
+  describe('Parsing', () => {
+    test('should allow ordinary queries', () => {
+      const result = graphqlModule.analyze(createAnalysis({
+        body: {
+          query: 'query GetUser($id: ID!) { user(id: $id) { name ...Avatar } } fragment Avatar on User { avatar(size: 64) }',
+          variables: { id: 1 }
+        }
+      }));
+
+      expect(result).toBeNull();
+    });
+
+    test('should parse queries from GET parameters', () => {
+      const result = graphqlModule.analyze(createAnalysis({
+        query: { query: nested(6) }
+      }));
+
+      expect(patternsFor(result)).toContain('max-depth');
+      expect(result.threats[0].field).toBe('query.query');
+    });
+
+    test('should report malformed documents', () => {
+      const result = graphqlModule.analyze(createAnalysis({
+        body: { query: '{ user(id: 1) { name }' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['malformed-query']);
+    });
+  });
+
+  describe('Limits', () => {
+    test('should enforce max depth and report the operation name', () => {
+      const result = graphqlModule.analyze(createAnalysis({
+        body: { query: nested(6) }
+      }));
+
+      const threat = result.threats.find(entry => entry.pattern === 'max-depth');
+      expect(result.module).toBe('graphql');
+      expect(threat.operation).toBe('Deep');
+      expect(threat.description).toContain('Deep');
+    });
+
+    test('should count depth through fragments without looping', () => {
+      const result = graphqlModule.analyze(createAnalysis({
+        body: {
+          query: '{ a { ...F } } fragment F on T { b { c { d { e { f { ...F } } } } } }'
+        }
+      }));
+
+      expect(patternsFor(result)).toContain('max-depth');
+    });
+
+    test('should stop expanding nested fragment spreads and report the query', () => {
+      // Each fragment spreads the next ten times, so the document expands to 10^8 spreads
+      const fragments = Array.from({ length: 8 }, (_, i) =>
+        `fragment F${i} on T { ${`...${i < 7 ? `F${i + 1}` : 'Missing'} `.repeat(10)}}`);
+
+      const started = Date.now();
+      const result = graphqlModule.analyze(createAnalysis({
+        body: { query: `query { ...F0 } ${fragments.join(' ')}` }
+      }));
+
+      expect(Date.now() - started).toBeLessThan(500);
+      expect(patternsFor(result)).toEqual(['query-too-large']);
+      expect(result.threats[0].matched).toBe('201 selections');
+    });
+
+    test('should enforce max aliases', () => {
+      const result = graphqlModule.analyze(createAnalysis({
+        body: { query: 'mutation { a: login(pw: "1") { ok } b: login(pw: "2") { ok } c: login(pw: "3") { ok } d: login(pw: "4") { ok } }' }
+      }));
+
+      expect(patternsFor(result)).toContain('max-aliases');
+    });
+
+    test('should enforce max fields and cost', () => {
+      const fields = Array.from({ length: 25 }, (_, i) => `f${i}`).join(' ');
+      const wide = graphqlModule.analyze(createAnalysis({ body: { query: `{ ${fields} }` } }));
+      const costly = graphqlModule.analyze(createAnalysis({
+        body: { query: '{ users(first: 100) { posts(first: 10) { id } } }' }
+      }));
+
+      expect(patternsFor(wide)).toContain('max-fields');
+      expect(patternsFor(costly)).toEqual(['max-cost']);
+    });
+
+    test('should enforce batch size', () => {
+      graphqlModule = new GraphQLModule({ graphql: { maxBatch: 2 } });
+      const result = graphqlModule.analyze(createAnalysis({
+        body: [{ query: '{ a }' }, { query: '{ b }' }, { query: '{ c }' }]
+      }));
+
+      expect(patternsFor(result)).toEqual(['max-batch']);
+    });
+  });
+
+  describe('Introspection', () => {
+    test('should block introspection when enabled', () => {
+      const result = graphqlModule.analyze(createAnalysis({
+        body: { query: 'query IntrospectionQuery { __schema { types { name } } }' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['introspection']);
+      expect(result.threats[0].operation).toBe('IntrospectionQuery');
+    });
+
+    test('should allow introspection and __typename by default outside production', () => {
+      graphqlModule = new GraphQLModule({});
+      const result = graphqlModule.analyze(createAnalysis({
+        body: { query: '{ __schema { queryType { name } } user { __typename } }' }
+      }));
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('Argument Literals', () => {
+    test('should scan decoded literals with the XSS and SQLi modules', () => {
+      const result = graphqlModule.analyze(createAnalysis({
+        body: {
+          operationName: 'Search',
+          query: 'query Search { search(term: "\\u003cscript\\u003ealert(1)\\u003c/script\\u003e", filter: { name: "x\' OR 1=1 --" }) { id } }'
+        }
+      }));
+
+      const types = result.threats.map(threat => threat.type);
+      expect(types).toContain('xss');
+      expect(types).toContain('sqli');
+      expect(result.threats.every(threat => threat.operation === 'Search')).toBe(true);
+      expect(result.threats.find(threat => threat.type === 'sqli').argument).toBe('search.filter.name');
+    });
+  });
+});
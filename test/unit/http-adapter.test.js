@@ -0,0 +1,190 @@
+/**
+ * Unit tests for framework-neutral inspection and the node:http adapter
+ */
+
+const request = require('supertest');
+const waf = require('../../lib/index');
+
+describe('WAF HTTP Adapter', () => {
+  let wafMiddleware;
+
+  const handler = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ message: 'Hello World' }));
+  };
+
+  beforeEach(() => {
+    wafMiddleware = waf({
+      modules: ['xss', 'sqli'],
+      threshold: 3,
+      dryRun: false,
+      adaptiveLearning: false,
+      anomalyThreshold: 1000 // Disable anomaly scoring for tests
+    });
+  });
+
+  describe('inspect()', () => {
+    test('should allow safe requests', () => {
+      const decision = wafMiddleware.inspect({
+        method: 'GET',
+        url: '/search?q=hello',
+        headers: { 'User-Agent': 'test-agent' },
+        remoteAddress: '10.0.0.1'
+      });
+
+      expect(decision.action).toBe('allow');
+      expect(decision.analysis.path).toBe('/search');
+      expect(decision.analysis.query).toEqual({ q: 'hello' });
+      expect(decision.analysis.userAgent).toBe('test-agent');
+      expect(decision.analysis.ip).toBe('10.0.0.1');
+    });
+
+    test('should block XSS in the query string', () => {
+      const decision = wafMiddleware.inspect({
+        method: 'GET',
+        url: '/?q=%3Cscript%3Ealert(1)%3C%2Fscript%3E',
+        headers: {}
+      });
+
+      expect(decision.action).toBe('block');
+      expect(decision.reason).toContain('Threat score');
+    });
+
+    test('should block SQL injection in the body', () => {
+      const decision = wafMiddleware.inspect({
+        method: 'post',
+        url: '/api',
+        headers: { 'content-type': 'application/json' },
+        body: { query: 'DROP TABLE users' }
+      });
+
+      expect(decision.action).toBe('block');
+      expect(decision.analysis.method).toBe('POST');
+    });
+
+    test('should collect repeated query parameters into arrays', () => {
+      const decision = wafMiddleware.inspect({ url: '/?tag=a&tag=b' });
+
+      expect(decision.analysis.query.tag).toEqual(['a', 'b']);
+    });
+
+    test('should inspect query parameters and headers named __proto__', () => {
+      const query = wafMiddleware.inspect({ url: '/?__proto__=%3Cscript%3Ealert(1)%3C%2Fscript%3E' });
+      const header = wafMiddleware.inspect({ url: '/', headers: { ['__proto__']: '<script>alert(1)</script>' } });
+
+      expect(query.action).toBe('block');
+      expect(header.action).toBe('block');
+    });
+
+    test('should parse cookies from headers', () => {
+      const decision = wafMiddleware.inspect({
+        url: '/',
+        headers: { cookie: 'sid=abc; theme=dark' }
+      });
+
+      expect(decision.analysis.cookies).toEqual({ sid: 'abc', theme: 'dark' });
+    });
+
+    test('should skip configured paths', () => {
+      const decision = wafMiddleware.inspect({
+        url: '/health?q=<script>alert(1)</script>'
+      });
+
+      expect(decision.action).toBe('allow');
+      expect(decision.reason).toBe('Path skipped');
+    });
+
+    test('should not read a leading // as a host', () => {
+      const decision = wafMiddleware.inspect({ url: '//evil.example/health?q=<script>alert(1)</script>' });
+
+      expect(decision.analysis.path).toBe('//evil.example/health');
+      expect(decision.action).toBe('block');
+    });
+
+    test('should keep dot segments in the path', () => {
+      wafMiddleware = waf({
+        modules: ['traversal'],
+        threshold: 3,
+        adaptiveLearning: false,
+        anomalyThreshold: 1000
+      });
+
+      const decision = wafMiddleware.inspect({ url: '/static/../../../app/config.json?v=1' });
+
+      expect(decision.analysis.path).toBe('/static/../../../app/config.json');
+      expect(decision.analysis.query).toEqual({ v: '1' });
+      expect(decision.action).toBe('block');
+    });
+
+    test('should record stats and emit events for blocked requests', () => {
+      const listener = jest.fn();
+      wafMiddleware.on('request-blocked', listener);
+
+      wafMiddleware.inspect({ url: '/?id=1 UNION SELECT * FROM users', remoteAddress: '10.0.0.2' });
+
+      const stats = wafMiddleware.statsCollector.getStats();
+      expect(stats.totalRequests).toBe(1);
+      expect(stats.blockedRequests).toBe(1);
+      expect(stats.ipStats['10.0.0.2'].blocked).toBe(1);
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test('should allow blocked requests in dry run mode', () => {
+      wafMiddleware = waf({
+        modules: ['xss', 'sqli'],
+        threshold: 3,
+        dryRun: true,
+        anomalyThreshold: 1000
+      });
+
+      const decision = wafMiddleware.inspect({ url: '/?q=<script>alert(1)</script>' });
+
+      expect(decision.action).toBe('allow');
+      expect(decision.dryRun).toBe(true);
+    });
+  });
+
+  describe('httpHandler()', () => {
+    test('should pass safe requests to the handler', async () => {
+      const response = await request(wafMiddleware.httpHandler(handler))
+        .get('/?q=hello')
+        .expect(200);
+
+      expect(response.body.message).toBe('Hello World');
+    });
+
+    test('should block malicious requests', async () => {
+      const response = await request(wafMiddleware.httpHandler(handler))
+        .get('/?q=<script>alert("xss")</script>')
+        .expect(403);
+
+      expect(response.body.error).toBe('Request blocked by WAF');
+    });
+
+    test('should be available through waf.http()', async () => {
+      const protectedHandler = waf.http(handler, {
+        modules: ['xss', 'sqli'],
+        threshold: 3,
+        anomalyThreshold: 1000
+      });
+
+      await request(protectedHandler)
+        .get('/?id=1 UNION SELECT * FROM users')
+        .expect(403);
+    });
+
+    test('should allow requests when inspection fails', async () => {
+      const listener = jest.fn();
+      wafMiddleware.on('error', listener);
+      wafMiddleware.ruleEngine.evaluate = () => {
+        throw new Error('boom');
+      };
+
+      await request(wafMiddleware.httpHandler(handler))
+        .get('/')
+        .expect(200);
+
+      expect(listener).toHaveBeenCalled();
+    });
+  });
+});
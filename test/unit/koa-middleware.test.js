@@ -0,0 +1,210 @@
+/**
+ * Unit tests for WAF Koa Middleware
+ */
+
+const request = require('supertest');
+const Koa = require('koa');
+const bodyParser = require('koa-bodyparser');
+const waf = require('../../lib/index');
+
+describe('WAF Koa Middleware', () => {
+  let app;
+  let wafMiddleware;
+
+  const createApp = (options) => {
+    app = new Koa();
+    app.use(bodyParser());
+
+    wafMiddleware = waf({
+      modules: ['xss', 'sqli'],
+      threshold: 3,
+      dryRun: false,
+      adaptiveLearning: false,
+      anomalyThreshold: 1000, // Disable anomaly scoring for tests
+      ...options
+    });
+
+    app.use(wafMiddleware.koa());
+
+    app.use(ctx => {
+      if (ctx.method === 'POST') {
+        ctx.body = { received: ctx.request.body };
+      } else {
+        ctx.body = { message: 'Hello World' };
+      }
+    });
+  };
+
+  beforeEach(() => {
+    createApp();
+  });
+
+  describe('Basic functionality', () => {
+    test('should allow normal requests', async () => {
+      const response = await request(app.callback())
+        .get('/')
+        .expect(200);
+
+      expect(response.body.message).toBe('Hello World');
+    });
+
+    test('should allow normal POST requests', async () => {
+      const response = await request(app.callback())
+        .post('/api/test')
+        .send({ name: 'John', email: 'john@example.com' })
+        .expect(200);
+
+      expect(response.body.received.name).toBe('John');
+    });
+
+    test('should skip configured paths', async () => {
+      const response = await request(app.callback())
+        .get('/health?q=<script>alert("xss")</script>')
+        .expect(200);
+
+      expect(response.body.message).toBe('Hello World');
+    });
+
+    test('should be available through waf.koa()', async () => {
+      app = new Koa();
+      app.use(waf.koa({
+        modules: ['xss', 'sqli'],
+        threshold: 3,
+        anomalyThreshold: 1000
+      }));
+      app.use(ctx => {
+        ctx.body = { message: 'Hello World' };
+      });
+
+      await request(app.callback())
+        .get('/?q=<script>alert("xss")</script>')
+        .expect(403);
+    });
+  });
+
+  describe('XSS Detection', () => {
+    test('should block XSS in query parameters', async () => {
+      const response = await request(app.callback())
+        .get('/?q=<script>alert("xss")</script>')
+        .expect(403);
+
+      expect(response.body.error).toBe('Request blocked by WAF');
+      expect(response.body.reason).toContain('Threat score');
+    });
+
+    test('should block XSS in request body', async () => {
+      const response = await request(app.callback())
+        .post('/api/test')
+        .send({ comment: '<script>alert("xss")</script>' })
+        .expect(403);
+
+      expect(response.body.error).toBe('Request blocked by WAF');
+    });
+
+    test('should block XSS in cookies', async () => {
+      const response = await request(app.callback())
+        .get('/')
+        .set('Cookie', 'session=%3Cscript%3Ealert(1)%3C%2Fscript%3E')
+        .expect(403);
+
+      expect(response.body.error).toBe('Request blocked by WAF');
+    });
+
+    test('should inspect cookies named __proto__', async () => {
+      await request(app.callback())
+        .get('/')
+        .set('Cookie', '__proto__=%3Cscript%3Ealert(1)%3C%2Fscript%3E')
+        .expect(403);
+    });
+  });
+
+  describe('SQL Injection Detection', () => {
+    test('should block UNION SELECT injection', async () => {
+      const response = await request(app.callback())
+        .get('/?id=1 UNION SELECT * FROM users')
+        .expect(403);
+
+      expect(response.body.error).toBe('Request blocked by WAF');
+    });
+
+    test('should block DROP TABLE injection', async () => {
+      const response = await request(app.callback())
+        .post('/api/test')
+        .send({ query: 'DROP TABLE users' })
+        .expect(403);
+
+      expect(response.body.error).toBe('Request blocked by WAF');
+    });
+  });
+
+  describe('Dry Run Mode', () => {
+    beforeEach(() => {
+      createApp({ dryRun: true });
+    });
+
+    test('should allow requests in dry run mode', async () => {
+      const listener = jest.fn();
+      wafMiddleware.on('threat-detected', listener);
+
+      const response = await request(app.callback())
+        .get('/?q=<script>alert("xss")</script>')
+        .expect(200);
+
+      expect(response.body.message).toBe('Hello World');
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'dry-run' }));
+    });
+  });
+
+  describe('Events and Stats', () => {
+    test('should emit request-blocked events', async () => {
+      const listener = jest.fn();
+      wafMiddleware.on('request-blocked', listener);
+
+      await request(app.callback())
+        .get('/?q=<script>alert("xss")</script>')
+        .expect(403);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0].decision.action).toBe('block');
+    });
+
+    test('should record blocked requests in stats', async () => {
+      await request(app.callback()).get('/');
+      await request(app.callback()).get('/?q=<script>alert("xss")</script>');
+
+      const stats = wafMiddleware.statsCollector.getStats();
+      expect(stats.totalRequests).toBe(2);
+      expect(stats.blockedRequests).toBe(1);
+    });
+  });
+
+  describe('Error Handling', () => {
+    test('should allow requests when analysis fails', async () => {
+      const listener = jest.fn();
+      wafMiddleware.on('error', listener);
+      wafMiddleware.ruleEngine.evaluate = () => {
+        throw new Error('boom');
+      };
+
+      const response = await request(app.callback())
+        .get('/')
+        .expect(200);
+
+      expect(response.body.message).toBe('Hello World');
+      expect(listener).toHaveBeenCalled();
+    });
+
+    test('should not swallow downstream errors', async () => {
+      app = new Koa();
+      app.silent = true;
+      app.use(wafMiddleware.koa());
+      app.use(() => {
+        throw new Error('downstream');
+      });
+
+      await request(app.callback())
+        .get('/')
+        .expect(500);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for LDAP Injection Module
+ */
+
+const request = require('supertest');
+const express = require('express');
+const waf = require('../../lib/index');
+const LDAPiModule = require('../../lib/modules/ldapi');
+const { createAnalysis, patternsFor } = require('../helpers');
+
+describe('LDAPi Module', () => {
+  let ldapiModule;
+
+  beforeEach(() => {
+    ldapiModule = new LDAPiModule({});
+  });
+
+  describe('Filter Injection', () => {
+    test('should detect wildcard breakout', () => {
+      const result = ldapiModule.analyze(createAnalysis({
+        body: { username: '*)(uid=*))(|(uid=*', password: 'x' }
+      }));
+
+      expect(result.module).toBe('ldapi');
+      expect(patternsFor(result)).toEqual(expect.arrayContaining([
+        'or-filter-injection', 'wildcard-breakout', 'attribute-injection'
+      ]));
+      expect(result.score).toBeGreaterThanOrEqual(5);
+    });
+
+    test('should detect AND filter injection', () => {
+      const result = ldapiModule.analyze(createAnalysis({
+        query: { user: 'admin)(&)' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['and-filter-injection', 'boolean-filter', 'unbalanced-parentheses']);
+    });
+
+    test('should detect always-true presence filters', () => {
+      const result = ldapiModule.analyze(createAnalysis({
+        query: { filter: '(|(objectClass=*)(cn=admin))' }
+      }));
+
+      expect(patternsFor(result)).toEqual(expect.arrayContaining(['presence-filter', 'objectclass-wildcard']));
+    });
+
+    test('should detect null byte truncation', () => {
+      const result = ldapiModule.analyze(createAnalysis({
+        query: { user: 'admin)%00' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['null-byte']);
+    });
+  });
+
+  describe('Safe Requests', () => {
+    test('should allow ordinary names, emoticons and user agents', () => {
+      const result = ldapiModule.analyze(createAnalysis({
+        query: { q: 'John (Jack) Smith', note: 'thanks :)' },
+        body: { username: 'jsmith', display: 'R&D (Berlin)' },
+        headers: { 'user-agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko)' }
+      }));
+
+      expect(result).toBeNull();
+    });
+
+    test('should block injected login filters through Express', async () => {
+      const app = express();
+      app.use(express.json());
+      app.use(waf({
+        modules: ['ldapi'],
+        threshold: 5,
+        adaptiveLearning: false,
+        anomalyThreshold: 1000 // Disable anomaly scoring for tests
+      }).middleware());
+      app.post('/login', (req, res) => res.json({ ok: true }));
+
+      await request(app).post('/login').send({ username: 'jsmith', password: 'secret' }).expect(200);
+      await request(app).post('/login').send({ username: 'admin)(|(password=*)', password: 'x' }).expect(403);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Unit tests for NoSQL Injection Module
+ */
+
+const NoSQLiModule = require('../../lib/modules/nosqli');
+const { createAnalysis } = require('../helpers');
+
+describe('NoSQLi Module', () => {
+  let nosqliModule;
+
+  beforeEach(() => {
+    nosqliModule = new NoSQLiModule({});
+  });
+
+  describe('Operator Detection', () => {
+    test('should detect $ne in JSON body with field path', () => {
+      const analysis = createAnalysis({
+        body: { username: 'admin', password: { $ne: null } }
+      });
+
+      const result = nosqliModule.analyze(analysis);
+
+      expect(result).toBeDefined();
+      expect(result.module).toBe('nosqli');
+
+      const neThreat = result.threats.find(threat => threat.pattern === 'ne-operator');
+      expect(neThreat).toBeDefined();
+      expect(neThreat.location).toBe('REQUEST_BODY:password.$ne');
+    });
+
+    test('should detect operators in qs-style query objects', () => {
+      const analysis = createAnalysis({
+        query: { user: { $gt: '' } }
+      });
+
+      const result = nosqliModule.analyze(analysis);
+
+      const gtThreat = result.threats.find(threat => threat.pattern === 'gt-operator');
+      expect(gtThreat).toBeDefined();
+      expect(gtThreat.location).toBe('ARGS:user[$gt]');
+    });
+
+    test('should detect unparsed bracketed query keys', () => {
+      const analysis = createAnalysis({
+        query: { 'user[$regex]': '.*' }
+      });
+
+      const result = nosqliModule.analyze(analysis);
+
+      const regexThreat = result.threats.find(threat => threat.pattern === 'regex-operator');
+      expect(regexThreat).toBeDefined();
+      expect(regexThreat.location).toBe('ARGS:user[$regex]');
+    });
+
+    test('should detect $expr and $function operators', () => {
+      const analysis = createAnalysis({
+        body: {
+          filter: {
+            $expr: { $function: { body: 'function() { return true; }', args: [], lang: 'js' } }
+          }
+        }
+      });
+
+      const result = nosqliModule.analyze(analysis);
+      const patterns = result.threats.map(threat => threat.pattern);
+
+      expect(patterns).toContain('expr-operator');
+      expect(patterns).toContain('function-operator');
+    });
+
+    test('should walk arrays with indexed paths', () => {
+      const analysis = createAnalysis({
+        body: { items: [{ id: 1 }, { id: { $in: [1, 2] } }] }
+      });
+
+      const result = nosqliModule.analyze(analysis);
+
+      const inThreat = result.threats.find(threat => threat.pattern === 'in-operator');
+      expect(inThreat.location).toBe('REQUEST_BODY:items[1].id.$in');
+    });
+
+    test('should parse JSON string bodies', () => {
+      const analysis = createAnalysis({
+        body: '{"username":{"$ne":1}}'
+      });
+
+      const result = nosqliModule.analyze(analysis);
+
+      expect(result.threats.find(threat => threat.pattern === 'ne-operator')).toBeDefined();
+    });
+  });
+
+  describe('$where JavaScript Detection', () => {
+    test('should detect time-based JavaScript', () => {
+      const analysis = createAnalysis({
+        body: { $where: 'sleep(5000) || true' }
+      });
+
+      const result = nosqliModule.analyze(analysis);
+      const patterns = result.threats.map(threat => threat.pattern);
+
+      expect(patterns).toContain('where-operator');
+      expect(patterns).toContain('where-sleep');
+      expect(patterns).toContain('where-tautology');
+      expect(result.threats.every(threat => threat.location === 'REQUEST_BODY:$where')).toBe(true);
+    });
+
+    test('should detect document field access', () => {
+      const analysis = createAnalysis({
+        query: { $where: 'this.password.length > 0' }
+      });
+
+      const result = nosqliModule.analyze(analysis);
+
+      expect(result.threats.find(threat => threat.pattern === 'where-this-access')).toBeDefined();
+    });
+  });
+
+  describe('Type Confusion Detection', () => {
+    test('should flag objects passed to string fields', () => {
+      const analysis = createAnalysis({
+        body: { email: { toString: 'x' } }
+      });
+
+      const result = nosqliModule.analyze(analysis);
+
+      const typeThreat = result.threats.find(threat => threat.pattern === 'type-confusion');
+      expect(typeThreat).toBeDefined();
+      expect(typeThreat.location).toBe('REQUEST_BODY:email');
+    });
+
+    test('should respect configured string fields', () => {
+      nosqliModule = new NoSQLiModule({ nosqli: { stringFields: ['sku'] } });
+
+      const result = nosqliModule.analyze(createAnalysis({
+        body: { sku: ['a', 'b'] }
+      }));
+
+      expect(result.threats[0].pattern).toBe('type-confusion');
+      expect(result.threats[0].location).toBe('REQUEST_BODY:sku');
+    });
+
+    test('should reach the default threshold for auth bypass payloads', () => {
+      const result = nosqliModule.analyze(createAnalysis({
+        body: { username: { $ne: null }, password: { $ne: null } }
+      }));
+
+      expect(result.score).toBeGreaterThanOrEqual(10);
+    });
+  });
+
+  describe('Safe Requests', () => {
+    test('should allow normal JSON bodies', () => {
+      const analysis = createAnalysis({
+        query: { page: '2' },
+        body: { username: 'john', password: 'secret', profile: { age: 30 } }
+      });
+
+      expect(nosqliModule.analyze(analysis)).toBeNull();
+    });
+
+    test('should ignore non-JSON string bodies', () => {
+      const analysis = createAnalysis({ body: 'price $ne 5' });
+
+      expect(nosqliModule.analyze(analysis)).toBeNull();
+    });
+  });
+});
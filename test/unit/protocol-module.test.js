@@ -0,0 +1,161 @@
+/**
+ * Unit tests for Protocol Module
+ */
+
+const request = require('supertest');
+const express = require('express');
+const waf = require('../../lib/index');
+const ProtocolModule = require('../../lib/modules/protocol');
+const { createAnalysis: baseAnalysis, patternsFor } = require('../helpers');
+
+describe('Protocol Module', () => {
+  let protocolModule;
+
+  const createAnalysis = (overrides = {}) => baseAnalysis({
+    method: 'GET',
+    url: '/test',
+    rawHeaders: ['Host', 'example.com'],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    protocolModule = new ProtocolModule({});
+  });
+
+  describe('Request Smuggling', () => {
+    test('should detect Content-Length with Transfer-Encoding', () => {
+      const result = protocolModule.analyze(createAnalysis({
+        method: 'POST',
+        rawHeaders: ['Host', 'example.com', 'Content-Length', '6', 'Transfer-Encoding', 'chunked']
+      }));
+
+      expect(result.module).toBe('protocol');
+      expect(patternsFor(result)).toEqual(['cl-te-conflict']);
+    });
+
+    test('should detect duplicated and malformed Content-Length', () => {
+      const result = protocolModule.analyze(createAnalysis({
+        method: 'POST',
+        rawHeaders: ['Content-Length', '6', 'content-length', '+5']
+      }));
+
+      expect(patternsFor(result)).toEqual(['duplicate-content-length', 'malformed-content-length']);
+      expect(result.threats[1].matched).toBe('+5');
+    });
+
+    test('should detect obfuscated Transfer-Encoding', () => {
+      ['xchunked', 'chunked, identityx', 'chunked\t', 'chunked, gzip', 'chunk\u0000ed'].forEach(value => {
+        const result = protocolModule.analyze(createAnalysis({
+          method: 'POST',
+          rawHeaders: ['Transfer-Encoding', value]
+        }));
+        expect(patternsFor(result)).toEqual(['obfuscated-transfer-encoding']);
+      });
+    });
+
+    test('should detect duplicated Transfer-Encoding headers', () => {
+      const result = protocolModule.analyze(createAnalysis({
+        method: 'POST',
+        rawHeaders: ['Transfer-Encoding', 'chunked', 'Transfer-Encoding', 'identity']
+      }));
+
+      expect(patternsFor(result)).toContain('duplicate-transfer-encoding');
+    });
+
+    test('should accept standard framing', () => {
+      const chunked = protocolModule.analyze(createAnalysis({
+        method: 'POST',
+        rawHeaders: ['Transfer-Encoding', 'gzip, Chunked']
+      }));
+      const sized = protocolModule.analyze(createAnalysis({
+        method: 'POST',
+        rawHeaders: ['Content-Length', '42']
+      }));
+
+      expect(chunked).toBeNull();
+      expect(sized).toBeNull();
+    });
+  });
+
+  describe('Request Line and Header Names', () => {
+    test('should detect invalid header names', () => {
+      const result = protocolModule.analyze(createAnalysis({
+        rawHeaders: ['Transfer-Encoding ', 'chunked', 'X Forwarded', '1']
+      }));
+
+      expect(patternsFor(result)).toEqual(['invalid-header-name', 'invalid-header-name']);
+    });
+
+    test('should detect absolute-form targets', () => {
+      const result = protocolModule.analyze(createAnalysis({
+        url: 'http://internal.example.com/admin'
+      }));
+
+      expect(patternsFor(result)).toEqual(['absolute-form-target']);
+
+      protocolModule = new ProtocolModule({ protocol: { allowAbsoluteForm: true } });
+      expect(protocolModule.analyze(createAnalysis({ url: 'http://example.com/' }))).toBeNull();
+    });
+
+    test('should enforce the method allowlist', () => {
+      const trace = protocolModule.analyze(createAnalysis({ method: 'TRACE' }));
+      protocolModule = new ProtocolModule({ protocol: { allowedMethods: ['get', 'post', 'trace'] } });
+      const allowed = protocolModule.analyze(createAnalysis({ method: 'TRACE' }));
+      const put = protocolModule.analyze(createAnalysis({ method: 'PUT' }));
+
+      expect(patternsFor(trace)).toEqual(['method-not-allowed']);
+      expect(allowed).toBeNull();
+      expect(patternsFor(put)).toEqual(['method-not-allowed']);
+    });
+  });
+
+  describe('Middleware Integration', () => {
+    const options = {
+      modules: ['protocol'],
+      threshold: 3,
+      adaptiveLearning: false,
+      anomalyThreshold: 1000 // Disable anomaly scoring for tests
+    };
+
+    test('should capture raw headers and the request target in Express', async () => {
+      const wafMiddleware = waf(options);
+      const app = express();
+      let analysis;
+      app.use((req, res, next) => {
+        analysis = wafMiddleware.analyzeRequest(req);
+        next();
+      });
+      app.get('/test', (req, res) => res.json({ ok: true }));
+
+      await request(app).get('/test?x=1').set('X-Custom', 'a').expect(200);
+
+      expect(analysis.url).toBe('/test?x=1');
+      expect(analysis.rawHeaders).toEqual(expect.arrayContaining(['X-Custom', 'a']));
+    });
+
+    test('should block methods outside the allowlist', async () => {
+      const app = express();
+      app.use(waf(options).middleware());
+      app.all('/test', (req, res) => res.json({ ok: true }));
+
+      await request(app).get('/test').expect(200);
+      await request(app).trace('/test').expect(403);
+    });
+
+    test('should build raw headers for inspect() callers', () => {
+      const decision = waf(options).inspect({
+        method: 'POST',
+        url: '/upload',
+        headers: { 'Content-Length': '10', 'Transfer-Encoding': ['chunked', 'chunked'] }
+      });
+
+      expect(decision.action).toBe('block');
+      expect(decision.analysis.rawHeaders).toEqual([
+        'Content-Length', '10', 'Transfer-Encoding', 'chunked', 'Transfer-Encoding', 'chunked'
+      ]);
+      expect(decision.analysis.threats.map(threat => threat.pattern)).toEqual([
+        'cl-te-conflict', 'duplicate-transfer-encoding'
+      ]);
+    });
+  });
+});
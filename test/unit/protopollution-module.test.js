@@ -0,0 +1,153 @@
+/**
+ * Unit tests for Prototype Pollution Module
+ */
+
+const request = require('supertest');
+const express = require('express');
+const waf = require('../../lib/index');
+const ProtoPollutionModule = require('../../lib/modules/protopollution');
+const { createAnalysis, patternsFor } = require('../helpers');
+
+describe('Prototype Pollution Module', () => {
+  let protoModule;
+
+  beforeEach(() => {
+    protoModule = new ProtoPollutionModule({});
+  });
+
+  describe('JSON Bodies', () => {
+    test('should detect __proto__ keys', () => {
+      const result = protoModule.analyze(createAnalysis({
+        body: JSON.parse('{"user":{"name":"a","__proto__":{"isAdmin":true}}}')
+      }));
+
+      expect(result.module).toBe('protopollution');
+      expect(patternsFor(result)).toEqual(['proto-key']);
+      expect(result.threats[0].location).toBe('REQUEST_BODY:user.__proto__');
+      expect(result.score).toBe(5);
+    });
+
+    test('should detect constructor.prototype chains', () => {
+      const result = protoModule.analyze(createAnalysis({
+        body: { settings: { constructor: { prototype: { polluted: 'yes' } } } }
+      }));
+
+      expect(patternsFor(result)).toEqual(['constructor-prototype']);
+      expect(result.threats[0].location).toBe('REQUEST_BODY:settings.constructor.prototype');
+    });
+
+    test('should parse JSON string bodies', () => {
+      const result = protoModule.analyze(createAnalysis({
+        body: '{"__proto__":{"polluted":true}}'
+      }));
+
+      expect(patternsFor(result)).toEqual(['proto-key']);
+    });
+  });
+
+  describe('Query Strings', () => {
+    test('should detect unparsed bracketed keys', () => {
+      const result = protoModule.analyze(createAnalysis({
+        query: { 'a[__proto__][isAdmin]': 'true', 'b[constructor][prototype][x]': '1' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['proto-key', 'constructor-prototype']);
+      expect(result.threats[0].location).toBe('ARGS:a[__proto__][isAdmin]');
+    });
+
+    test('should detect keys in urlencoded string bodies', () => {
+      const result = protoModule.analyze(createAnalysis({
+        body: 'name=x&__proto__.polluted=1'
+      }));
+
+      expect(patternsFor(result)).toEqual(['proto-key']);
+    });
+
+    test('should detect a bare __proto__ key in urlencoded string bodies', () => {
+      const result = protoModule.analyze(createAnalysis({
+        body: 'name=x&__proto__=1'
+      }));
+
+      expect(patternsFor(result)).toEqual(['proto-key']);
+      expect(result.threats[0].location).toBe('REQUEST_BODY:__proto__');
+    });
+  });
+
+  describe('Sanitize Mode', () => {
+    test('should remove keys in place without scoring', () => {
+      protoModule = new ProtoPollutionModule({ protopollution: { mode: 'sanitize' } });
+      const body = JSON.parse('{"name":"a","__proto__":{"isAdmin":true}}');
+
+      const result = protoModule.analyze(createAnalysis({ body }));
+
+      expect(result.score).toBe(0);
+      expect(result.threats[0].sanitized).toBe(true);
+      expect(Object.keys(body)).toEqual(['name']);
+    });
+
+    test('should score keys in string bodies it cannot remove them from', () => {
+      protoModule = new ProtoPollutionModule({ protopollution: { mode: 'sanitize' } });
+      const body = '{"name":"a","__proto__":{"isAdmin":true}}';
+
+      const result = protoModule.analyze(createAnalysis({ body }));
+
+      expect(result.score).toBe(5);
+      expect(result.threats[0].sanitized).toBe(false);
+      expect(result.threats[0].description).toBe('__proto__ key');
+    });
+
+    test('should hand sanitized bodies to Express routes', async () => {
+      const app = express();
+      app.use(express.json());
+      app.use(waf({
+        modules: ['protopollution'],
+        protopollution: { mode: 'sanitize' },
+        threshold: 5,
+        adaptiveLearning: false,
+        anomalyThreshold: 1000
+      }).middleware());
+      app.post('/api/profile', (req, res) => {
+        res.json({ keys: Object.keys(req.body) });
+      });
+
+      const response = await request(app)
+        .post('/api/profile')
+        .set('Content-Type', 'application/json')
+        .send('{"name":"a","__proto__":{"isAdmin":true}}')
+        .expect(200);
+
+      expect(response.body.keys).toEqual(['name']);
+    });
+
+    test('should block in default mode', async () => {
+      const app = express();
+      app.use(express.json());
+      app.use(waf({
+        modules: ['protopollution'],
+        threshold: 5,
+        adaptiveLearning: false,
+        anomalyThreshold: 1000
+      }).middleware());
+      app.post('/api/profile', (req, res) => res.json({ ok: true }));
+
+      const response = await request(app)
+        .post('/api/profile')
+        .set('Content-Type', 'application/json')
+        .send('{"name":"a","__proto__":{"isAdmin":true}}')
+        .expect(403);
+
+      expect(response.body.threats).toContain('__proto__ key');
+    });
+  });
+
+  describe('Safe Requests', () => {
+    test('should allow ordinary keys', () => {
+      const result = protoModule.analyze(createAnalysis({
+        query: { 'filter[name]': 'proto', sort: 'constructor' },
+        body: { prototypeId: 4, description: 'constructor prototype pattern' }
+      }));
+
+      expect(result).toBeNull();
+    });
+  });
+});
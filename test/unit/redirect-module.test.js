@@ -0,0 +1,119 @@
+/**
+ * Unit tests for Open Redirect Module
+ */
+
+const request = require('supertest');
+const express = require('express');
+const waf = require('../../lib/index');
+const RedirectModule = require('../../lib/modules/redirect');
+const { createAnalysis: baseAnalysis, patternsFor } = require('../helpers');
+
+describe('Redirect Module', () => {
+  let redirectModule;
+
+  // Destinations are compared with the host the request was sent to
+  const createAnalysis = (overrides = {}) => baseAnalysis({ headers: { host: 'app.example.com' }, ...overrides });
+
+  beforeEach(() => {
+    redirectModule = new RedirectModule({ allowedDomains: ['example.com', '.example.org'] });
+  });
+
+  describe('Foreign Hosts', () => {
+    test('should flag absolute URLs to foreign hosts', () => {
+      const result = redirectModule.analyze(createAnalysis({
+        query: { next: 'https://evil.com/phish' }
+      }));
+
+      expect(result.module).toBe('redirect');
+      expect(patternsFor(result)).toEqual(['foreign-host-redirect']);
+      expect(result.threats[0].location).toBe('ARGS:next');
+    });
+
+    test('should flag protocol-relative and backslash tricks', () => {
+      const result = redirectModule.analyze(createAnalysis({
+        query: {
+          returnUrl: '//evil.com',
+          redirect: '/\\evil.com',
+          goto: '%2F%2Fevil.com',
+          continue: '\\/evil.com',
+          dest: 'https:\\\\evil.com'
+        }
+      }));
+
+      expect(patternsFor(result)).toEqual([
+        'protocol-relative-redirect',
+        'backslash-redirect',
+        'protocol-relative-redirect',
+        'backslash-redirect',
+        'backslash-redirect'
+      ]);
+    });
+
+    test('should ignore leading control characters and spaces', () => {
+      const result = redirectModule.analyze(createAnalysis({
+        query: { next: '%01%1F %0A//evil.com' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['protocol-relative-redirect']);
+    });
+
+    test('should resolve userinfo tricks to the real host', () => {
+      const result = redirectModule.analyze(createAnalysis({
+        body: { url: 'https://example.com@evil.com/' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['foreign-host-redirect']);
+      expect(result.threats[0].location).toBe('REQUEST_BODY:url');
+    });
+
+    test('should flag javascript and data URIs', () => {
+      const result = redirectModule.analyze(createAnalysis({
+        query: { next: ' java\tscript:alert(1)', url: 'data:text/html;base64,PHNjcmlwdD4=' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['javascript-uri', 'data-uri']);
+    });
+  });
+
+  describe('Safe Redirects', () => {
+    test('should allow relative paths, our own host and allowlisted domains', () => {
+      const result = redirectModule.analyze(createAnalysis({
+        query: {
+          next: '/dashboard?tab=1',
+          returnUrl: 'https://app.example.com:443/home',
+          redirect: 'https://example.com/',
+          goto: '//cdn.example.org/file',
+          search: 'https://evil.com'
+        }
+      }));
+
+      expect(result).toBeNull();
+    });
+
+    test('should use the configurable parameter list', () => {
+      redirectModule = new RedirectModule({ redirect: { parameters: ['backTo'] } });
+
+      const result = redirectModule.analyze(createAnalysis({
+        query: { next: '//evil.com', backto: '//evil.com' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['protocol-relative-redirect']);
+      expect(result.threats[0].location).toBe('ARGS:backto');
+    });
+
+    test('should read allowedDomains alongside skipPaths through Express', async () => {
+      const app = express();
+      app.use(waf({
+        modules: ['redirect'],
+        threshold: 5,
+        allowedDomains: ['trusted.example'],
+        adaptiveLearning: false,
+        anomalyThreshold: 1000 // Disable anomaly scoring for tests
+      }).middleware());
+      app.get('/login', (req, res) => res.json({ next: req.query.next }));
+
+      await request(app).get('/login?next=https://trusted.example/home').expect(200);
+      await request(app).get('/login?next=https://evil.example/home').expect(403);
+    });
+  });
+});
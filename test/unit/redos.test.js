@@ -0,0 +1,197 @@
+/**
+ * Unit tests for ReDoS protection
+ */
+
+const request = require('supertest');
+const express = require('express');
+const waf = require('../../lib/index');
+const ReDoSAnalyzer = require('../../lib/core/redos-analyzer');
+const RuleManager = require('../../lib/core/rule-manager');
+const RuleEngine = require('../../lib/core/rule-engine');
+
+describe('ReDoS Protection', () => {
+  const typesFor = (pattern) => new ReDoSAnalyzer().analyze(pattern).issues.map(issue => issue.type);
+
+  const unsafeRule = {
+    id: 'custom-unsafe',
+    name: 'Unsafe Rule',
+    category: 'custom',
+    pattern: '(a+)+$',
+    score: 3
+  };
+
+  describe('Static Analyzer', () => {
+    test('should flag nested quantifiers', () => {
+      expect(typesFor('(a+)+$')).toEqual(['nested-quantifier']);
+      expect(typesFor(/^(\w+\s?)*$/)).toEqual(['nested-quantifier']);
+      expect(typesFor('(?:[a-z]+,?){2,}')).toEqual(['nested-quantifier']);
+    });
+
+    test('should flag overlapping alternation', () => {
+      expect(typesFor('(a|a)*')).toEqual(['overlapping-alternation']);
+      expect(typesFor('(\\w|\\d)+$')).toEqual(['overlapping-alternation']);
+      expect(typesFor('(ab|abc)+d')).toEqual(['overlapping-alternation']);
+    });
+
+    test('should flag adjacent overlapping quantifiers', () => {
+      expect(typesFor('\\d+\\d+x')).toEqual(['adjacent-quantifiers']);
+      expect(typesFor('=.*.*;')).toEqual(['adjacent-quantifiers']);
+    });
+
+    test('should accept the built-in rule patterns', () => {
+      const ruleManager = new RuleManager({});
+
+      ruleManager.getEnabledRules().forEach(rule => {
+        expect(typesFor(rule.pattern)).toEqual([]);
+      });
+    });
+
+    test('should accept safe quantified groups', () => {
+      expect(typesFor('(on|off)+')).toEqual([]);
+      expect(typesFor('(\\s|,)+')).toEqual([]);
+      expect(typesFor('[a-z]{1,5}(b{1,3})+')).toEqual([]);
+    });
+  });
+
+  describe('Rule Manager', () => {
+    test('should reject unsafe custom rules by default', () => {
+      const ruleManager = new RuleManager({});
+
+      expect(() => ruleManager.addCustomRule({ ...unsafeRule })).toThrow('catastrophic backtracking');
+      expect(ruleManager.getRule('custom-unsafe')).toBeUndefined();
+    });
+
+    test('should skip unsafe rules in bulk imports', () => {
+      const ruleManager = new RuleManager({});
+
+      ruleManager.addRules([{ ...unsafeRule }, { ...unsafeRule, id: 'custom-safe', pattern: 'evil' }], 'imported');
+
+      expect(ruleManager.getRule('custom-unsafe')).toBeUndefined();
+      expect(ruleManager.getRule('custom-safe')).toBeDefined();
+    });
+
+    test('should accept unsafe rules with warnings in warn mode', () => {
+      const ruleManager = new RuleManager({ redos: { mode: 'warn' } });
+
+      const rule = ruleManager.addCustomRule({ ...unsafeRule });
+
+      expect(rule.redosWarnings[0].type).toBe('nested-quantifier');
+      expect(ruleManager.getRule('custom-unsafe')).toBeDefined();
+    });
+
+    test('should check patterns on update without modifying the rule', () => {
+      const ruleManager = new RuleManager({});
+      ruleManager.addCustomRule({ ...unsafeRule, pattern: 'safe' });
+
+      expect(() => ruleManager.updateCustomRule('custom-unsafe', { pattern: '(x*)*y' })).toThrow('catastrophic backtracking');
+      expect(ruleManager.getRule('custom-unsafe').pattern.source).toBe('safe');
+    });
+  });
+
+  describe('Admin API', () => {
+    const createApp = (redos) => {
+      const app = express();
+      app.use(waf({
+        modules: ['xss', 'sqli'],
+        threshold: 3,
+        adaptiveLearning: false,
+        anomalyThreshold: 1000,
+        redos
+      }).adminRouter());
+      return app;
+    };
+
+    test('should reject unsafe rules', async () => {
+      const response = await request(createApp())
+        .post('/waf/rules')
+        .send(unsafeRule)
+        .expect(400);
+
+      expect(response.body.error).toContain('catastrophic backtracking');
+    });
+
+    test('should return warnings in warn mode', async () => {
+      const response = await request(createApp({ mode: 'warn' }))
+        .post('/waf/rules')
+        .send(unsafeRule)
+        .expect(201);
+
+      expect(response.body.warnings.map(warning => warning.type)).toEqual(['nested-quantifier']);
+    });
+  });
+
+  describe('Request Guard', () => {
+    test('should cap the input each rule is tested against', () => {
+      const ruleEngine = new RuleEngine({ modules: [], threshold: 3, redos: { maxInputLength: 20 } });
+      const rule = { id: 'needle', pattern: /needle/gi, score: 3 };
+      const analysis = { path: '/', query: { q: `${'a'.repeat(30)}needle` }, body: null, headers: {}, cookies: {} };
+
+      expect(ruleEngine.evaluateRule(rule, analysis)).toBe(false);
+      analysis.query.q = 'needle';
+      expect(ruleEngine.evaluateRule(rule, analysis)).toBe(true);
+    });
+
+    test('should only report slow rules unless auto-disable is enabled', () => {
+      const ruleManager = new RuleManager({});
+      const ruleEngine = new RuleEngine({ modules: [], threshold: 3, redos: { ruleTimeBudget: 0.000001, maxSlowEvaluations: 1 } });
+      ruleEngine.setRuleManager(ruleManager);
+      const slow = jest.fn();
+      ruleEngine.on('rule-slow', slow);
+
+      ruleEngine.evaluate({ path: '/', query: { q: 'hello' }, body: null, headers: {}, cookies: {}, score: 0 });
+
+      expect(slow).toHaveBeenCalledWith(expect.objectContaining({ rule: 'xss-script-tag', count: 1 }));
+      expect(ruleEngine.getRules().length).toBe(ruleManager.getEnabledRules().length);
+    });
+
+    test('should disable rules that keep exceeding the time budget when opted in', () => {
+      const ruleManager = new RuleManager({});
+      const ruleEngine = new RuleEngine({
+        modules: [],
+        threshold: 3,
+        redos: { ruleTimeBudget: 0.000001, maxSlowEvaluations: 2, autoDisable: true }
+      });
+      ruleEngine.setRuleManager(ruleManager);
+      ruleManager.addExclusion({ id: 'search', tags: 'xss', targets: 'ARGS:q' });
+      const disabled = jest.fn();
+      ruleEngine.on('rule-disabled', disabled);
+      const analysis = { path: '/', query: { q: '<script>x</script>' }, body: null, headers: {}, cookies: {}, score: 0 };
+
+      // The excluded rule runs twice in this request but counts once
+      ruleEngine.evaluate(analysis);
+      expect(ruleEngine.getRules().length).toBe(ruleManager.getEnabledRules().length);
+      expect(disabled).not.toHaveBeenCalled();
+
+      const version = ruleManager.version;
+      ruleEngine.evaluate(analysis);
+      expect(ruleEngine.getRules()).toEqual([]);
+      expect(ruleManager.version).toBeGreaterThan(version);
+      expect(ruleManager.getRule('xss-script-tag').enabled).toBe(false);
+      expect(ruleManager.getRule('xss-script-tag').disabledReason).toContain('time budget');
+      expect(disabled).toHaveBeenCalledWith(expect.objectContaining({ rule: 'xss-script-tag' }));
+
+      ruleManager.toggleRule('xss-script-tag', true);
+      expect(ruleManager.getRule('xss-script-tag').disabledReason).toBeUndefined();
+    });
+
+    test('should report disabled rules in the admin API logs', async () => {
+      const instance = waf({
+        modules: [],
+        threshold: 3,
+        adaptiveLearning: false,
+        anomalyThreshold: 1000,
+        redos: { ruleTimeBudget: 0.000001, maxSlowEvaluations: 1, autoDisable: true }
+      });
+      const disabled = jest.fn();
+      instance.on('rule-disabled', disabled);
+      instance.inspect({ url: '/?q=hello' });
+
+      const app = express();
+      app.use(instance.adminRouter());
+      const response = await request(app).get('/waf/logs').expect(200);
+
+      expect(disabled).toHaveBeenCalled();
+      expect(response.body.logs.map(entry => entry.message)).toContain('Rule disabled: xss-script-tag');
+    });
+  });
+});
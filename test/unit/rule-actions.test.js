@@ -0,0 +1,177 @@
+/**
+ * Unit tests for per-rule actions
+ */
+
+const request = require('supertest');
+const express = require('express');
+const waf = require('../../lib/index');
+const SecRuleParser = require('../../lib/core/secrule-parser');
+const RuleEngine = require('../../lib/core/rule-engine');
+const RuleManager = require('../../lib/core/rule-manager');
+
+describe('Rule Actions', () => {
+  let ruleManager;
+  let ruleEngine;
+
+  const createAnalysis = (overrides = {}) => ({
+    path: '/test',
+    method: 'GET',
+    ip: '203.0.113.7',
+    query: {},
+    body: null,
+    headers: {},
+    cookies: {},
+    score: 0,
+    threats: [],
+    modules: [],
+    ...overrides
+  });
+
+  const rule = (id, pattern, action, score = 1) => ({
+    id,
+    name: `Rule ${id}`,
+    category: 'custom',
+    score,
+    targets: 'ARGS:q',
+    pattern,
+    action
+  });
+
+  beforeEach(() => {
+    const config = { modules: [], threshold: 10 };
+    ruleManager = new RuleManager(config);
+    ruleEngine = new RuleEngine(config);
+    ruleEngine.setRuleManager(ruleManager);
+  });
+
+  describe('Validation', () => {
+    test('should fill in defaults and reject invalid actions', () => {
+      ruleManager.addCustomRule(rule('deny', 'x', 'deny'));
+      ruleManager.addCustomRule(rule('tag', 'x', { type: 'tag', tags: 'suspicious' }));
+
+      expect(ruleManager.getRule('deny').action).toEqual({ type: 'deny', status: 403 });
+      expect(ruleManager.getRule('tag').action).toEqual({ type: 'tag', tags: ['suspicious'] });
+
+      expect(() => ruleManager.validateRule(rule('bad', 'x', 'drop')))
+        .toThrow('action.type: unknown action "drop" (expected one of deny, redirect, challenge, tag, log, allow)');
+      expect(() => ruleManager.validateRule(rule('bad', 'x', { type: 'deny', status: 200 })))
+        .toThrow('action: status must be an HTTP error status (400-599)');
+      expect(() => ruleManager.validateRule(rule('bad', 'x', { type: 'redirect' })))
+        .toThrow('action: url is required');
+    });
+  });
+
+  describe('Rule Engine', () => {
+    test('should apply actions in priority order', () => {
+      ruleManager.addCustomRule(rule('to-login', 'login', { type: 'redirect', url: '/login' }));
+      ruleManager.addCustomRule(rule('gone', 'gone', { type: 'deny', status: 410 }));
+      ruleManager.addCustomRule(rule('partner', 'partner', 'allow', 20));
+
+      const evaluate = q => ruleEngine.evaluate(createAnalysis({ query: { q } }));
+
+      expect(evaluate('login')).toEqual(expect.objectContaining({
+        action: 'redirect', status: 302, redirectUrl: '/login', reason: 'Redirected by rule to-login'
+      }));
+      expect(evaluate('login gone')).toEqual(expect.objectContaining({
+        action: 'block', status: 410, reason: 'Denied by rule gone'
+      }));
+      expect(evaluate('partner login gone')).toEqual(expect.objectContaining({
+        action: 'allow', reason: 'Allowed by rule partner'
+      }));
+    });
+
+    test('should let allow rules override the score threshold', () => {
+      ruleManager.addCustomRule(rule('partner', 'partner', 'allow'));
+
+      const decision = ruleEngine.evaluate(createAnalysis({ score: 50, query: { q: 'partner' } }));
+
+      expect(decision.action).toBe('allow');
+      expect(ruleEngine.evaluate(createAnalysis({ score: 50 })).action).toBe('block');
+    });
+
+    test('should rank the score threshold between deny and redirect', () => {
+      ruleManager.addCustomRule(rule('to-login', 'login', { type: 'redirect', url: '/login' }, 10));
+
+      const decision = ruleEngine.evaluate(createAnalysis({ query: { q: 'login' } }));
+
+      expect(decision.action).toBe('block');
+      expect(decision.reason).toBe('Threat score 10 exceeds threshold 10');
+    });
+
+    test('should not score log-only rules and should collect tags', () => {
+      ruleManager.addCustomRule(rule('audit', 'audit', 'log', 50));
+      ruleManager.addCustomRule(rule('bot', 'bot', { type: 'tag', tags: ['bot', 'review'] }));
+      ruleManager.addCustomRule(rule('crawler', 'crawler', { type: 'tag', tags: 'bot' }));
+
+      const decision = ruleEngine.evaluate(createAnalysis({ query: { q: 'audit bot crawler' } }));
+
+      expect(decision.action).toBe('allow');
+      expect(decision.score).toBe(2);
+      expect(decision.tags).toEqual(['bot', 'review']);
+      expect(decision.matchedRules.map(entry => entry.id)).toEqual(['audit', 'bot', 'crawler']);
+    });
+  });
+
+  describe('SecRule import', () => {
+    test('should map deny, status, redirect and allow', () => {
+      const { rules } = new SecRuleParser({}).parse([
+        'SecRule REQUEST_FILENAME "@streq /old" "id:1,phase:1,redirect:/new"',
+        'SecRule REQUEST_FILENAME "@streq /private" "id:2,phase:1,deny,status:404"',
+        'SecRule REQUEST_HEADERS:X-Partner "@streq yes" "id:3,phase:1,allow"',
+        'SecRule ARGS "@rx x" "id:4,phase:2,block"'
+      ].join('\n'));
+
+      expect(rules.map(entry => entry.action)).toEqual([
+        { type: 'redirect', url: '/new' },
+        { type: 'deny', status: 404 },
+        'allow',
+        undefined
+      ]);
+    });
+  });
+
+  describe('Express', () => {
+    let app;
+    let instance;
+
+    beforeEach(() => {
+      app = express();
+      instance = waf({
+        modules: ['xss'],
+        threshold: 5,
+        adaptiveLearning: false,
+        anomalyThreshold: 1000, // Disable anomaly scoring for tests
+        customRules: [
+          { ...rule('legacy', '^/old-admin', { type: 'redirect', url: '/admin', status: 301 }), targets: 'REQUEST_FILENAME' },
+          { ...rule('hidden', '^/internal', { type: 'deny', status: 404 }), targets: 'REQUEST_FILENAME' },
+          { ...rule('slow-down', 'scraper', { type: 'challenge' }), targets: 'REQUEST_HEADERS:User-Agent' },
+          { ...rule('cms', '^/cms/', 'allow'), targets: 'REQUEST_FILENAME' },
+          { ...rule('beta', 'beta', { type: 'tag', tags: 'beta-user' }), targets: 'REQUEST_HEADERS:X-Plan' }
+        ]
+      });
+      app.use(instance.middleware());
+      app.get('*', (req, res) => res.json({ tags: req.wafTags }));
+    });
+
+    test('should honor deny status, redirect and challenge actions', async () => {
+      const challenged = jest.fn();
+      instance.on('request-challenged', challenged);
+
+      await request(app).get('/internal/metrics').expect(404);
+      const redirect = await request(app).get('/old-admin/users').expect(301);
+      expect(redirect.headers.location).toBe('/admin');
+
+      const response = await request(app).get('/').set('User-Agent', 'scraper/1.0').expect(429);
+      expect(response.body.error).toBe('Challenge required by WAF');
+      expect(challenged).toHaveBeenCalledTimes(1);
+    });
+
+    test('should allow whitelisted routes and pass tags downstream', async () => {
+      await request(app).get('/search?q=<script>alert(1)</script>').expect(403);
+      await request(app).get('/cms/preview?q=<script>alert(1)</script>').expect(200);
+
+      const response = await request(app).get('/').set('X-Plan', 'beta').expect(200);
+      expect(response.body.tags).toEqual(['beta-user']);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Unit tests for declarative rule conditions
+ */
+
+const request = require('supertest');
+const express = require('express');
+const waf = require('../../lib/index');
+const Transformer = require('../../lib/core/transformer');
+const TargetExtractor = require('../../lib/core/target-extractor');
+const RuleConditions = require('../../lib/core/rule-conditions');
+const RuleEngine = require('../../lib/core/rule-engine');
+const RuleManager = require('../../lib/core/rule-manager');
+
+describe('Rule Conditions', () => {
+  let conditions;
+
+  const createAnalysis = (overrides = {}) => ({
+    path: '/test',
+    method: 'GET',
+    ip: '203.0.113.7',
+    query: {},
+    body: null,
+    headers: {},
+    cookies: {},
+    score: 0,
+    threats: [],
+    modules: [],
+    ...overrides
+  });
+
+  const matches = (condition, analysis) => {
+    const targets = new TargetExtractor({}).extract(createAnalysis(analysis));
+    return conditions.evaluate(condition, targets, new Transformer({}).forRequest()).matched;
+  };
+
+  beforeEach(() => {
+    conditions = new RuleConditions({});
+  });
+
+  describe('Operators', () => {
+    test('should compare strings and phrase lists', () => {
+      expect(matches({ targets: 'REQUEST_METHOD', operator: 'equals', value: 'POST' }, { method: 'POST' })).toBe(true);
+      expect(matches({ targets: 'REQUEST_METHOD', operator: 'equals', value: 'POST' }, {})).toBe(false);
+      expect(matches({ targets: 'ARGS:q', operator: 'contains', value: '../' }, { query: { q: 'a/../b' } })).toBe(true);
+      expect(matches({ targets: 'REQUEST_HEADERS:User-Agent', operator: 'pm', value: 'sqlmap nikto' },
+        { headers: { 'user-agent': 'Nikto/2.5' } })).toBe(true);
+      expect(matches({ operator: 'rx', value: '^/admin', targets: ['REQUEST_FILENAME'] }, { path: '/admin/users' })).toBe(true);
+    });
+
+    test('should match IPv4 and IPv6 addresses against CIDR ranges', () => {
+      const internal = { targets: 'REMOTE_ADDR', operator: 'ipMatch', value: ['10.0.0.0/8', '2001:db8::/32', '192.168.1.5'] };
+
+      expect(matches(internal, { ip: '10.20.30.40' })).toBe(true);
+      expect(matches(internal, { ip: '::ffff:10.1.2.3' })).toBe(true);
+      expect(matches(internal, { ip: '2001:db8:1::9' })).toBe(true);
+      expect(matches(internal, { ip: '192.168.1.5' })).toBe(true);
+      expect(matches(internal, { ip: '192.168.1.6' })).toBe(false);
+      expect(matches(internal, { ip: '2001:db9::1' })).toBe(false);
+    });
+
+    test('should compare numbers, lengths and existence', () => {
+      expect(matches({ targets: 'ARGS:limit', operator: 'gt', value: 100 }, { query: { limit: '500' } })).toBe(true);
+      expect(matches({ targets: 'ARGS:limit', operator: 'gt', value: 100 }, { query: { limit: 'many' } })).toBe(false);
+      expect(matches({ targets: 'ARGS:limit', operator: 'le', value: 100 }, { query: { limit: '100' } })).toBe(true);
+      expect(matches({ targets: 'ARGS', operator: 'length', value: { gt: 10 } }, { query: { q: 'x'.repeat(11) } })).toBe(true);
+      expect(matches({ targets: 'ARGS', operator: 'length', value: { ge: 2, le: 4 } }, { query: { q: 'x' } })).toBe(false);
+      expect(matches({ targets: 'REQUEST_HEADERS:Authorization', operator: 'exists' }, { headers: { authorization: 'Bearer x' } })).toBe(true);
+      expect(matches({ targets: 'REQUEST_HEADERS:Authorization', operator: 'exists' }, {})).toBe(false);
+    });
+
+    test('should apply transforms before comparing', () => {
+      const condition = { targets: 'ARGS:file', operator: 'contains', value: '../', transforms: ['urlDecode'] };
+
+      expect(matches(condition, { query: { file: '..%2fetc' } })).toBe(true);
+    });
+  });
+
+  describe('Groups and Negation', () => {
+    const adminFromOutside = {
+      all: [
+        { targets: 'REQUEST_FILENAME', operator: 'rx', value: '^/admin' },
+        { targets: 'REMOTE_ADDR', operator: 'ipMatch', value: '10.0.0.0/8', negate: true },
+        {
+          any: [
+            { targets: 'REQUEST_METHOD', operator: 'equals', value: 'POST' },
+            { targets: 'REQUEST_METHOD', operator: 'equals', value: 'DELETE' }
+          ]
+        }
+      ]
+    };
+
+    test('should combine all, any and negated conditions', () => {
+      expect(matches(adminFromOutside, { path: '/admin/users', method: 'DELETE' })).toBe(true);
+      expect(matches(adminFromOutside, { path: '/admin/users', method: 'GET' })).toBe(false);
+      expect(matches(adminFromOutside, { path: '/admin/users', method: 'POST', ip: '10.0.0.8' })).toBe(false);
+      expect(matches(adminFromOutside, { path: '/public', method: 'POST' })).toBe(false);
+    });
+
+    test('should negate groups and report the location of the first positive match', () => {
+      const targets = new TargetExtractor({}).extract(createAnalysis({ path: '/admin', method: 'POST' }));
+      const result = conditions.evaluate(adminFromOutside, targets, new Transformer({}).forRequest());
+
+      expect(result.target.location).toBe('REQUEST_FILENAME');
+      expect(matches({ negate: true, any: [{ targets: 'REQUEST_METHOD', operator: 'equals', value: 'GET' }] }, {})).toBe(false);
+    });
+
+    test('should keep request metadata out of rules without targets', () => {
+      expect(matches({ operator: 'equals', value: 'GET' }, {})).toBe(false);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should report every problem with its path', () => {
+      const ruleManager = new RuleManager({});
+
+      expect(() => ruleManager.validateRule({
+        id: 'bad',
+        name: 'Bad',
+        category: 'custom',
+        score: '5',
+        conditions: {
+          all: [
+            { targets: 'ARGS:limit', operator: 'greater', value: 5 },
+            { targets: 'PARAMS', operator: 'ipMatch', value: '10.0.0.0/33' },
+            { any: [] }
+          ]
+        }
+      })).toThrow('Invalid rule bad: score must be a number; ' +
+        'conditions.all[0].operator: unknown operator "greater" (expected one of rx, equals, contains, pm, ipMatch, eq, gt, ge, lt, le, length, exists); ' +
+        'conditions.all[1].value: invalid IP address or CIDR range "10.0.0.0/33"; ' +
+        'conditions.all[1].targets: Unknown target: PARAMS; ' +
+        'conditions.all[2].any: must be a non-empty array of conditions');
+    });
+
+    test('should require a pattern or conditions', () => {
+      const ruleManager = new RuleManager({});
+
+      expect(() => ruleManager.validateRule({ id: 'x', name: 'X', category: 'custom', score: 1 }))
+        .toThrow('Invalid rule x: pattern or conditions is required');
+      expect(() => ruleManager.validateRule({ id: 'x', name: 'X', category: 'custom', score: 1, pattern: '(' }))
+        .toThrow(/pattern: invalid regex/);
+      expect(ruleManager.validateRule({
+        id: 'x', name: 'X', category: 'custom', score: 1, conditions: { operator: 'gt', targets: 'ARGS', value: 5 }
+      })).toBe(true);
+    });
+
+    test('should check condition regexes for catastrophic backtracking', () => {
+      const ruleManager = new RuleManager({});
+
+      expect(() => ruleManager.addCustomRule({
+        id: 'slow', name: 'Slow', category: 'custom', score: 1, conditions: { operator: 'rx', value: '(a+)+$' }
+      })).toThrow('catastrophic backtracking');
+    });
+  });
+
+  describe('Rule Engine', () => {
+    test('should evaluate condition rules added at runtime', () => {
+      const config = { modules: [] };
+      const ruleManager = new RuleManager(config);
+      const ruleEngine = new RuleEngine(config);
+      ruleEngine.setRuleManager(ruleManager);
+
+      ruleManager.addCustomRule({
+        id: 'big-page',
+        name: 'Oversized page size',
+        category: 'custom',
+        score: 4,
+        conditions: { targets: 'ARGS:limit', operator: 'gt', value: 1000 }
+      });
+
+      const decision = ruleEngine.evaluate(createAnalysis({ query: { limit: '5000' } }));
+      const rule = decision.matchedRules.find(entry => entry.id === 'big-page');
+
+      expect(rule.location).toBe('ARGS:limit');
+      expect(decision.score).toBe(4);
+    });
+
+    test('should block through Express and reject invalid rules through the API', async () => {
+      const app = express();
+      const instance = waf({
+        modules: [],
+        threshold: 5,
+        adaptiveLearning: false,
+        anomalyThreshold: 1000, // Disable anomaly scoring for tests
+        customRules: [{
+          id: 'no-user-agent',
+          name: 'Missing User-Agent on writes',
+          category: 'custom',
+          score: 5,
+          conditions: {
+            all: [
+              { targets: 'REQUEST_METHOD', operator: 'equals', value: 'POST' },
+              { targets: 'REQUEST_HEADERS:User-Agent', operator: 'exists', negate: true }
+            ]
+          }
+        }]
+      });
+      app.use(instance.adminRouter());
+      app.use(instance.middleware());
+      app.post('/orders', (req, res) => res.json({ ok: true }));
+
+      await request(app).post('/orders').set('User-Agent', 'shop-client/1.0').expect(200);
+      await request(app).post('/orders').unset('User-Agent').expect(403);
+
+      const response = await request(app)
+        .post('/waf/rules')
+        .send({ id: 'broken', name: 'Broken', category: 'custom', score: 1, conditions: { all: [{ operator: 'between' }] } })
+        .expect(400);
+      expect(response.body.error).toContain('conditions.all[0].operator: unknown operator "between"');
+    });
+  });
+});
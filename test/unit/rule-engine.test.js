@@ -26,6 +26,15 @@ describe('Rule Engine', () => {
       expect(sqliRules.length).toBeGreaterThan(0);
     });
 
+    test('should load optional security modules', () => {
+      const engine = new RuleEngine({
+        modules: ['xss', 'sqli', 'nosqli'],
+        threshold: 3
+      });
+      
+      expect(engine.getModule('nosqli')).toBeDefined();
+    });
+
     test('should add custom rules', () => {
       const customRule = {
         id: 'custom-test',
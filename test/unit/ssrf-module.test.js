@@ -0,0 +1,206 @@
+/**
+ * Unit tests for SSRF Module
+ */
+
+const SSRFModule = require('../../lib/modules/ssrf');
+const { createAnalysis, patternsFor } = require('../helpers');
+
+describe('SSRF Module', () => {
+  let ssrfModule;
+
+  beforeEach(() => {
+    ssrfModule = new SSRFModule({});
+  });
+
+  describe('Internal Addresses', () => {
+    test('should detect loopback webhook URLs', () => {
+      const result = ssrfModule.analyze(createAnalysis({
+        body: { webhookUrl: 'http://127.0.0.1:8080/admin' }
+      }));
+
+      expect(result.module).toBe('ssrf');
+      expect(patternsFor(result)).toEqual(['loopback-address']);
+      expect(result.threats[0].location).toBe('REQUEST_BODY:webhookUrl');
+    });
+
+    test('should detect private ranges', () => {
+      ['http://10.1.2.3/', 'http://172.20.0.5/', 'http://192.168.1.1/'].forEach(url => {
+        const result = ssrfModule.analyze(createAnalysis({ query: { url } }));
+        expect(patternsFor(result)).toContain('private-address');
+      });
+    });
+
+    test('should not flag public addresses', () => {
+      const result = ssrfModule.analyze(createAnalysis({
+        query: { url: 'https://172.32.0.1/hook' }
+      }));
+
+      expect(result).toBeNull();
+    });
+
+    test('should detect internal hostnames in bare named parameters', () => {
+      const result = ssrfModule.analyze(createAnalysis({
+        query: { host: 'localhost:6379' }
+      }));
+
+      expect(patternsFor(result)).toContain('internal-hostname');
+    });
+
+    test('should detect IPv6 loopback and link-local', () => {
+      const loopback = ssrfModule.analyze(createAnalysis({ query: { url: 'http://[::1]/' } }));
+      const linkLocal = ssrfModule.analyze(createAnalysis({ query: { url: 'http://[fe80::1]/' } }));
+      const mapped = ssrfModule.analyze(createAnalysis({ query: { url: 'http://[::ffff:7f00:1]/' } }));
+
+      expect(patternsFor(loopback)).toContain('loopback-address');
+      expect(patternsFor(linkLocal)).toContain('link-local-address');
+      expect(patternsFor(mapped)).toContain('loopback-address');
+    });
+  });
+
+  describe('Cloud Metadata', () => {
+    test('should detect AWS metadata address', () => {
+      const result = ssrfModule.analyze(createAnalysis({
+        body: { image: 'http://169.254.169.254/latest/meta-data/' }
+      }));
+
+      expect(patternsFor(result)).toContain('link-local-address');
+      expect(patternsFor(result)).toContain('cloud-metadata');
+      expect(result.score).toBeGreaterThanOrEqual(10);
+    });
+
+    test('should detect IPv6 metadata address', () => {
+      const result = ssrfModule.analyze(createAnalysis({
+        query: { url: 'http://[fd00:ec2::254]/latest/' }
+      }));
+
+      expect(patternsFor(result)).toContain('cloud-metadata');
+    });
+
+    test('should detect metadata hostnames', () => {
+      const result = ssrfModule.analyze(createAnalysis({
+        query: { url: 'http://metadata.google.internal/computeMetadata/v1/' }
+      }));
+
+      expect(patternsFor(result)).toContain('cloud-metadata');
+    });
+  });
+
+  describe('Encoded IP Addresses', () => {
+    test('should decode decimal, octal and hex forms', () => {
+      ['http://2130706433/', 'http://0177.0.0.1/', 'http://0x7f000001/', 'http://0x7f.0.0.1/', 'http://127.1/']
+        .forEach(url => {
+          const result = ssrfModule.analyze(createAnalysis({ query: { url } }));
+          expect(patternsFor(result)).toEqual(['encoded-ip', 'loopback-address']);
+        });
+    });
+
+    test('should decode encoded metadata addresses', () => {
+      const result = ssrfModule.analyze(createAnalysis({
+        query: { url: 'http://2852039166/latest/meta-data/' }
+      }));
+
+      expect(patternsFor(result)).toContain('cloud-metadata');
+    });
+  });
+
+  describe('Schemes and Hostnames', () => {
+    test('should detect file, gopher and dict schemes', () => {
+      const result = ssrfModule.analyze(createAnalysis({
+        body: {
+          a: 'file:///etc/passwd',
+          b: 'gopher://127.0.0.1:6379/_FLUSHALL',
+          c: 'dict://internal:11211/stat'
+        }
+      }));
+
+      const schemeThreats = result.threats.filter(threat => threat.pattern === 'dangerous-scheme');
+      expect(schemeThreats.map(threat => threat.location)).toEqual(['REQUEST_BODY:a', 'REQUEST_BODY:b', 'REQUEST_BODY:c']);
+    });
+
+    test('should detect DNS rebinding hostnames', () => {
+      const result = ssrfModule.analyze(createAnalysis({
+        query: { callback: 'http://127.0.0.1.nip.io/' }
+      }));
+
+      expect(patternsFor(result)).toContain('dns-rebinding');
+    });
+
+    test('should detect protocol-relative URLs in any parameter', () => {
+      const result = ssrfModule.analyze(createAnalysis({
+        query: { next: '//192.168.0.10/' }
+      }));
+
+      expect(patternsFor(result)).toContain('private-address');
+    });
+
+    test('should detect credentials used to disguise the host', () => {
+      const result = ssrfModule.analyze(createAnalysis({
+        query: { url: 'http://example.com@127.0.0.1/' }
+      }));
+
+      expect(patternsFor(result)).toContain('url-credentials');
+      expect(patternsFor(result)).toContain('loopback-address');
+    });
+  });
+
+  describe('Configuration', () => {
+    test('should skip allowlisted hosts', () => {
+      ssrfModule = new SSRFModule({
+        ssrf: { allowedHosts: ['localhost', '*.internal.example.com'] }
+      });
+
+      const result = ssrfModule.analyze(createAnalysis({
+        body: {
+          url: 'http://localhost:3000/hook',
+          callback: 'http://billing.internal.example.com/notify'
+        }
+      }));
+
+      expect(result).toBeNull();
+    });
+
+    test('should still flag dangerous schemes on allowlisted hosts', () => {
+      ssrfModule = new SSRFModule({ ssrf: { allowedHosts: ['localhost'] } });
+
+      const result = ssrfModule.analyze(createAnalysis({
+        query: { url: 'gopher://localhost:6379/_INFO' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['dangerous-scheme']);
+    });
+
+    test('should find the host a WHATWG URL parser connects to behind an allowlisted name', () => {
+      ssrfModule = new SSRFModule({ ssrf: { allowedHosts: ['hooks.example.com'] } });
+
+      [
+        'http://169.254.169.254\\@hooks.example.com/',
+        'http://hooks.example.com@evil@169.254.169.254/',
+        'http:\\\\169.254.169.254\\latest',
+        'https:/169.254.169.254/'
+      ].forEach(url => {
+        expect(new URL(url).hostname).toBe('169.254.169.254');
+        const result = ssrfModule.analyze(createAnalysis({ query: { url } }));
+        expect(patternsFor(result)).toContain('cloud-metadata');
+      });
+    });
+
+    test('should scan configured parameter names', () => {
+      ssrfModule = new SSRFModule({ ssrf: { parameters: ['notifyAt'] } });
+
+      const configured = ssrfModule.analyze(createAnalysis({ body: { notifyAt: '10.0.0.1' } }));
+      const unconfigured = ssrfModule.analyze(createAnalysis({ body: { url: '10.0.0.1' } }));
+
+      expect(patternsFor(configured)).toContain('private-address');
+      expect(unconfigured).toBeNull();
+    });
+
+    test('should allow public URLs', () => {
+      const result = ssrfModule.analyze(createAnalysis({
+        query: { url: 'https://hooks.example.com/services/T000' },
+        body: { name: 'Plain value', homepage: 'https://example.org' }
+      }));
+
+      expect(result).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for SSTI Module
+ */
+
+const SSTIModule = require('../../lib/modules/ssti');
+const StatsCollector = require('../../lib/core/stats-collector');
+const { createAnalysis, patternsFor } = require('../helpers');
+
+describe('SSTI Module', () => {
+  let sstiModule;
+
+  beforeEach(() => {
+    sstiModule = new SSTIModule({});
+  });
+
+  describe('Generic Probes', () => {
+    test('should detect {{7*7}} and ${7*7}', () => {
+      const curly = sstiModule.analyze(createAnalysis({ query: { name: '{{7*7}}' } }));
+      const dollar = sstiModule.analyze(createAnalysis({ query: { name: '${7*7}' } }));
+
+      expect(curly.module).toBe('ssti');
+      expect(patternsFor(curly)).toContain('curly-math-probe');
+      expect(patternsFor(dollar)).toContain('dollar-math-probe');
+    });
+  });
+
+  describe('Engine Payloads', () => {
+    test('should detect EJS tags', () => {
+      const result = sstiModule.analyze(createAnalysis({
+        body: { bio: '<%= process.mainModule.require("child_process").execSync("id") %>' }
+      }));
+
+      expect(patternsFor(result)).toContain('ejs-tag');
+      expect(patternsFor(result)).toContain('template-code-execution');
+      expect(result.threats.find(threat => threat.pattern === 'ejs-tag').engine).toBe('ejs');
+    });
+
+    test('should detect Handlebars constructor access', () => {
+      const result = sstiModule.analyze(createAnalysis({
+        body: { name: '{{#with "s" as |string|}}{{string.sub.apply 0 "constructor"}}{{/with}}' }
+      }));
+
+      expect(patternsFor(result)).toContain('handlebars-with-helper');
+      expect(patternsFor(result)).toContain('handlebars-constructor');
+    });
+
+    test('should detect Pug interpolation', () => {
+      const result = sstiModule.analyze(createAnalysis({
+        query: { title: '#{global.process.mainModule.require("fs")}' }
+      }));
+
+      expect(patternsFor(result)).toContain('pug-interpolation');
+      expect(patternsFor(result)).toContain('template-code-execution');
+    });
+
+    test('should detect Nunjucks range.constructor escape', () => {
+      const result = sstiModule.analyze(createAnalysis({
+        query: { q: '{{ range.constructor("return global.process.mainModule")() }}' }
+      }));
+
+      expect(patternsFor(result)).toContain('nunjucks-range-constructor');
+      expect(patternsFor(result)).toContain('constructor-sandbox-escape');
+      expect(result.score).toBeGreaterThanOrEqual(10);
+    });
+  });
+
+  describe('Statistics', () => {
+    test('should be counted under its own threat type', () => {
+      const statsCollector = new StatsCollector({ modules: ['ssti'] });
+      const result = sstiModule.analyze(createAnalysis({ query: { name: '{{7*7}}' } }));
+      const analysis = createAnalysis({ threats: result.threats, modules: ['ssti'] });
+      const req = { ip: '127.0.0.1', headers: {}, connection: {} };
+
+      statsCollector.recordRequest(req, analysis);
+      statsCollector.recordThreat(req, analysis, 'blocked');
+
+      expect(statsCollector.getStats().threatTypes.ssti).toBe(result.threats.length);
+      expect(statsCollector.getStats().threatTypes.xss).toBeUndefined();
+    });
+  });
+
+  describe('Safe Requests', () => {
+    test('should allow normal text and braces', () => {
+      const result = sstiModule.analyze(createAnalysis({
+        query: { q: 'price is 7*7 dollars', tag: '#hashtag' },
+        body: { code: 'function () { return 1; }', note: '100% sure' }
+      }));
+
+      expect(result).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Unit tests for typed target extraction
+ */
+
+const request = require('supertest');
+const express = require('express');
+const waf = require('../../lib/index');
+const TargetExtractor = require('../../lib/core/target-extractor');
+const RuleEngine = require('../../lib/core/rule-engine');
+const RuleManager = require('../../lib/core/rule-manager');
+const XSSModule = require('../../lib/modules/xss');
+const SQLiModule = require('../../lib/modules/sqli');
+
+describe('TargetExtractor', () => {
+  let extractor;
+
+  const createAnalysis = (overrides = {}) => ({
+    path: '/test',
+    query: {},
+    body: null,
+    headers: {},
+    cookies: {},
+    score: 0,
+    threats: [],
+    modules: [],
+    ...overrides
+  });
+
+  const locationsFor = (targets) => targets.map(target => target.location);
+
+  beforeEach(() => {
+    extractor = new TargetExtractor({});
+  });
+
+  describe('Extraction', () => {
+    test('should produce typed targets for every part of the request', () => {
+      const targets = extractor.extract(createAnalysis({
+        query: { q: 'search', tags: ['a', 'b'], user: { name: 'bob' } },
+        headers: { 'user-agent': 'curl/8.0' },
+        rawHeaders: ['User-Agent', 'curl/8.0'],
+        cookies: { sid: 'abc' },
+        body: { user: { emails: ['a@example.com'] }, age: 30 },
+        files: [{ fieldname: 'avatar', originalname: 'me.png' }]
+      }));
+
+      expect(targets).toContainEqual({ collection: 'REQUEST_FILENAME', name: null, location: 'REQUEST_FILENAME', value: '/test' });
+      expect(locationsFor(targets)).toEqual(expect.arrayContaining([
+        'ARGS:q', 'ARGS:tags', 'ARGS:user[name]', 'ARGS_NAMES:q',
+        'REQUEST_HEADERS:User-Agent', 'REQUEST_COOKIES:sid',
+        'REQUEST_BODY:user.emails[0]', 'REQUEST_BODY:age', 'ARGS_NAMES:user.emails',
+        'FILES:avatar'
+      ]));
+      expect(targets.filter(target => target.location === 'ARGS:tags').map(target => target.value)).toEqual(['a', 'b']);
+      expect(targets.find(target => target.location === 'REQUEST_BODY:age').value).toBe('30');
+    });
+
+    test('should keep raw string bodies and XML text as single targets', () => {
+      const targets = extractor.extract(createAnalysis({
+        body: '<a>text</a>',
+        xmlTexts: ['text']
+      }));
+
+      expect(locationsFor(targets)).toEqual(['REQUEST_FILENAME', 'REQUEST_BODY', 'XML']);
+    });
+  });
+
+  describe('Selection', () => {
+    const targets = [
+      { collection: 'ARGS', name: 'q', location: 'ARGS:q', value: '1' },
+      { collection: 'ARGS', name: 'user_id', location: 'ARGS:user_id', value: '2' },
+      { collection: 'REQUEST_HEADERS', name: 'User-Agent', location: 'REQUEST_HEADERS:User-Agent', value: '3' },
+      { collection: 'REQUEST_COOKIES', name: 'sid', location: 'REQUEST_COOKIES:sid', value: '4' }
+    ];
+
+    test('should select by collection, name, regex and exclusion', () => {
+      expect(locationsFor(TargetExtractor.select(targets, ['ARGS']))).toEqual(['ARGS:q', 'ARGS:user_id']);
+      expect(locationsFor(TargetExtractor.select(targets, 'ARGS:/^user_/|REQUEST_HEADERS:user-agent')))
+        .toEqual(['ARGS:user_id', 'REQUEST_HEADERS:User-Agent']);
+      expect(locationsFor(TargetExtractor.select(targets, ['!REQUEST_COOKIES:sid', '!ARGS:q'])))
+        .toEqual(['ARGS:user_id', 'REQUEST_HEADERS:User-Agent']);
+      expect(TargetExtractor.select(targets)).toEqual(targets);
+    });
+
+    test('should reject unknown collections', () => {
+      expect(() => TargetExtractor.parse(['ARGS', 'REQUEST_BOGUS'])).toThrow('Unknown target: REQUEST_BOGUS');
+    });
+
+    test('should read the last key of a target name', () => {
+      expect(['url', 'user[url]', 'links[0].url', 'url[1]', '[0]'].map(name => TargetExtractor.key(name)))
+        .toEqual(['url', 'url', 'url', 'url', null]);
+    });
+
+    test('should locate combinations in the first target that has them', () => {
+      const targets = [
+        { collection: 'ARGS', name: 'a', location: 'ARGS:a', value: 'union' },
+        { collection: 'ARGS', name: 'b', location: 'ARGS:b', value: 'union select' },
+        { collection: 'ARGS', name: 'c', location: 'ARGS:c', value: 'sleep' }
+      ];
+      const check = texts => {
+        const text = texts.join(' ');
+        return [
+          ...(text.includes('union') && text.includes('select') ? [{ pattern: 'union-select', score: 1 }] : []),
+          ...(text.includes('select') && text.includes('sleep') ? [{ pattern: 'select-sleep', score: 1 }] : [])
+        ];
+      };
+
+      expect(TargetExtractor.combine(targets, check)).toEqual([
+        { pattern: 'union-select', score: 1, location: 'ARGS:b' },
+        { pattern: 'select-sleep', score: 1, location: null }
+      ]);
+    });
+  });
+
+  describe('Match Locations', () => {
+    test('should record where module threats matched', () => {
+      const xssResult = new XSSModule({}).analyze(createAnalysis({
+        body: { profile: { bio: '<script>alert(1)</script>' } }
+      }));
+      const sqliResult = new SQLiModule({}).analyze(createAnalysis({
+        cookies: { session: '1\' UNION SELECT password FROM users--' }
+      }));
+
+      expect(xssResult.threats.find(threat => threat.pattern === 'script-tag').location).toBe('REQUEST_BODY:profile.bio');
+      expect(sqliResult.threats.find(threat => threat.pattern === 'union-select').location).toBe('REQUEST_COOKIES:session');
+    });
+
+    test('should restrict modules to their configured targets', () => {
+      const xssModule = new XSSModule({ xss: { targets: ['!REQUEST_HEADERS:Referer'] } });
+
+      expect(xssModule.analyze(createAnalysis({ headers: { referer: '<script>alert(1)</script>' } }))).toBeNull();
+      expect(xssModule.analyze(createAnalysis({ query: { q: '<script>alert(1)</script>' } }))).not.toBeNull();
+    });
+
+    test('should apply rules to their declared targets and report the location', () => {
+      const config = {
+        modules: [],
+        customRules: [
+          { id: 'ua-scanner', name: 'Scanner UA', category: 'custom', pattern: 'sqlmap', score: 5, targets: 'REQUEST_HEADERS:User-Agent' }
+        ]
+      };
+      const ruleManager = new RuleManager(config);
+      const ruleEngine = new RuleEngine(config);
+      ruleEngine.setRuleManager(ruleManager);
+
+      const inQuery = ruleEngine.evaluate(createAnalysis({ query: { tool: 'sqlmap' } }));
+      const inHeader = ruleEngine.evaluate(createAnalysis({ headers: { 'user-agent': 'sqlmap/1.7' } }));
+
+      expect(inQuery.matchedRules.map(rule => rule.id)).not.toContain('ua-scanner');
+      expect(inHeader.matchedRules.find(rule => rule.id === 'ua-scanner').location).toBe('REQUEST_HEADERS:user-agent');
+    });
+
+    test('should reject custom rules with unknown targets', () => {
+      const ruleManager = new RuleManager({});
+
+      expect(() => ruleManager.addCustomRule({
+        id: 'bad', name: 'Bad', category: 'custom', pattern: 'x', score: 1, targets: ['PARAMS']
+      })).toThrow('Unknown target: PARAMS');
+    });
+
+    test('should report JSON body locations through Express', async () => {
+      const app = express();
+      const instance = waf({
+        modules: ['xss'],
+        threshold: 5,
+        adaptiveLearning: false,
+        anomalyThreshold: 1000 // Disable anomaly scoring for tests
+      });
+      const listener = jest.fn();
+      instance.on('request-blocked', listener);
+      app.use(express.json());
+      app.use(instance.middleware());
+      app.post('/comments', (req, res) => res.json({ ok: true }));
+
+      await request(app)
+        .post('/comments')
+        .send({ comment: { text: '<script>alert(document.cookie)</script>' } })
+        .expect(403);
+
+      const { analysis } = listener.mock.calls[0][0].decision;
+      expect(analysis.threats.find(threat => threat.pattern === 'script-tag').location).toBe('REQUEST_BODY:comment.text');
+    });
+
+    test('should keep inspecting requests with headers named like Object members', async () => {
+      const app = express();
+      const instance = waf({
+        modules: ['xss', 'crlf'],
+        threshold: 5,
+        adaptiveLearning: false,
+        anomalyThreshold: 1000, // Disable anomaly scoring for tests
+        customRules: [{
+          id: 'scanner-ua', name: 'Scanner user agent', category: 'custom',
+          pattern: 'sqlmap', score: 5, targets: ['REQUEST_HEADERS:User-Agent']
+        }]
+      });
+      app.use(instance.middleware());
+      app.get('*', (req, res) => res.json({ ok: true }));
+
+      for (const header of ['Constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+        await request(app).get('/search?q=<script>alert(1)</script>').set(header, 'x').expect(403);
+        await request(app).get('/').set(header, 'x').set('User-Agent', 'sqlmap/1.7').expect(403);
+        await request(app).get('/').set(header, 'x').expect(200);
+      }
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit tests for the decoding and normalization pipeline
+ */
+
+const request = require('supertest');
+const express = require('express');
+const waf = require('../../lib/index');
+const Transformer = require('../../lib/core/transformer');
+const RuleEngine = require('../../lib/core/rule-engine');
+const RuleManager = require('../../lib/core/rule-manager');
+const XSSModule = require('../../lib/modules/xss');
+const SQLiModule = require('../../lib/modules/sqli');
+
+describe('Transformer', () => {
+  let transformer;
+
+  const createAnalysis = (overrides = {}) => ({
+    path: '/test',
+    query: {},
+    body: null,
+    headers: {},
+    cookies: {},
+    score: 0,
+    threats: [],
+    modules: [],
+    ...overrides
+  });
+
+  const patternsFor = (result) => result.threats.map(threat => threat.pattern);
+
+  beforeEach(() => {
+    transformer = new Transformer({});
+  });
+
+  describe('Transforms', () => {
+    test('should decode nested URL encoding, %u escapes and overlong UTF-8', () => {
+      expect(transformer.apply('%253Cscript%253E', ['urlDecode'])).toBe('<script>');
+      expect(transformer.apply('%u003Cscript', ['urlDecodeUni'])).toBe('<script');
+      expect(transformer.apply('%c0%bcscript%c0%be', ['urlDecode'])).toBe('<script>');
+      expect(transformer.apply('caf%C3%A9', ['urlDecode'])).toBe('café');
+    });
+
+    test('should decode HTML entities with and without semicolons', () => {
+      expect(transformer.apply('&#x3c;script&#x3e;', ['htmlEntityDecode'])).toBe('<script>');
+      expect(transformer.apply('&#60script&#62', ['htmlEntityDecode'])).toBe('<script>');
+      expect(transformer.apply('java&Tab;script&colon;', ['htmlEntityDecode'])).toBe('java\tscript:');
+      expect(transformer.apply('&amp;lt;b&amp;gt;', ['htmlEntityDecode'])).toBe('<b>');
+      expect(transformer.apply('&unknown;', ['htmlEntityDecode'])).toBe('&unknown;');
+    });
+
+    test('should decode JavaScript escapes', () => {
+      expect(transformer.apply('\\u003cscript\\x3e\\u{61}\\154ert', ['jsDecode'])).toBe('<script>alert');
+    });
+
+    test('should decode text-like base64 only', () => {
+      expect(transformer.apply('q=PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==', ['base64Decode']))
+        .toBe('q=<script>alert(1)</script>');
+      expect(transformer.apply('ABCDEFGHIJKLMNOPQRSTUV', ['base64Decode'])).toBe('ABCDEFGHIJKLMNOPQRSTUV');
+    });
+
+    test('should normalize Unicode, comments, whitespace and case', () => {
+      expect(transformer.apply('＜ＳＣＲＩＰＴ＞', ['normalizeUnicode', 'lowercase'])).toBe('<script>');
+      expect(transformer.apply('UN/**/ION', ['removeComments'])).toBe('UNION');
+      expect(transformer.apply('UNION/**/SELECT', ['replaceComments'])).toBe('UNION SELECT');
+      expect(transformer.apply('a \t\n b', ['compressWhitespace'])).toBe('a b');
+    });
+
+    test('should parse t: names and reject unknown transforms', () => {
+      expect(transformer.parse('t:urlDecode, t:lowercase')).toEqual(['urlDecode', 'lowercase']);
+      expect(() => transformer.parse(['t:rot13'])).toThrow('Unknown transform: rot13');
+    });
+  });
+
+  describe('Request Cache', () => {
+    test('should transform each value once per request', () => {
+      const views = jest.spyOn(transformer, 'views');
+      const normalizer = transformer.forRequest();
+
+      expect(normalizer.test(/<script>/, '%3Cscript%3E')).toBe(true);
+      expect(normalizer.test(/alert/, '%3Cscript%3E')).toBe(false);
+      expect(normalizer.views('%3Cscript%3E')).toEqual(['<script>']);
+      expect(views).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Module Matching', () => {
+    test('should catch encoded XSS payloads', () => {
+      const xssModule = new XSSModule({});
+      const payloads = ['%253Cscript%253Ealert(1)%253C/script%253E', '&#x3c;script&#x3e;alert(1)&#x3c;/script&#x3e;',
+        '\\u003cscript\\u003ealert(1)\\u003c/script\\u003e', '＜script＞alert(1)＜/script＞', '%c0%bcscript%c0%bealert(1)%c0%bc/script%c0%be'];
+
+      payloads.forEach(payload => {
+        const result = xssModule.analyze(createAnalysis({ query: { q: payload } }));
+        expect(patternsFor(result)).toContain('script-tag');
+      });
+    });
+
+    test('should catch comment-split and mixed-case SQL injection', () => {
+      const sqliModule = new SQLiModule({});
+
+      expect(patternsFor(sqliModule.analyze(createAnalysis({ query: { id: '1 UN/**/ION SEL/**/ECT password' } }))))
+        .toContain('union-select');
+      expect(patternsFor(sqliModule.analyze(createAnalysis({ query: { id: '1 UnIoN/**/SeLeCt password' } }))))
+        .toContain('union-select');
+    });
+
+    test('should no longer penalise plain URL encoding', () => {
+      const xssModule = new XSSModule({});
+
+      expect(xssModule.analyze(createAnalysis({ query: { q: 'caf%C3%A9 %26 cr%C3%AApes' } }))).toBeNull();
+    });
+  });
+
+  describe('Rule Transforms', () => {
+    test('should apply per-rule transforms and leave other rules on raw values', () => {
+      const config = {
+        modules: [],
+        customRules: [
+          { id: 'wp-admin', name: 'WP admin', category: 'custom', pattern: '/wp-admin', score: 5, transforms: ['t:urlDecode', 't:lowercase'] },
+          { id: 'wp-admin-raw', name: 'WP admin raw', category: 'custom', pattern: '/wp-admin', flags: '', score: 1 }
+        ]
+      };
+      const ruleManager = new RuleManager(config);
+      const ruleEngine = new RuleEngine(config);
+      ruleEngine.setRuleManager(ruleManager);
+
+      const decision = ruleEngine.evaluate(createAnalysis({ path: '/%57P-Admin/' }));
+      const matched = decision.matchedRules.map(rule => rule.id);
+
+      expect(matched).toContain('wp-admin');
+      expect(matched).not.toContain('wp-admin-raw');
+    });
+
+    test('should reject unknown transforms on custom rules', () => {
+      const ruleManager = new RuleManager({});
+
+      expect(() => ruleManager.addCustomRule({
+        id: 'bad', name: 'Bad', category: 'custom', pattern: 'x', score: 1, transforms: ['t:bogus']
+      })).toThrow('Unknown transform: bogus');
+    });
+
+    test('should block encoded payloads through Express', async () => {
+      const app = express();
+      app.use(waf({
+        modules: ['xss'],
+        threshold: 5,
+        adaptiveLearning: false,
+        anomalyThreshold: 1000 // Disable anomaly scoring for tests
+      }).middleware());
+      app.get('/search', (req, res) => res.json({ q: req.query.q }));
+
+      await request(app).get('/search?q=caf%25C3%25A9').expect(200);
+      await request(app).get('/search?q=%26%23x3c%3Bscript%26%23x3e%3Balert(document.cookie)%26%23x3c%3B%2Fscript%26%23x3e%3B').expect(403);
+    });
+  });
+});
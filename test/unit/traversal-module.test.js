@@ -0,0 +1,162 @@
+/**
+ * Unit tests for Path Traversal Module
+ */
+
+const TraversalModule = require('../../lib/modules/traversal');
+const { createAnalysis, patternsFor } = require('../helpers');
+
+describe('Traversal Module', () => {
+  let traversalModule;
+
+  beforeEach(() => {
+    traversalModule = new TraversalModule({});
+  });
+
+  describe('Traversal Sequences', () => {
+    test('should detect ../ sequences in query values', () => {
+      const result = traversalModule.analyze(createAnalysis({
+        query: { file: '../../etc/passwd' }
+      }));
+
+      expect(result.module).toBe('traversal');
+      expect(patternsFor(result)).toContain('dot-dot-slash');
+      expect(patternsFor(result)).toContain('unix-sensitive-file');
+      expect(result.threats[0].location).toBe('ARGS:file');
+    });
+
+    test('should detect backslash traversal', () => {
+      const result = traversalModule.analyze(createAnalysis({
+        query: { file: '..\\..\\windows\\win.ini' }
+      }));
+
+      expect(patternsFor(result)).toContain('dot-dot-slash');
+      expect(patternsFor(result)).toContain('windows-sensitive-file');
+    });
+
+    test('should detect URL encoded traversal', () => {
+      const result = traversalModule.analyze(createAnalysis({
+        query: { file: '%2e%2e%2f%2e%2e%2fetc%2fpasswd' }
+      }));
+
+      expect(patternsFor(result)).toContain('encoded-traversal');
+      expect(patternsFor(result)).toContain('dot-dot-slash');
+    });
+
+    test('should detect double encoded traversal', () => {
+      const result = traversalModule.analyze(createAnalysis({
+        query: { file: '%252e%252e%252fetc%252fpasswd' }
+      }));
+
+      expect(patternsFor(result)).toContain('encoded-traversal');
+      expect(patternsFor(result)).toContain('unix-sensitive-file');
+    });
+
+    test('should detect overlong UTF-8 separators', () => {
+      const result = traversalModule.analyze(createAnalysis({
+        query: { file: '..%c0%af..%c0%afetc/passwd' }
+      }));
+
+      expect(patternsFor(result)).toContain('overlong-utf8');
+      expect(patternsFor(result)).toContain('dot-dot-slash');
+    });
+
+    test('should detect %u and fullwidth encoded traversal', () => {
+      const unicode = traversalModule.analyze(createAnalysis({ query: { file: '%u002e%u002e%u002fetc%u002fpasswd' } }));
+      const fullwidth = traversalModule.analyze(createAnalysis({ query: { file: '\uff0e\uff0e\uff0fetc\uff0fpasswd' } }));
+
+      expect(patternsFor(unicode)).toContain('unix-sensitive-file');
+      expect(patternsFor(fullwidth)).toContain('dot-dot-slash');
+    });
+
+    test('should detect nested ....// sequences', () => {
+      const result = traversalModule.analyze(createAnalysis({
+        query: { file: '....//....//etc/passwd' }
+      }));
+
+      expect(patternsFor(result)).toContain('nested-traversal');
+    });
+  });
+
+  describe('Sensitive Files', () => {
+    test('should detect /proc/self/environ', () => {
+      const result = traversalModule.analyze(createAnalysis({
+        body: { template: '/proc/self/environ' }
+      }));
+
+      expect(patternsFor(result)).toContain('proc-filesystem');
+      expect(result.threats[0].location).toBe('REQUEST_BODY:template');
+    });
+
+    test('should detect sensitive files in the path', () => {
+      const result = traversalModule.analyze(createAnalysis({
+        path: '/static/../../.env'
+      }));
+
+      expect(patternsFor(result)).toContain('app-secret-file');
+      expect(result.threats[0].location).toBe('REQUEST_FILENAME');
+    });
+
+    test('should detect file inclusion wrappers', () => {
+      const result = traversalModule.analyze(createAnalysis({
+        query: { page: 'file:///etc/passwd' }
+      }));
+
+      expect(patternsFor(result)).toContain('file-wrapper');
+    });
+  });
+
+  describe('Null Bytes and Uploads', () => {
+    test('should detect null byte truncation', () => {
+      const result = traversalModule.analyze(createAnalysis({
+        query: { file: '../../etc/passwd%00.png' }
+      }));
+
+      expect(patternsFor(result)).toContain('null-byte');
+      expect(patternsFor(result)).toContain('unix-sensitive-file');
+    });
+
+    test('should check multipart filenames', () => {
+      const result = traversalModule.analyze(createAnalysis({
+        files: { avatar: [{ originalname: '../../../var/www/shell.php' }] }
+      }));
+
+      expect(patternsFor(result)).toContain('dot-dot-slash');
+      expect(result.threats[0].location).toBe('FILES:0');
+    });
+
+    test('should exceed the default threshold for classic payloads', () => {
+      const result = traversalModule.analyze(createAnalysis({
+        query: { file: '..%2f..%2f..%2fetc%2fpasswd' }
+      }));
+
+      expect(result.score).toBeGreaterThanOrEqual(10);
+    });
+  });
+
+  describe('Targets', () => {
+    test('should honor traversal.targets', () => {
+      traversalModule = new TraversalModule({ traversal: { targets: ['ARGS', '!ARGS:template'] } });
+
+      expect(traversalModule.analyze(createAnalysis({
+        path: '/static/../../.env',
+        query: { template: '../../etc/passwd' }
+      }))).toBeNull();
+      expect(traversalModule.analyze(createAnalysis({
+        query: { file: '../../etc/passwd' }
+      })).threats[0].location).toBe('ARGS:file');
+    });
+  });
+
+  describe('Safe Requests', () => {
+    test('should allow normal paths and values', () => {
+      const result = traversalModule.analyze(createAnalysis({
+        path: '/docs/getting-started',
+        query: { file: 'report.pdf', version: '1.2.3' },
+        body: { name: 'John...', bio: 'I like dots. And slashes/too' },
+        files: [{ originalname: 'avatar.png' }]
+      }));
+
+      expect(result).toBeNull();
+    });
+  });
+});
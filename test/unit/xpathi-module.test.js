@@ -0,0 +1,95 @@
+/**
+ * Unit tests for XPath Injection Module
+ */
+
+const request = require('supertest');
+const express = require('express');
+const waf = require('../../lib/index');
+const XPathiModule = require('../../lib/modules/xpathi');
+const { createAnalysis, patternsFor } = require('../helpers');
+
+describe('XPathi Module', () => {
+  let xpathiModule;
+
+  beforeEach(() => {
+    xpathiModule = new XPathiModule({});
+  });
+
+  describe('Boolean Tautologies', () => {
+    test('should detect string tautologies', () => {
+      const result = xpathiModule.analyze(createAnalysis({
+        query: { user: 'x\' or \'1\'=\'1', name: 'a" or "a"="a' }
+      }));
+
+      expect(result.module).toBe('xpathi');
+      expect(patternsFor(result)).toEqual(['string-tautology', 'string-tautology']);
+    });
+
+    test('should detect numeric and true() tautologies', () => {
+      const result = xpathiModule.analyze(createAnalysis({
+        query: { a: '\' or 1=1 or \'', b: 'x\' or true() or \'' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['numeric-tautology', 'true-function']);
+    });
+  });
+
+  describe('Structure Probing', () => {
+    test('should detect count() and name() probing', () => {
+      const result = xpathiModule.analyze(createAnalysis({
+        body: { id: '1\' and count(/*)=1 and \'1\'=\'1', other: '1\' and name(/*[1])=\'users' }
+      }));
+
+      expect(patternsFor(result)).toEqual(expect.arrayContaining(['count-nodes', 'node-name', 'positional-node']));
+    });
+
+    test('should detect blind extraction functions', () => {
+      const result = xpathiModule.analyze(createAnalysis({
+        query: { id: '1\' and string-length(name(/*[1]))=5 and \'1\'=\'1' }
+      }));
+
+      expect(patternsFor(result)).toEqual(expect.arrayContaining(['blind-extraction']));
+    });
+
+    test('should detect union paths and predicate breakout', () => {
+      const result = xpathiModule.analyze(createAnalysis({
+        query: { user: 'x\'] | //user/password[\'' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['union-path', 'predicate-breakout']);
+    });
+
+    test('should detect quote breakout combined with axes', () => {
+      const result = xpathiModule.analyze(createAnalysis({
+        query: { user: 'x\' or child::text()' }
+      }));
+
+      expect(patternsFor(result)).toEqual(['quote-axis-combination']);
+    });
+  });
+
+  describe('Safe Requests', () => {
+    test('should allow apostrophes, paths and ordinary counts', () => {
+      const result = xpathiModule.analyze(createAnalysis({
+        query: { q: 'O\'Brien or Smith', path: '/docs/a|b' },
+        body: { note: 'count (items) = 3', name: 'Rock \'n\' roll' }
+      }));
+
+      expect(result).toBeNull();
+    });
+
+    test('should block tautologies through Express', async () => {
+      const app = express();
+      app.use(waf({
+        modules: ['xpathi'],
+        threshold: 5,
+        adaptiveLearning: false,
+        anomalyThreshold: 1000 // Disable anomaly scoring for tests
+      }).middleware());
+      app.get('/users', (req, res) => res.json({ user: req.query.user }));
+
+      await request(app).get('/users?user=O%27Brien').expect(200);
+      await request(app).get('/users?user=%27%20or%20%271%27%3D%271').expect(403);
+    });
+  });
+});
